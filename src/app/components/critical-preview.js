@@ -0,0 +1,122 @@
+"use client";
+
+import { useState } from "react";
+import { ErrorIcon } from "./icons";
+
+/**
+ * CriticalPreview Component
+ *
+ * Renders the analyzed page styled by the generated critical CSS alone, in a
+ * sandboxed iframe, so the fold can be checked for a flash of unstyled
+ * content before the critical CSS is shipped.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.url - URL of the analyzed page
+ * @param {string} props.critical - Generated critical CSS
+ * @param {number} [props.viewportWidth=1280] - Width of the preview frame in pixels
+ * @param {number} [props.viewportHeight=900] - Height of the preview frame in pixels
+ * @returns {JSX.Element} Preview panel
+ */
+export default function CriticalPreview({
+	url,
+	critical,
+	viewportWidth = 1280,
+	viewportHeight = 900,
+}) {
+	const [loading, setLoading] = useState(false);
+	const [preview, setPreview] = useState(null);
+	const [error, setError] = useState(null);
+
+	const handlePreview = async () => {
+		setLoading(true);
+		setError(null);
+
+		try {
+			const response = await fetch("/api/preview", {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({ url, critical }),
+			});
+
+			if (response.ok) {
+				setPreview({
+					html: await response.text(),
+					removedStylesheets: response.headers.get(
+						"X-Removed-Stylesheets"
+					),
+				});
+			} else {
+				const data = await response.json();
+				setError(
+					`${data.error}: ${
+						data.details || "No additional details available"
+					}`
+				);
+			}
+		} catch (err) {
+			setError(`Failed to connect to API: ${err.message}`);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	return (
+		<section className="critical-css-results">
+			<div className="critical-css-result critical-preview expanded">
+				<div className="result-header">
+					<div className="result-header-top">
+						<div className="result-title-row">
+							<h3>Critical CSS Preview</h3>
+							{preview?.removedStylesheets && (
+								<span className="result-size-badge header-badge">
+									{preview.removedStylesheets} stylesheets
+									removed
+								</span>
+							)}
+						</div>
+					</div>
+					<p className="result-description">
+						The page with every stylesheet removed and only the
+						critical CSS applied. Anything unstyled in the first
+						screen will flash before the full CSS loads.
+					</p>
+				</div>
+
+				{error && (
+					<p className="critical-preview-error">
+						<ErrorIcon />
+						{error}
+					</p>
+				)}
+
+				{preview && (
+					<div className="critical-preview-viewport">
+						<iframe
+							title="Critical CSS preview"
+							srcDoc={preview.html}
+							sandbox=""
+							width={viewportWidth}
+							height={viewportHeight}
+						/>
+					</div>
+				)}
+
+				<div className="result-actions">
+					<button
+						className="critical-css-result-action"
+						type="button"
+						disabled={loading}
+						onClick={handlePreview}
+					>
+						{loading
+							? "Rendering..."
+							: preview
+							? "Refresh Preview"
+							: "Render Preview"}
+					</button>
+				</div>
+			</div>
+		</section>
+	);
+}
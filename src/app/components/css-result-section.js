@@ -51,7 +51,8 @@ function downloadCSS(content, filename) {
  * @param {boolean} props.copied - Whether content was recently copied
  * @param {Function} props.onCopy - Copy to clipboard callback
  * @param {boolean} props.loading - Loading state
- * @param {string} props.variant - 'minified' or 'critical' for styling
+ * @param {string} props.variant - 'minified', 'critical' or 'remaining' for styling
+ * @param {string} [props.htmlSnippet] - Ready-to-paste HTML; adds a "Copy HTML" button
  */
 export default function CssResultSection({
 	title,
@@ -66,9 +67,12 @@ export default function CssResultSection({
 	onCopy,
 	loading,
 	variant = "minified",
+	htmlSnippet,
 }) {
 	const [copyError, setCopyError] = useState(false);
+	const [snippetCopied, setSnippetCopied] = useState(false);
 	const errorTimeoutRef = useRef(undefined);
+	const snippetTimeoutRef = useRef(undefined);
 
 	// Helper function to clear error timeout
 	const clearErrorTimeout = useCallback(() => {
@@ -77,10 +81,20 @@ export default function CssResultSection({
 		}
 	}, []);
 
-	// Cleanup timeout on unmount
+	// Helper function to clear snippet copy timeout
+	const clearSnippetTimeout = useCallback(() => {
+		if (snippetTimeoutRef.current) {
+			clearTimeout(snippetTimeoutRef.current);
+		}
+	}, []);
+
+	// Cleanup timeouts on unmount
 	useEffect(() => {
-		return () => clearErrorTimeout();
-	}, [clearErrorTimeout]);
+		return () => {
+			clearErrorTimeout();
+			clearSnippetTimeout();
+		};
+	}, [clearErrorTimeout, clearSnippetTimeout]);
 
 	const handleDownload = () => {
 		downloadCSS(cssContent, filename);
@@ -103,6 +117,21 @@ export default function CssResultSection({
 		}
 	};
 
+	const handleCopySnippet = async () => {
+		try {
+			await navigator.clipboard.writeText(htmlSnippet);
+			setSnippetCopied(true);
+			clearSnippetTimeout();
+			// Reset the button label after 2 seconds
+			snippetTimeoutRef.current = setTimeout(
+				() => setSnippetCopied(false),
+				2000
+			);
+		} catch (err) {
+			console.error("Failed to copy:", err);
+		}
+	};
+
 	return (
 		<section className="critical-css-results">
 			<div
@@ -214,6 +243,26 @@ export default function CssResultSection({
 								</>
 							)}
 						</button>
+						{htmlSnippet && (
+							<button
+								className="critical-css-result-action secondary"
+								type="button"
+								onClick={handleCopySnippet}
+								title="Copy a <head> snippet with this CSS inlined and the full stylesheets loaded asynchronously"
+							>
+								{snippetCopied ? (
+									<>
+										<CheckIcon />
+										Copied!
+									</>
+								) : (
+									<>
+										<CopyIcon />
+										Copy HTML
+									</>
+								)}
+							</button>
+						)}
 					</div>
 				</div>
 			</div>
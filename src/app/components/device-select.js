@@ -0,0 +1,44 @@
+"use client";
+
+import { DEVICE_PRESETS } from "../../lib/browser/devices.js";
+
+/**
+ * DeviceSelect Component
+ *
+ * Dropdown of the device presets accepted by the `device` parameter of the
+ * analysis APIs.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.id - ID of the select element
+ * @param {string} props.value - Selected preset key, or '' for the default browser
+ * @param {(device: string) => void} props.onChange - Called with the new preset key
+ * @returns {JSX.Element} Labeled select
+ */
+export default function DeviceSelect({ id, value, onChange }) {
+	return (
+		<label htmlFor={id}>
+			Device
+			<span className="toggle-hint">
+				User agent, screen size, pixel ratio and touch support
+			</span>
+			<select
+				id={id}
+				name={id}
+				value={value}
+				onChange={(e) => onChange(e.target.value)}
+			>
+				<option value="">Default (1280x900 desktop)</option>
+				{Object.entries(DEVICE_PRESETS).map(([key, device]) => (
+					<option
+						key={key}
+						value={key}
+					>
+						{device.label} ({device.width}x{device.height} @
+						{device.deviceScaleFactor}x)
+					</option>
+				))}
+			</select>
+		</label>
+	);
+}
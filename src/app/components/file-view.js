@@ -5,30 +5,97 @@ import { useState } from "react";
 /**
  * @typedef {Object} Stylesheet
  * @property {number} id - Unique identifier for the stylesheet
- * @property {string} url - Full URL of the stylesheet
+ * @property {string} type - Source type: "external", "inline", "adopted", "shadow" or "import"
+ * @property {number} [parentId] - For imported files, ID of the stylesheet containing the `@import`
+ * @property {string|null} url - Full URL of the stylesheet, or null for CSS embedded in the page
  * @property {string} filename - Extracted filename from the URL
+ * @property {string|null} [media] - `media` attribute of the link or style element, or null for all media
+ * @property {string|null} [excluded] - Why the stylesheet was left out of the analysis: "print", "disabled" or "alternate"
+ * @property {string} [status] - "ok", or "error" if the stylesheet could not be used
+ * @property {StylesheetError|null} [error] - Why the stylesheet could not be used
  * @property {number} size - File size in bytes
  * @property {string} sizeFormatted - Human-readable file size (e.g., "12.5 KB")
  */
 
+/**
+ * @typedef {Object} StylesheetError
+ * @property {string} code - "http-error", "network-error", "timeout", "deadline-exceeded",
+ *   "too-large", "parse-error", "cors-blocked", "import-skipped" or "load-failed"
+ * @property {string} message - Error message
+ * @property {number} [httpStatus] - HTTP status of an error response
+ * @property {number} [line] - Line of a parse error
+ * @property {number} [column] - Column of a parse error
+ */
+
+/**
+ * @typedef {StylesheetError & {stylesheetId: number, filename: string, url: string|null}} StylesheetWarning
+ */
+
+/**
+ * Human-readable labels for stylesheet source types
+ */
+const SOURCE_LABELS = {
+	external: "External file",
+	inline: "Inline <style>",
+	adopted: "Adopted stylesheet",
+	shadow: "Shadow DOM",
+	import: "@import",
+};
+
+/**
+ * Human-readable reasons a stylesheet was left out of the analysis
+ */
+const EXCLUSION_LABELS = {
+	print: "print only",
+	disabled: "disabled",
+	alternate: "alternate",
+};
+
+/**
+ * Human-readable labels for stylesheet error codes
+ */
+const ERROR_LABELS = {
+	"http-error": "HTTP error",
+	"network-error": "Network error",
+	timeout: "Timed out",
+	"deadline-exceeded": "Deadline exceeded",
+	"too-large": "Too large",
+	"parse-error": "CSS parse error",
+	"cors-blocked": "Blocked cross-origin",
+	"import-skipped": "@import skipped",
+	"load-failed": "Failed to load",
+};
+
+/**
+ * Describes a stylesheet error in one line, with the position of parse errors
+ * @param {StylesheetError} error - Error of a stylesheet or warning
+ * @returns {string} e.g. "CSS parse error: Unclosed block (line 12, column 3)"
+ */
+function formatError({ code, message, line, column }) {
+	const position = line ? ` (line ${line}, column ${column})` : "";
+	return `${ERROR_LABELS[code] || code}: ${message}${position}`;
+}
+
 /**
  * FileView Component
  *
  * Displays a table of extracted stylesheets from a webpage using WordPress DataViews.
- * Shows filename, size, and URL for each stylesheet with sorting and pagination support.
+ * Shows filename, source type, media condition, status, size, and URL for each stylesheet with sorting and pagination support.
+ * Stylesheets that could not be used are listed above the table with the reason.
  *
  * @component
  * @param {Object} props - Component props
  * @param {Stylesheet[]} [props.stylesheets=[]] - Array of stylesheet objects to display
+ * @param {StylesheetWarning[]} [props.warnings=[]] - Warnings for stylesheets that could not be used
  * @returns {JSX.Element|null} DataViews table or null if no stylesheets
  *
  * @example
  * const stylesheets = [
- *   { id: 1, url: "https://example.com/style.css", filename: "style.css", size: 1024, sizeFormatted: "1.0 KB" }
+ *   { id: 1, type: "external", url: "https://example.com/style.css", filename: "style.css", size: 1024, sizeFormatted: "1.0 KB" }
  * ];
  * <FileView stylesheets={stylesheets} />
  */
-export default function FileView({ stylesheets = [] }) {
+export default function FileView({ stylesheets = [], warnings = [] }) {
 	const [view, setView] = useState({
 		type: "table",
 		perPage: 10,
@@ -39,13 +106,13 @@ export default function FileView({ stylesheets = [] }) {
 		},
 		search: "",
 		filters: [],
-		fields: ["filename", "sizeFormatted", "url"],
+		fields: ["filename", "type", "media", "status", "sizeFormatted", "url"],
 		layout: {},
 	});
 
 	/**
 	 * DataViews field configuration for the stylesheet table.
-	 * Defines columns: filename, size (sortable by bytes), and URL (truncated with link).
+	 * Defines columns: filename, source type, media condition, load status, size (sortable by bytes), and URL (truncated with link).
 	 * @type {Array<Object>}
 	 */
 	const fields = [
@@ -55,6 +122,52 @@ export default function FileView({ stylesheets = [] }) {
 			enableHiding: false,
 			enableSorting: true,
 		},
+		{
+			id: "type",
+			header: "Source",
+			enableHiding: true,
+			enableSorting: true,
+			render: ({ item }) => {
+				const label = SOURCE_LABELS[item.type] || item.type;
+				return item.parentId
+					? `${label} (from #${item.parentId})`
+					: label;
+			},
+		},
+		{
+			id: "media",
+			header: "Media",
+			enableHiding: true,
+			enableSorting: true,
+			getValue: ({ item }) => item.media || "all",
+			render: ({ item }) =>
+				item.excluded ? (
+					<span title="Left out of the critical and combined CSS">
+						{item.media || "all"} (excluded:{" "}
+						{EXCLUSION_LABELS[item.excluded] || item.excluded})
+					</span>
+				) : (
+					item.media || "all"
+				),
+		},
+		{
+			id: "status",
+			header: "Status",
+			enableHiding: true,
+			enableSorting: true,
+			getValue: ({ item }) => item.error?.code || "ok",
+			render: ({ item }) =>
+				item.error ? (
+					<span
+						className="stylesheet-error"
+						title={formatError(item.error)}
+					>
+						{ERROR_LABELS[item.error.code] || item.error.code}
+					</span>
+				) : (
+					"OK"
+				),
+		},
 		{
 			id: "sizeFormatted",
 			header: "Size",
@@ -66,18 +179,21 @@ export default function FileView({ stylesheets = [] }) {
 			id: "url",
 			header: "URL",
 			enableHiding: true,
-			render: ({ item }) => (
-				<a
-					href={item.url}
-					target="_blank"
-					rel="noopener noreferrer"
-					title={item.url}
-				>
-					{item.url.length > 50
-						? item.url.substring(0, 50) + "..."
-						: item.url}
-				</a>
-			),
+			render: ({ item }) =>
+				item.url ? (
+					<a
+						href={item.url}
+						target="_blank"
+						rel="noopener noreferrer"
+						title={item.url}
+					>
+						{item.url.length > 50
+							? item.url.substring(0, 50) + "..."
+							: item.url}
+					</a>
+				) : (
+					<span>Embedded in page</span>
+				),
 		},
 	];
 
@@ -90,6 +206,18 @@ export default function FileView({ stylesheets = [] }) {
 	return (
 		<div className="file-view">
 			<h3>Extracted Stylesheets ({stylesheets.length})</h3>
+			{warnings.length > 0 && (
+				<ul className="stylesheet-warnings">
+					{warnings.map((warning) => (
+						<li key={warning.stylesheetId}>
+							<strong title={warning.url || undefined}>
+								{warning.filename}
+							</strong>{" "}
+							(#{warning.stylesheetId}) — {formatError(warning)}
+						</li>
+					))}
+				</ul>
+			)}
 			<DataViews
 				data={stylesheets}
 				fields={fields}
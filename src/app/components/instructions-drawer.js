@@ -341,6 +341,97 @@ add_action('wp_head', function() {
 	);
 }
 
+/**
+ * Instructions content for Remaining (non-critical) CSS
+ */
+function RemainingInstructions() {
+	return (
+		<div className="instructions-content">
+			<div className="instruction-intro">
+				<h3>Using Remaining CSS</h3>
+				<p>
+					Remaining CSS is your combined stylesheet minus the rules already
+					inlined as critical CSS. Load it after first paint so no rule is
+					downloaded twice.
+				</p>
+			</div>
+
+			<div className="instruction-step">
+				<div className="step-number">1</div>
+				<div className="step-content">
+					<h4>Inline the Critical CSS</h4>
+					<p>
+						Paste the critical CSS into a <code>&lt;style&gt;</code> tag in
+						your <code>&lt;head&gt;</code>, as described in the Critical CSS
+						instructions.
+					</p>
+				</div>
+			</div>
+
+			<div className="instruction-step">
+				<div className="step-number">2</div>
+				<div className="step-content">
+					<h4>Lazy-Load the Remaining CSS</h4>
+					<p>
+						Save the file as <code>remaining.min.css</code> and load it
+						without blocking render, in place of your original stylesheets:
+					</p>
+					<CodeBlock
+						language="html"
+						code={`<head>
+  <!-- Critical CSS (inlined for instant render) -->
+  <style>
+    /* Your critical CSS here */
+  </style>
+
+  <!-- Remaining CSS (loaded async, non-blocking) -->
+  <link rel="stylesheet"
+        href="/css/remaining.min.css"
+        media="print"
+        onload="this.media='all'">
+  <noscript>
+    <link rel="stylesheet" href="/css/remaining.min.css">
+  </noscript>
+</head>`}
+					/>
+				</div>
+			</div>
+
+			<div className="instruction-tip warning">
+				<div className="tip-icon">
+					<svg
+						xmlns="http://www.w3.org/2000/svg"
+						width="20"
+						height="20"
+						viewBox="0 0 24 24"
+						fill="none"
+						stroke="currentColor"
+						strokeWidth="2"
+					>
+						<path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z" />
+						<line x1="12" y1="9" x2="12" y2="13" />
+						<line x1="12" y1="17" x2="12.01" y2="17" />
+					</svg>
+				</div>
+				<div className="tip-content">
+					<strong>Important:</strong> Remaining CSS only works together with
+					the critical CSS generated in the same run. Regenerate both
+					whenever your stylesheets change.
+				</div>
+			</div>
+		</div>
+	);
+}
+
+/**
+ * Drawer titles for each instructions type
+ */
+const INSTRUCTION_TITLES = {
+	minified: "Combined",
+	critical: "Critical",
+	remaining: "Remaining",
+};
+
 /**
  * InstructionsDrawer Component
  *
@@ -349,9 +440,11 @@ add_action('wp_head', function() {
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether the drawer is open
  * @param {function} props.onClose - Callback to close the drawer
- * @param {string} props.type - Type of instructions: 'minified' or 'critical'
+ * @param {string} props.type - Type of instructions: 'minified', 'critical' or 'remaining'
  */
 export default function InstructionsDrawer({ isOpen, onClose, type }) {
+	const title = INSTRUCTION_TITLES[type] || INSTRUCTION_TITLES.minified;
+
 	// Handle escape key to close drawer
 	useEffect(() => {
 		const handleEscape = (e) => {
@@ -390,14 +483,10 @@ export default function InstructionsDrawer({ isOpen, onClose, type }) {
 				className={`instructions-drawer ${isOpen ? "open" : ""}`}
 				role="dialog"
 				aria-modal="true"
-				aria-label={`How to use ${type === "critical" ? "Critical" : "Combined"} CSS`}
+				aria-label={`How to use ${title} CSS`}
 			>
 				<div className="drawer-header">
-					<h2>
-						{type === "critical"
-							? "How to Use Critical CSS"
-							: "How to Use Combined CSS"}
-					</h2>
+					<h2>How to Use {title} CSS</h2>
 					<button
 						className="drawer-close"
 						onClick={onClose}
@@ -423,6 +512,8 @@ export default function InstructionsDrawer({ isOpen, onClose, type }) {
 				<div className="drawer-body">
 					{type === "critical" ? (
 						<CriticalInstructions />
+					) : type === "remaining" ? (
+						<RemainingInstructions />
 					) : (
 						<MinifiedInstructions />
 					)}
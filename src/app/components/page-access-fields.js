@@ -0,0 +1,129 @@
+"use client";
+
+/**
+ * Empty page access settings, the initial state of PageAccessFields
+ */
+export const EMPTY_PAGE_ACCESS = {
+	cookies: "",
+	headers: "",
+	username: "",
+	password: "",
+	userAgent: "",
+};
+
+/**
+ * Adds the filled-in page access settings to API request parameters
+ * @param {URLSearchParams} params - Request parameters
+ * @param {typeof EMPTY_PAGE_ACCESS} access - Settings from PageAccessFields
+ */
+export function setPageAccessParams(params, access) {
+	for (const [name, value] of Object.entries(access)) {
+		if (value.trim()) {
+			params.set(name, value);
+		}
+	}
+}
+
+/**
+ * PageAccessFields Component
+ *
+ * Collapsible cookies, extra headers, basic-auth and user agent fields for
+ * analyzing pages behind a login or on a protected staging site. The values
+ * are sent in a POST body and never shown in results.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.id - Prefix of the field IDs
+ * @param {typeof EMPTY_PAGE_ACCESS} props.value - Current settings
+ * @param {(access: typeof EMPTY_PAGE_ACCESS) => void} props.onChange - Called with
+ *   the updated settings
+ * @returns {JSX.Element} Details element with the fields
+ */
+export default function PageAccessFields({ id, value, onChange }) {
+	/**
+	 * Updates one setting
+	 * @param {string} name - Setting name
+	 * @returns {(e: Event) => void} Change handler of its field
+	 */
+	const update = (name) => (e) =>
+		onChange({ ...value, [name]: e.target.value });
+
+	return (
+		<details className="form-advanced">
+			<summary>Authentication</summary>
+			<div className="form-advanced-fields">
+				<label htmlFor={`${id}-cookies`}>
+					Cookies
+					<span className="toggle-hint">
+						name=value; other=value, or a JSON array of cookies
+					</span>
+					<textarea
+						id={`${id}-cookies`}
+						name={`${id}-cookies`}
+						rows={3}
+						value={value.cookies}
+						onChange={update("cookies")}
+						placeholder="session=…"
+						autoComplete="off"
+						spellCheck={false}
+					/>
+				</label>
+				<label htmlFor={`${id}-headers`}>
+					Extra headers
+					<span className="toggle-hint">
+						One Name: value per line
+					</span>
+					<textarea
+						id={`${id}-headers`}
+						name={`${id}-headers`}
+						rows={3}
+						value={value.headers}
+						onChange={update("headers")}
+						placeholder="Authorization: Bearer …"
+						autoComplete="off"
+						spellCheck={false}
+					/>
+				</label>
+				<label htmlFor={`${id}-username`}>
+					Basic auth user
+					<span className="toggle-hint">
+						For sites behind HTTP authentication
+					</span>
+					<input
+						id={`${id}-username`}
+						name={`${id}-username`}
+						type="text"
+						value={value.username}
+						onChange={update("username")}
+						autoComplete="off"
+					/>
+				</label>
+				<label htmlFor={`${id}-password`}>
+					Basic auth password
+					<input
+						id={`${id}-password`}
+						name={`${id}-password`}
+						type="password"
+						value={value.password}
+						onChange={update("password")}
+						autoComplete="new-password"
+					/>
+				</label>
+				<label htmlFor={`${id}-user-agent`}>
+					User agent
+					<span className="toggle-hint">
+						Replaces the browser&apos;s or the device&apos;s
+					</span>
+					<input
+						id={`${id}-user-agent`}
+						name={`${id}-user-agent`}
+						type="text"
+						value={value.userAgent}
+						onChange={update("userAgent")}
+						spellCheck={false}
+					/>
+				</label>
+			</div>
+		</details>
+	);
+}
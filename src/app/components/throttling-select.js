@@ -0,0 +1,43 @@
+"use client";
+
+import { THROTTLING_PROFILES } from "../../lib/browser/throttling.js";
+
+/**
+ * ThrottlingSelect Component
+ *
+ * Dropdown of the named network and CPU throttling profiles accepted by the
+ * `profile` parameter of the analysis APIs.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.id - ID of the select element
+ * @param {string} props.value - Selected profile key, or 'none'
+ * @param {(profile: string) => void} props.onChange - Called with the new profile key
+ * @returns {JSX.Element} Labeled select
+ */
+export default function ThrottlingSelect({ id, value, onChange }) {
+	return (
+		<label htmlFor={id}>
+			Throttling
+			<span className="toggle-hint">
+				Load the page on a slower network and CPU
+			</span>
+			<select
+				id={id}
+				name={id}
+				value={value}
+				onChange={(e) => onChange(e.target.value)}
+			>
+				<option value="none">None (full speed)</option>
+				{Object.entries(THROTTLING_PROFILES).map(([key, profile]) => (
+					<option
+						key={key}
+						value={key}
+					>
+						{profile.label}
+					</option>
+				))}
+			</select>
+		</label>
+	);
+}
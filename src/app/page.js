@@ -2,8 +2,16 @@
 
 import "@wordpress/components/build-style/style.css";
 import { useCallback, useEffect, useRef, useState } from "react";
+import CriticalPreview from "./components/critical-preview";
 import CssResultSection from "./components/css-result-section";
+import DeviceSelect from "./components/device-select";
+import FileView from "./components/file-view";
 import InstructionsDrawer from "./components/instructions-drawer";
+import PageAccessFields, {
+	EMPTY_PAGE_ACCESS,
+	setPageAccessParams,
+} from "./components/page-access-fields";
+import ThrottlingSelect from "./components/throttling-select";
 
 /**
  * Home Page Component
@@ -16,6 +24,8 @@ import InstructionsDrawer from "./components/instructions-drawer";
  */
 export default function Home() {
 	const [url, setUrl] = useState("");
+	// URL the current results were generated for, used by the preview
+	const [analyzedUrl, setAnalyzedUrl] = useState("");
 	const [loading, setLoading] = useState(false);
 
 	// API response data grouped together
@@ -23,7 +33,11 @@ export default function Home() {
 		minified: "",
 		unminified: "",
 		critical: "",
+		remaining: "",
+		htmlSnippet: "",
 		stylesheets: [],
+		warnings: [],
+		droppedMediaQueries: [],
 		sizes: undefined,
 		message: "",
 	});
@@ -32,14 +46,36 @@ export default function Home() {
 	const [hasSearched, setHasSearched] = useState(false);
 
 	// UI state
-	const [copied, setCopied] = useState({ minified: false, critical: false });
+	const [copied, setCopied] = useState({
+		minified: false,
+		critical: false,
+		remaining: false,
+	});
 	const [drawerOpen, setDrawerOpen] = useState(false);
 	const [drawerType, setDrawerType] = useState("minified");
 	// Above-the-fold mode toggle (default: true)
 	const [aboveFoldMode, setAboveFoldMode] = useState(true);
+	// Runtime coverage mode toggle (default: false), takes precedence over above-the-fold mode
+	const [coverageMode, setCoverageMode] = useState(false);
+	// Force-include/exclude selector patterns, one per line
+	const [includeSelectors, setIncludeSelectors] = useState("");
+	const [excludeSelectors, setExcludeSelectors] = useState("");
+	// Add resource hints to the HTML snippet (default: false)
+	const [preloadHints, setPreloadHints] = useState(false);
+	// Network and CPU throttling profile (default: none)
+	const [profile, setProfile] = useState("none");
+	// Device preset to emulate (default: none, plain desktop browser)
+	const [device, setDevice] = useState("");
+	// Media features whose @media blocks stay in the critical CSS regardless of the device
+	const [keepMedia, setKeepMedia] = useState("");
+	// Print-only, disabled or alternate stylesheets to analyze anyway (default: none)
+	const [includeStylesheets, setIncludeStylesheets] = useState("");
+	// Cookies, extra headers, basic auth and user agent for protected pages
+	const [access, setAccess] = useState(EMPTY_PAGE_ACCESS);
 	const [sectionsExpanded, setSectionsExpanded] = useState({
 		minified: false,
 		critical: true,
+		remaining: false,
 	});
 
 	// Ref to track copy timeout for cleanup
@@ -57,6 +93,16 @@ export default function Home() {
 		return () => clearCopyTimeout();
 	}, [clearCopyTimeout]);
 
+	// Prefill the URL when linked from another tool, e.g. /?url=https://example.com
+	useEffect(() => {
+		const linkedUrl = new URLSearchParams(window.location.search).get(
+			"url"
+		);
+		if (linkedUrl) {
+			setUrl(linkedUrl);
+		}
+	}, []);
+
 	const toggleSection = (section) => {
 		setSectionsExpanded((prev) => ({
 			...prev,
@@ -85,24 +131,63 @@ export default function Home() {
 			minified: "",
 			unminified: "",
 			critical: "",
+			remaining: "",
+			htmlSnippet: "",
 			stylesheets: [],
+			warnings: [],
+			droppedMediaQueries: [],
 			sizes: undefined,
 			message: "",
 		});
 
 		try {
-			const mode = aboveFoldMode ? "above-fold" : "full";
-			const response = await fetch(
-				`/api/fetch-css?url=${encodeURIComponent(url)}&mode=${mode}`
-			);
+			const mode = coverageMode
+				? "coverage"
+				: aboveFoldMode
+				? "above-fold"
+				: "full";
+			const params = new URLSearchParams({ url, mode });
+			if (includeSelectors.trim()) {
+				params.set("include", includeSelectors);
+			}
+			if (excludeSelectors.trim()) {
+				params.set("exclude", excludeSelectors);
+			}
+			if (preloadHints) {
+				params.set("preload", "true");
+			}
+			if (profile !== "none") {
+				params.set("profile", profile);
+			}
+			if (device) {
+				params.set("device", device);
+			}
+			if (keepMedia) {
+				params.set("keepMedia", keepMedia);
+			}
+			if (includeStylesheets) {
+				params.set("includeStylesheets", includeStylesheets);
+			}
+			setPageAccessParams(params, access);
+			// POST keeps cookies and credentials out of the URL
+			const response = await fetch("/api/fetch-css", {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify(Object.fromEntries(params)),
+			});
 			const data = await response.json();
 
 			if (response.ok) {
+				setAnalyzedUrl(url);
 				setCssData({
 					minified: data.minified,
 					unminified: data.unminified,
 					critical: data.critical,
+					remaining: data.remaining || "",
+					htmlSnippet: data.htmlSnippet || "",
 					stylesheets: data.stylesheets || [],
+					warnings: data.warnings || [],
+					droppedMediaQueries: data.droppedMediaQueries || [],
 					sizes: data.sizes || undefined,
 					message: data.message || "",
 				});
@@ -129,7 +214,39 @@ export default function Home() {
 		}
 	};
 
-	const { minified, critical, sizes, message } = cssData;
+	const {
+		minified,
+		critical,
+		remaining,
+		htmlSnippet,
+		stylesheets,
+		warnings,
+		droppedMediaQueries,
+		sizes,
+		message,
+	} = cssData;
+
+	// Name the stylesheets that failed, so smaller CSS is never unexplained
+	let warningsNote = "";
+	if (warnings.length > 0) {
+		const named = warnings
+			.slice(0, 3)
+			.map((warning) => warning.filename)
+			.join(", ");
+		const more = warnings.length > 3 ? ", …" : "";
+		warningsNote = `${warnings.length} stylesheet(s) could not be used, so their rules are missing from the results: ${named}${more}. See Extracted Stylesheets below for the reasons.`;
+		if (warnings.some(({ code }) => code === "deadline-exceeded")) {
+			warningsNote = `The time limit ran out before every stylesheet loaded, so these results are partial. ${warningsNote}`;
+		}
+	}
+
+	// Name the first few dropped @media queries, so surprising drops stand out
+	let droppedMediaNote = "";
+	if (droppedMediaQueries.length > 0) {
+		const named = droppedMediaQueries.slice(0, 3).join(", ");
+		const more = droppedMediaQueries.length > 3 ? ", …" : "";
+		droppedMediaNote = ` Left out ${droppedMediaQueries.length} @media block(s) that do not apply to this device: ${named}${more}.`;
+	}
 
 	// Determine if we should show the "no stylesheets" message
 	const showNoStylesheetsMessage =
@@ -148,6 +265,7 @@ export default function Home() {
 							Critical CSS
 						</a>
 						<a href="/preload">Preload Tags</a>
+						<a href="/vitals">Web Vitals</a>
 					</nav>
 				</div>
 			</header>
@@ -217,7 +335,179 @@ export default function Home() {
 										</span>
 									</span>
 								</label>
+								<label
+									htmlFor="coverage-mode"
+									className="toggle-option"
+								>
+									<input
+										id="coverage-mode"
+										name="coverage-mode"
+										type="checkbox"
+										checked={coverageMode}
+										onChange={(e) =>
+											setCoverageMode(e.target.checked)
+										}
+										aria-describedby="coverage-mode-hint"
+									/>
+									<span className="toggle-slider"></span>
+									<span className="toggle-label">
+										Runtime Coverage Mode
+										<span
+											id="coverage-mode-hint"
+											className="toggle-hint"
+										>
+											{coverageMode
+												? "Keeps only rules Chrome applied to above-the-fold elements"
+												: "Uses HTML matching to find critical rules"}
+										</span>
+									</span>
+								</label>
+								<label
+									htmlFor="preload-hints"
+									className="toggle-option"
+								>
+									<input
+										id="preload-hints"
+										name="preload-hints"
+										type="checkbox"
+										checked={preloadHints}
+										onChange={(e) =>
+											setPreloadHints(e.target.checked)
+										}
+										aria-describedby="preload-hints-hint"
+									/>
+									<span className="toggle-slider"></span>
+									<span className="toggle-label">
+										Preload Hints
+										<span
+											id="preload-hints-hint"
+											className="toggle-hint"
+										>
+											{preloadHints
+												? "Adds font, image and preconnect hints to the HTML snippet"
+												: "HTML snippet contains only CSS tags"}
+										</span>
+									</span>
+								</label>
 							</div>
+							<details className="form-advanced">
+								<summary>Selector Overrides</summary>
+								<div className="form-advanced-fields">
+									<label htmlFor="include-selectors">
+										Always include
+										<span className="toggle-hint">
+											One pattern per line, e.g.
+											.is-active, /^menu-/,
+											deep:cookie-banner
+										</span>
+										<textarea
+											id="include-selectors"
+											name="include-selectors"
+											rows={3}
+											value={includeSelectors}
+											onChange={(e) =>
+												setIncludeSelectors(
+													e.target.value
+												)
+											}
+											placeholder=".is-active"
+										/>
+									</label>
+									<label htmlFor="exclude-selectors">
+										Always exclude
+										<span className="toggle-hint">
+											Same syntax; wins over include,
+											e.g. greedy:/icon-/
+										</span>
+										<textarea
+											id="exclude-selectors"
+											name="exclude-selectors"
+											rows={3}
+											value={excludeSelectors}
+											onChange={(e) =>
+												setExcludeSelectors(
+													e.target.value
+												)
+											}
+											placeholder="greedy:/icon-/"
+										/>
+									</label>
+								</div>
+							</details>
+							<details className="form-advanced">
+								<summary>Emulation</summary>
+								<div className="form-advanced-fields">
+									<ThrottlingSelect
+										id="throttling-profile"
+										value={profile}
+										onChange={setProfile}
+									/>
+									<DeviceSelect
+										id="device-preset"
+										value={device}
+										onChange={setDevice}
+									/>
+									<label htmlFor="keep-media">
+										Keep media blocks
+										<span className="toggle-hint">
+											Other @media blocks the device does
+											not match are left out
+										</span>
+										<select
+											id="keep-media"
+											name="keep-media"
+											value={keepMedia}
+											onChange={(e) =>
+												setKeepMedia(e.target.value)
+											}
+										>
+											<option value="">
+												Only those matching the device
+											</option>
+											<option value="prefers-color-scheme: dark">
+												Also dark mode
+											</option>
+											<option value="prefers-reduced-motion: reduce">
+												Also reduced motion
+											</option>
+											<option value="prefers-color-scheme: dark,prefers-reduced-motion: reduce">
+												Also dark mode and reduced
+												motion
+											</option>
+										</select>
+									</label>
+									<label htmlFor="include-stylesheets">
+										Inactive stylesheets
+										<span className="toggle-hint">
+											Print-only, disabled and alternate
+											stylesheets are left out by default
+										</span>
+										<select
+											id="include-stylesheets"
+											name="include-stylesheets"
+											value={includeStylesheets}
+											onChange={(e) =>
+												setIncludeStylesheets(
+													e.target.value
+												)
+											}
+										>
+											<option value="">Leave out</option>
+											<option value="print">
+												Include print stylesheets
+											</option>
+											<option value="all">
+												Include all
+											</option>
+										</select>
+									</label>
+								</div>
+							</details>
+							<PageAccessFields
+								id="page-access"
+								value={access}
+								onChange={setAccess}
+							/>
 						</form>
 					</section>
 
@@ -250,20 +540,26 @@ export default function Home() {
 									<line x1="12" y1="16" x2="12.01" y2="16" />
 								</svg>
 							</div>
-							<h3>No External Stylesheets Found</h3>
+							<h3>No Stylesheets Found</h3>
 							<p className="message-detail">
-								This page doesn&apos;t use external CSS files
-								(&lt;link rel=&quot;stylesheet&quot;&gt;).
+								This page has no linked stylesheets, inline
+								&lt;style&gt; blocks, adopted stylesheets or
+								shadow DOM styles.
 							</p>
 							<p className="message-explanation">
-								The site may be using inline &lt;style&gt; tags,
-								CSS-in-JS (like styled-components), or has
-								already inlined its critical CSS. These methods
-								are not yet supported.
+								The site may rely entirely on inline style
+								attributes, or its styles may be inside closed
+								shadow roots, which cannot be read.
 							</p>
 						</section>
 					)}
 
+					{warningsNote && !loading && (
+						<p className="stylesheet-warnings-notice" role="status">
+							{warningsNote}
+						</p>
+					)}
+
 					{minified && !loading && (
 						<CssResultSection
 							title="Combined & Minified CSS"
@@ -296,7 +592,7 @@ export default function Home() {
 					{critical && !loading && (
 						<CssResultSection
 							title="Critical CSS (Above-the-Fold)"
-							description="Only the CSS needed for above-the-fold content. Eliminates render-blocking for instant first paint."
+							description={`Only the CSS needed for above-the-fold content. Eliminates render-blocking for instant first paint.${droppedMediaNote}`}
 							cssContent={critical}
 							filename="critical.css"
 							sizes={
@@ -319,6 +615,50 @@ export default function Home() {
 							onCopy={() => handleCopy("critical")}
 							loading={loading}
 							variant="critical"
+							htmlSnippet={htmlSnippet}
+						/>
+					)}
+
+					{critical && sizes && !loading && (
+						<CriticalPreview
+							url={analyzedUrl}
+							critical={critical}
+						/>
+					)}
+
+					{remaining && !loading && (
+						<CssResultSection
+							title="Remaining CSS (Non-Critical)"
+							description="Everything not already inlined as critical CSS. Load it asynchronously after first paint so no rule is shipped twice."
+							cssContent={remaining}
+							filename="remaining.min.css"
+							sizes={
+								sizes
+									? {
+											originalFormatted:
+												sizes.originalFormatted,
+											currentFormatted:
+												sizes.remainingFormatted,
+											reduction: sizes.remainingReduction,
+									  }
+									: undefined
+							}
+							isExpanded={sectionsExpanded.remaining}
+							onToggle={() => toggleSection("remaining")}
+							onOpenInstructions={() =>
+								openInstructions("remaining")
+							}
+							copied={copied.remaining}
+							onCopy={() => handleCopy("remaining")}
+							loading={loading}
+							variant="remaining"
+						/>
+					)}
+
+					{!loading && (
+						<FileView
+							stylesheets={stylesheets}
+							warnings={warnings}
 						/>
 					)}
 				</div>
@@ -1,6 +1,12 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import DeviceSelect from "../components/device-select";
+import PageAccessFields, {
+	EMPTY_PAGE_ACCESS,
+	setPageAccessParams,
+} from "../components/page-access-fields";
+import ThrottlingSelect from "../components/throttling-select";
 
 /**
  * Downloads content as a file
@@ -25,11 +31,24 @@ function downloadFile(content, filename) {
  */
 export default function PreloadPage() {
 	const [url, setUrl] = useState("");
+	const [profile, setProfile] = useState("none");
+	const [device, setDevice] = useState("");
+	const [access, setAccess] = useState(EMPTY_PAGE_ACCESS);
 	const [loading, setLoading] = useState(false);
 	const [preloadTags, setPreloadTags] = useState(null);
 	const [error, setError] = useState(null);
 	const [copied, setCopied] = useState(false);
 
+	// Prefill the URL when linked from another tool, e.g. /preload?url=https://example.com
+	useEffect(() => {
+		const linkedUrl = new URLSearchParams(window.location.search).get(
+			"url"
+		);
+		if (linkedUrl) {
+			setUrl(linkedUrl);
+		}
+	}, []);
+
 	const handleSubmit = async (e) => {
 		e.preventDefault();
 		setLoading(true);
@@ -37,9 +56,20 @@ export default function PreloadPage() {
 		setPreloadTags(null);
 
 		try {
-			const response = await fetch(
-				`/api/preload-tags?url=${encodeURIComponent(url)}`
-			);
+			const params = new URLSearchParams({ url });
+			if (profile !== "none") {
+				params.set("profile", profile);
+			}
+			if (device) {
+				params.set("device", device);
+			}
+			setPageAccessParams(params, access);
+			// POST keeps cookies and credentials out of the URL
+			const response = await fetch("/api/preload-tags", {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify(Object.fromEntries(params)),
+			});
 			const data = await response.json();
 
 			if (response.ok && data.stats) {
@@ -92,6 +122,7 @@ export default function PreloadPage() {
 						>
 							Preload Tags
 						</a>
+						<a href="/vitals">Web Vitals</a>
 					</nav>
 				</div>
 			</header>
@@ -125,6 +156,26 @@ export default function PreloadPage() {
 									{loading ? "Analyzing..." : "Generate Tags"}
 								</button>
 							</div>
+							<details className="form-advanced">
+								<summary>Emulation</summary>
+								<div className="form-advanced-fields">
+									<ThrottlingSelect
+										id="throttling-profile"
+										value={profile}
+										onChange={setProfile}
+									/>
+									<DeviceSelect
+										id="device-preset"
+										value={device}
+										onChange={setDevice}
+									/>
+								</div>
+							</details>
+							<PageAccessFields
+								id="page-access"
+								value={access}
+								onChange={setAccess}
+							/>
 						</form>
 					</section>
 
@@ -0,0 +1,7 @@
+export const metadata = {
+	title: "Core Web Vitals Report",
+};
+
+export default function VitalsLayout({ children }) {
+	return children;
+}
@@ -0,0 +1,439 @@
+"use client";
+
+import { useState } from "react";
+import ThrottlingSelect from "../components/throttling-select";
+
+/**
+ * Display details for each metric, in report order
+ */
+const METRICS = [
+	{ key: "lcp", label: "LCP", name: "Largest Contentful Paint", unit: "ms" },
+	{ key: "cls", label: "CLS", name: "Cumulative Layout Shift", unit: "" },
+	{ key: "tbt", label: "TBT", name: "Total Blocking Time", unit: "ms" },
+	{ key: "fcp", label: "FCP", name: "First Contentful Paint", unit: "ms" },
+	{ key: "ttfb", label: "TTFB", name: "Time to First Byte", unit: "ms" },
+];
+
+/**
+ * Human-readable labels for metric ratings
+ */
+const RATING_LABELS = {
+	good: "Good",
+	"needs-improvement": "Needs Improvement",
+	poor: "Poor",
+};
+
+/**
+ * Formats a metric value for display
+ * @param {number|null} value - Metric value
+ * @param {string} unit - 'ms' or '' for unitless
+ * @returns {string} Formatted value
+ */
+function formatMetric(value, unit) {
+	if (value === null || value === undefined) return "—";
+	if (unit === "ms") {
+		return value >= 1000
+			? `${(value / 1000).toFixed(2)} s`
+			: `${Math.round(value)} ms`;
+	}
+	return value.toFixed(3);
+}
+
+/**
+ * Builds recommendations for the metrics that did not pass, linking to the
+ * tool that addresses each problem
+ * @param {Object} metrics - Metrics from /api/web-vitals
+ * @param {string} url - Measured URL
+ * @returns {Array<{metric: string, title: string, description: string, href?: string, action?: string}>}
+ */
+function getRecommendations(metrics, url) {
+	const encodedUrl = encodeURIComponent(url);
+	const recommendations = [];
+	const needsWork = (key) =>
+		metrics[key].rating && metrics[key].rating !== "good";
+
+	if (needsWork("fcp") || needsWork("lcp")) {
+		recommendations.push({
+			metric: needsWork("fcp") ? "FCP" : "LCP",
+			title: "Remove render-blocking CSS",
+			description:
+				"Inline the critical CSS and load the rest asynchronously so the first paint does not wait for every stylesheet.",
+			href: `/?url=${encodedUrl}`,
+			action: "Generate Critical CSS",
+		});
+	}
+
+	if (needsWork("lcp") && metrics.lcp.url) {
+		recommendations.push({
+			metric: "LCP",
+			title: "Preload the LCP resource",
+			description: `The largest element${
+				metrics.lcp.element ? ` (${metrics.lcp.element})` : ""
+			} waits for ${metrics.lcp.url}. A preload hint lets the browser fetch it right away.`,
+			href: `/preload?url=${encodedUrl}`,
+			action: "Generate Preload Tags",
+		});
+	}
+
+	if (needsWork("cls")) {
+		recommendations.push({
+			metric: "CLS",
+			title: "Reserve space for late content",
+			description:
+				"Elements move after first paint. If the shifted elements get their size from CSS that loads late, make sure those rules are in the critical CSS, then check it with the preview.",
+			href: `/?url=${encodedUrl}`,
+			action: "Check Critical CSS",
+		});
+	}
+
+	if (needsWork("ttfb")) {
+		recommendations.push({
+			metric: "TTFB",
+			title: "Speed up the server response",
+			description:
+				"The HTML takes long to arrive. Consider caching the page at a CDN or reducing server-side work before the first byte.",
+		});
+	}
+
+	if (needsWork("tbt")) {
+		recommendations.push({
+			metric: "TBT",
+			title: "Break up long JavaScript tasks",
+			description:
+				"Long tasks block the main thread after first paint, delaying responses to input. Defer or split non-essential scripts.",
+		});
+	}
+
+	return recommendations;
+}
+
+/**
+ * Circular gauge showing a metric value against its thresholds
+ * @param {Object} props
+ * @param {Object} props.metric - Metric display details from METRICS
+ * @param {{value: number|null, rating: string|null}} props.result - Measured metric
+ * @param {{good: number, poor: number}} props.threshold - Metric thresholds
+ * @returns {JSX.Element} Gauge card
+ */
+function MetricGauge({ metric, result, threshold }) {
+	const radius = 42;
+	const circumference = 2 * Math.PI * radius;
+	// The "poor" threshold sits at 75% of the arc so poor values still show headroom
+	const fill =
+		result.value === null
+			? 0
+			: Math.min(result.value / (threshold.poor / 0.75), 1);
+	const rating = result.rating || "unknown";
+
+	return (
+		<div className={`vitals-gauge vitals-${rating}`}>
+			<svg
+				viewBox="0 0 100 100"
+				width="120"
+				height="120"
+				aria-hidden="true"
+			>
+				<circle
+					className="vitals-gauge-track"
+					cx="50"
+					cy="50"
+					r={radius}
+				/>
+				<circle
+					className="vitals-gauge-fill"
+					cx="50"
+					cy="50"
+					r={radius}
+					strokeDasharray={`${fill * circumference} ${circumference}`}
+					transform="rotate(-90 50 50)"
+				/>
+				<text
+					x="50"
+					y="55"
+					textAnchor="middle"
+					className="vitals-gauge-label"
+				>
+					{metric.label}
+				</text>
+			</svg>
+			<span className="vitals-gauge-value">
+				{formatMetric(result.value, metric.unit)}
+			</span>
+			<span className="vitals-gauge-name">{metric.name}</span>
+			<span className="vitals-gauge-rating">
+				{RATING_LABELS[result.rating] || "Not measured"}
+			</span>
+			<span className="vitals-gauge-threshold">
+				Good ≤ {formatMetric(threshold.good, metric.unit)}
+			</span>
+		</div>
+	);
+}
+
+/**
+ * Core Web Vitals Report Page
+ *
+ * Measures LCP, CLS, TBT, FCP and TTFB for a webpage under an optional
+ * network and CPU throttling profile, shows pass/fail gauges and links to the
+ * tools that fix the problems found.
+ */
+export default function VitalsPage() {
+	const [url, setUrl] = useState("");
+	const [profile, setProfile] = useState("none");
+	const [loading, setLoading] = useState(false);
+	const [report, setReport] = useState(null);
+	const [error, setError] = useState(null);
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setLoading(true);
+		setError(null);
+		setReport(null);
+
+		try {
+			const params = new URLSearchParams({ url });
+			if (profile !== "none") {
+				params.set("profile", profile);
+			}
+			const response = await fetch(`/api/web-vitals?${params}`);
+			const data = await response.json();
+
+			if (response.ok) {
+				setReport({ ...data, url });
+			} else {
+				setError(
+					`${data.error}: ${
+						data.details || "No additional details available"
+					}`
+				);
+			}
+		} catch (err) {
+			setError(`Failed to connect to API: ${err.message}`);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const recommendations = report
+		? getRecommendations(report.metrics, report.url)
+		: [];
+
+	return (
+		<div>
+			<header>
+				<div className="container">
+					<h1>Core Web Vitals Report</h1>
+					<nav>
+						<a href="/">Critical CSS</a>
+						<a href="/preload">Preload Tags</a>
+						<a
+							href="/vitals"
+							className="active"
+						>
+							Web Vitals
+						</a>
+					</nav>
+				</div>
+			</header>
+
+			<main>
+				<div className="container">
+					<section className="hero">
+						<h2>Check Your Core Web Vitals</h2>
+						<p className="hero-description">
+							Measure how fast any page paints, how stable its
+							layout is and how long its main thread is blocked,
+							then jump straight to the tool that fixes it.
+						</p>
+						<form
+							className="form"
+							onSubmit={handleSubmit}
+						>
+							<div className="form-control">
+								<input
+									type="url"
+									value={url}
+									onChange={(e) => setUrl(e.target.value)}
+									placeholder="https://example.com"
+									required
+								/>
+								<button
+									type="submit"
+									disabled={loading}
+								>
+									{loading ? "Measuring..." : "Measure"}
+								</button>
+							</div>
+							<div className="form-advanced-fields">
+								<ThrottlingSelect
+									id="throttling-profile"
+									value={profile}
+									onChange={setProfile}
+								/>
+							</div>
+						</form>
+					</section>
+
+					{loading && (
+						<div className="loader-container">
+							<div className="loader-orb">
+								<div className="loader-orb-inner"></div>
+							</div>
+							<p className="loader-text">
+								Loading the page and measuring...
+							</p>
+						</div>
+					)}
+
+					{error && !loading && (
+						<section className="critical-css-results">
+							<div className="critical-css-result error-result">
+								<div className="result-header">
+									<h3>Error</h3>
+									<p className="result-description">
+										{error}
+									</p>
+								</div>
+							</div>
+						</section>
+					)}
+
+					{report && !loading && (
+						<>
+							<section className="preload-overview">
+								<h3>
+									{report.passed
+										? "Passes Core Web Vitals (lab)"
+										: "Fails Core Web Vitals (lab)"}
+								</h3>
+								<p className="result-description">
+									LCP, CLS and TBT (the lab stand-in for INP)
+									must all be good to pass. Measured at{" "}
+									{report.viewport.width}x
+									{report.viewport.height}.
+								</p>
+								<div className="vitals-gauges">
+									{METRICS.map((metric) => (
+										<MetricGauge
+											key={metric.key}
+											metric={metric}
+											result={report.metrics[metric.key]}
+											threshold={
+												report.thresholds[metric.key]
+											}
+										/>
+									))}
+								</div>
+							</section>
+
+							{(report.metrics.lcp.element ||
+								report.metrics.cls.sources.length > 0) && (
+								<section className="critical-css-results">
+									<div className="critical-css-result expanded">
+										<div className="result-header">
+											<h3>Diagnostics</h3>
+										</div>
+										{report.metrics.lcp.element && (
+											<p className="result-description">
+												<strong>LCP element:</strong>{" "}
+												<code>
+													{report.metrics.lcp.element}
+												</code>
+												{report.metrics.lcp.url &&
+													` loading ${report.metrics.lcp.url}`}
+											</p>
+										)}
+										{report.metrics.cls.sources.length >
+											0 && (
+											<ul className="vitals-shift-list">
+												{report.metrics.cls.sources.map(
+													(source, index) => (
+														<li key={index}>
+															<code>
+																{source.element ||
+																	"(removed element)"}
+															</code>{" "}
+															moved from y=
+															{Math.round(
+																source
+																	.previousRect
+																	.y
+															)}{" "}
+															to y=
+															{Math.round(
+																source
+																	.currentRect
+																	.y
+															)}
+														</li>
+													)
+												)}
+											</ul>
+										)}
+									</div>
+								</section>
+							)}
+
+							{recommendations.length > 0 && (
+								<section className="critical-css-results">
+									<div className="critical-css-result expanded">
+										<div className="result-header">
+											<h3>Recommendations</h3>
+										</div>
+										<ul className="vitals-recommendations">
+											{recommendations.map(
+												(recommendation) => (
+													<li
+														key={
+															recommendation.title
+														}
+													>
+														<span className="vitals-recommendation-metric">
+															{
+																recommendation.metric
+															}
+														</span>
+														<div>
+															<h4>
+																{
+																	recommendation.title
+																}
+															</h4>
+															<p>
+																{
+																	recommendation.description
+																}
+															</p>
+															{recommendation.href && (
+																<a
+																	href={
+																		recommendation.href
+																	}
+																>
+																	{
+																		recommendation.action
+																	}{" "}
+																	→
+																</a>
+															)}
+														</div>
+													</li>
+												)
+											)}
+										</ul>
+									</div>
+								</section>
+							)}
+						</>
+					)}
+				</div>
+			</main>
+
+			<footer>
+				<div className="container">
+					<p>&copy; 2025 Henzly Meghie</p>
+				</div>
+			</footer>
+		</div>
+	);
+}
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { inflateRawSync } from "node:zlib";
+
+import { createZipArchive } from "./index.js";
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+/**
+ * Reads the entries of a zip archive through its central directory
+ * @param {Buffer} zip - Zip file contents
+ * @returns {{entries: Array<Object>, end: Object}} Entries and the
+ *   end-of-central-directory record
+ */
+function readZip(zip) {
+	const endOffset = zip.length - 22;
+	assert.equal(zip.readUInt32LE(endOffset), END_OF_CENTRAL_DIRECTORY);
+	const end = {
+		disk: zip.readUInt16LE(endOffset + 4),
+		entriesOnDisk: zip.readUInt16LE(endOffset + 8),
+		entries: zip.readUInt16LE(endOffset + 10),
+		size: zip.readUInt32LE(endOffset + 12),
+		offset: zip.readUInt32LE(endOffset + 16),
+		commentLength: zip.readUInt16LE(endOffset + 20),
+	};
+
+	const entries = [];
+	let position = end.offset;
+	for (let index = 0; index < end.entries; index++) {
+		assert.equal(zip.readUInt32LE(position), CENTRAL_HEADER);
+		const nameLength = zip.readUInt16LE(position + 28);
+		const entry = {
+			flags: zip.readUInt16LE(position + 8),
+			method: zip.readUInt16LE(position + 10),
+			crc: zip.readUInt32LE(position + 16),
+			compressedSize: zip.readUInt32LE(position + 20),
+			size: zip.readUInt32LE(position + 24),
+			offset: zip.readUInt32LE(position + 42),
+			name: zip.toString(
+				"utf8",
+				position + 46,
+				position + 46 + nameLength
+			),
+		};
+		position += 46 + nameLength;
+
+		// The local header repeats the central directory's fields
+		const local = entry.offset;
+		assert.equal(zip.readUInt32LE(local), LOCAL_HEADER);
+		assert.equal(zip.readUInt16LE(local + 8), entry.method);
+		assert.equal(zip.readUInt32LE(local + 14), entry.crc);
+		assert.equal(zip.readUInt32LE(local + 18), entry.compressedSize);
+		assert.equal(zip.readUInt32LE(local + 22), entry.size);
+		assert.equal(zip.readUInt16LE(local + 26), nameLength);
+		const dataStart = local + 30 + nameLength;
+		const body = zip.subarray(dataStart, dataStart + entry.compressedSize);
+		entry.data = entry.method === 8 ? inflateRawSync(body) : body;
+		entries.push(entry);
+	}
+	assert.equal(position, end.offset + end.size);
+
+	return { entries, end };
+}
+
+describe("createZipArchive", () => {
+	const css = ".hero{margin:0}".repeat(50);
+	const zip = createZipArchive(
+		[
+			{ name: "check.txt", content: "123456789" },
+			{ name: "css/critical-é.css", content: css },
+			{ name: "logo.bin", content: Buffer.from([0, 1, 2]) },
+		],
+		{ date: new Date(2024, 5, 15, 10, 30, 20) }
+	);
+	const { entries, end } = readZip(zip);
+
+	test("writes an end-of-central-directory record for every entry", () => {
+		assert.deepEqual(end, {
+			disk: 0,
+			entriesOnDisk: 3,
+			entries: 3,
+			size: end.size,
+			offset: end.offset,
+			commentLength: 0,
+		});
+		assert.equal(end.offset + end.size + 22, zip.length);
+	});
+
+	test("stores entries at their offsets with their sizes", () => {
+		assert.equal(entries[0].offset, 0);
+		assert.equal(
+			entries[1].offset,
+			30 + "check.txt".length + entries[0].compressedSize
+		);
+		assert.deepEqual(
+			entries.map(({ name, data }) => [name, data.toString("latin1")]),
+			[
+				["check.txt", "123456789"],
+				["css/critical-é.css", css],
+				["logo.bin", "\x00\x01\x02"],
+			]
+		);
+		assert.deepEqual(
+			entries.map(({ size }) => size),
+			[9, css.length, 3]
+		);
+	});
+
+	test("deflates files only when that makes them smaller", () => {
+		assert.deepEqual(
+			entries.map(({ method }) => method),
+			[0, 8, 0]
+		);
+		assert.ok(entries[1].compressedSize < entries[1].size);
+	});
+
+	test("computes CRC-32 checksums", () => {
+		assert.equal(entries[0].crc, 0xcbf43926);
+	});
+
+	test("marks names as UTF-8", () => {
+		assert.ok(entries.every(({ flags }) => flags & 0x0800));
+	});
+
+	test("encodes the modification time as DOS date and time", () => {
+		assert.equal(zip.readUInt16LE(10), (10 << 11) | (30 << 5) | 10);
+		assert.equal(zip.readUInt16LE(12), (44 << 9) | (6 << 5) | 15);
+	});
+});
@@ -0,0 +1,319 @@
+/**
+ * Device Emulation
+ *
+ * Device descriptors (user agent, screen size, pixel ratio, touch and media
+ * preferences) and a helper to apply them to a page, so sites that detect
+ * mobile user agents or style `hover: none`, high-DPR or dark-mode screens
+ * differently are analyzed as that device. Kept free of Puppeteer imports so
+ * client components can list the presets.
+ *
+ * @module lib/browser/devices
+ */
+
+import { MAX_VIEWPORT_DIMENSION, VIEWPORT_CONFIG } from "./viewports.js";
+
+/**
+ * @typedef {Object} DeviceDescriptor
+ * @property {string} label - Human-readable name
+ * @property {string|null} userAgent - User agent string, or null to keep the browser's own
+ * @property {number} width - Viewport width in CSS pixels
+ * @property {number} height - Viewport height in CSS pixels
+ * @property {number} deviceScaleFactor - Device pixel ratio
+ * @property {boolean} isMobile - Whether the meta viewport tag is honored
+ * @property {boolean} hasTouch - Whether the device supports touch (`hover: none`, `pointer: coarse`)
+ * @property {string} colorScheme - `prefers-color-scheme`: 'light', 'dark' or 'no-preference'
+ * @property {string} reducedMotion - `prefers-reduced-motion`: 'reduce' or 'no-preference'
+ */
+
+/**
+ * Allowed values for the emulated media preferences
+ */
+export const COLOR_SCHEMES = ["light", "dark", "no-preference"];
+export const REDUCED_MOTION_VALUES = ["reduce", "no-preference"];
+
+/**
+ * Highest device pixel ratio accepted
+ */
+const MAX_DEVICE_SCALE_FACTOR = 4;
+
+/**
+ * Media preferences every preset starts from
+ */
+const DEFAULT_PREFERENCES = {
+	colorScheme: "light",
+	reducedMotion: "no-preference",
+};
+
+/**
+ * Built-in device descriptors
+ * @type {Object<string, DeviceDescriptor>}
+ */
+export const DEVICE_PRESETS = {
+	desktop: {
+		label: "Desktop",
+		userAgent: null,
+		width: VIEWPORT_CONFIG.width,
+		height: VIEWPORT_CONFIG.height,
+		deviceScaleFactor: 1,
+		isMobile: false,
+		hasTouch: false,
+		...DEFAULT_PREFERENCES,
+	},
+	"desktop-hidpi": {
+		label: "Desktop (Retina)",
+		userAgent: null,
+		width: 1440,
+		height: 900,
+		deviceScaleFactor: 2,
+		isMobile: false,
+		hasTouch: false,
+		...DEFAULT_PREFERENCES,
+	},
+	"iphone-14": {
+		label: "iPhone 14",
+		userAgent:
+			"Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1",
+		width: 390,
+		height: 844,
+		deviceScaleFactor: 3,
+		isMobile: true,
+		hasTouch: true,
+		...DEFAULT_PREFERENCES,
+	},
+	"pixel-7": {
+		label: "Pixel 7",
+		userAgent:
+			"Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36",
+		width: 412,
+		height: 915,
+		deviceScaleFactor: 2.625,
+		isMobile: true,
+		hasTouch: true,
+		...DEFAULT_PREFERENCES,
+	},
+	ipad: {
+		label: "iPad Air",
+		userAgent:
+			"Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1",
+		width: 820,
+		height: 1180,
+		deviceScaleFactor: 2,
+		isMobile: true,
+		hasTouch: true,
+		...DEFAULT_PREFERENCES,
+	},
+};
+
+/**
+ * Fields a custom descriptor may override
+ */
+const DESCRIPTOR_FIELDS = [
+	"label",
+	"userAgent",
+	"width",
+	"height",
+	"deviceScaleFactor",
+	"isMobile",
+	"hasTouch",
+	"colorScheme",
+	"reducedMotion",
+];
+
+/**
+ * Validates the fields of a custom descriptor
+ * @param {Object} overrides - Descriptor fields to check
+ * @throws {Error} On the first unknown or invalid field
+ */
+function validateDeviceOverrides(overrides) {
+	const unknown = Object.keys(overrides).find(
+		(name) => !DESCRIPTOR_FIELDS.includes(name)
+	);
+	if (unknown) {
+		throw new Error(
+			`Unknown device field "${unknown}". Use: preset, ${DESCRIPTOR_FIELDS.join(", ")}`
+		);
+	}
+
+	const {
+		label,
+		userAgent,
+		width,
+		height,
+		deviceScaleFactor,
+		colorScheme,
+		reducedMotion,
+	} = overrides;
+
+	if (label !== undefined && typeof label !== "string") {
+		throw new Error("label must be a string");
+	}
+
+	if (
+		userAgent !== undefined &&
+		userAgent !== null &&
+		typeof userAgent !== "string"
+	) {
+		throw new Error("userAgent must be a string");
+	}
+
+	for (const [name, value] of Object.entries({ width, height })) {
+		if (
+			value !== undefined &&
+			(!Number.isInteger(value) ||
+				value < 1 ||
+				value > MAX_VIEWPORT_DIMENSION)
+		) {
+			throw new Error(
+				`${name} must be an integer from 1 to ${MAX_VIEWPORT_DIMENSION}`
+			);
+		}
+	}
+
+	if (
+		deviceScaleFactor !== undefined &&
+		(typeof deviceScaleFactor !== "number" ||
+			deviceScaleFactor <= 0 ||
+			deviceScaleFactor > MAX_DEVICE_SCALE_FACTOR)
+	) {
+		throw new Error(
+			`deviceScaleFactor must be a number above 0 and up to ${MAX_DEVICE_SCALE_FACTOR}`
+		);
+	}
+
+	for (const name of ["isMobile", "hasTouch"]) {
+		if (
+			overrides[name] !== undefined &&
+			typeof overrides[name] !== "boolean"
+		) {
+			throw new Error(`${name} must be true or false`);
+		}
+	}
+
+	if (colorScheme !== undefined && !COLOR_SCHEMES.includes(colorScheme)) {
+		throw new Error(
+			`colorScheme must be one of: ${COLOR_SCHEMES.join(", ")}`
+		);
+	}
+
+	if (
+		reducedMotion !== undefined &&
+		!REDUCED_MOTION_VALUES.includes(reducedMotion)
+	) {
+		throw new Error(
+			`reducedMotion must be one of: ${REDUCED_MOTION_VALUES.join(", ")}`
+		);
+	}
+}
+
+/**
+ * Looks up a device preset by name
+ * @param {string} name - Key of DEVICE_PRESETS
+ * @returns {DeviceDescriptor} Copy of the preset
+ * @throws {Error} If the preset is unknown
+ */
+function getDevicePreset(name) {
+	const preset = Object.hasOwn(DEVICE_PRESETS, name)
+		? DEVICE_PRESETS[name]
+		: undefined;
+	if (!preset) {
+		throw new Error(
+			`Unknown device "${name}". Use one of: ${Object.keys(
+				DEVICE_PRESETS
+			).join(", ")}`
+		);
+	}
+	return { ...preset };
+}
+
+/**
+ * Resolves a device from a query string value: a preset name, or a JSON
+ * descriptor whose fields override a preset (`preset`, default 'desktop')
+ *
+ * @param {string} [input] - e.g. "iphone-14" or '{"preset":"iphone-14","colorScheme":"dark"}'
+ * @returns {DeviceDescriptor|undefined} Device descriptor, or undefined when
+ *   no device is requested
+ * @throws {Error} If the preset is unknown or the descriptor is invalid
+ *
+ * @example
+ * resolveDevice('{"preset":"pixel-7","reducedMotion":"reduce"}');
+ * // { label: "Pixel 7", width: 412, height: 915, ..., reducedMotion: "reduce" }
+ */
+export function resolveDevice(input) {
+	const value = typeof input === "string" ? input.trim() : "";
+	if (!value) {
+		return undefined;
+	}
+
+	if (!value.startsWith("{")) {
+		return getDevicePreset(value.toLowerCase());
+	}
+
+	let descriptor;
+	try {
+		descriptor = JSON.parse(value);
+	} catch {
+		throw new Error("Device descriptor is not valid JSON");
+	}
+
+	if (
+		!descriptor ||
+		typeof descriptor !== "object" ||
+		Array.isArray(descriptor)
+	) {
+		throw new Error("Device descriptor must be a JSON object");
+	}
+
+	const { preset = "desktop", ...overrides } = descriptor;
+	validateDeviceOverrides(overrides);
+
+	const base = getDevicePreset(preset);
+	return {
+		...base,
+		...overrides,
+		label: overrides.label || `${base.label} (custom)`,
+	};
+}
+
+/**
+ * Lists the media features a device emulates, in the format of
+ * `page.emulateMediaFeatures()`
+ * @param {DeviceDescriptor} [device] - Device descriptor
+ * @returns {Array<{name: string, value: string}>} Media features, empty without a device
+ */
+export function getDeviceMediaFeatures(device) {
+	if (!device) {
+		return [];
+	}
+	return [
+		{ name: "prefers-color-scheme", value: device.colorScheme },
+		{ name: "prefers-reduced-motion", value: device.reducedMotion },
+	];
+}
+
+/**
+ * Applies a device descriptor to a page: user agent, viewport with pixel
+ * ratio, mobile and touch flags, and the emulated media preferences. Call
+ * before navigation so server-side user agent detection sees the device.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {DeviceDescriptor} device - Device to emulate
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await emulateDevice(page, resolveDevice("iphone-14"));
+ */
+export async function emulateDevice(page, device) {
+	if (device.userAgent) {
+		await page.setUserAgent(device.userAgent);
+	}
+
+	await page.setViewport({
+		width: device.width,
+		height: device.height,
+		deviceScaleFactor: device.deviceScaleFactor,
+		isMobile: device.isMobile,
+		hasTouch: device.hasTouch,
+	});
+
+	await page.emulateMediaFeatures(getDeviceMediaFeatures(device));
+}
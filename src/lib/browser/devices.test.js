@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	DEVICE_PRESETS,
+	getDeviceMediaFeatures,
+	resolveDevice,
+} from "./devices.js";
+
+describe("resolveDevice", () => {
+	test("returns nothing without a device", () => {
+		assert.equal(resolveDevice(undefined), undefined);
+		assert.equal(resolveDevice("  "), undefined);
+	});
+
+	test("looks up presets by name", () => {
+		const device = resolveDevice(" iPhone-14 ");
+		assert.deepEqual(device, DEVICE_PRESETS["iphone-14"]);
+		assert.notEqual(device, DEVICE_PRESETS["iphone-14"]);
+	});
+
+	test("rejects unknown presets, including inherited keys", () => {
+		for (const input of ["nokia", "constructor", '{"preset":"toString"}']) {
+			assert.throws(
+				() => resolveDevice(input),
+				/Unknown device ".*"\. Use one of: desktop/,
+				input
+			);
+		}
+	});
+
+	test("applies JSON overrides to a preset", () => {
+		assert.deepEqual(
+			resolveDevice(
+				'{"preset":"pixel-7","colorScheme":"dark","width":400,"userAgent":null}'
+			),
+			{
+				...DEVICE_PRESETS["pixel-7"],
+				label: "Pixel 7 (custom)",
+				colorScheme: "dark",
+				width: 400,
+				userAgent: null,
+			}
+		);
+		assert.equal(
+			resolveDevice('{"label":"Kiosk","width":1080,"height":1920}').label,
+			"Kiosk"
+		);
+		assert.equal(
+			resolveDevice('{"deviceScaleFactor":1.5}').label,
+			"Desktop (custom)"
+		);
+	});
+
+	test("rejects invalid JSON and non-object descriptors", () => {
+		assert.throws(() => resolveDevice("{preset}"), /not valid JSON/);
+		assert.throws(() => resolveDevice("{}x"), /not valid JSON/);
+		assert.equal(resolveDevice("{}").label, "Desktop (custom)");
+	});
+
+	test("rejects unknown fields", () => {
+		assert.throws(
+			() => resolveDevice('{"preset":"ipad","orientation":"landscape"}'),
+			/Unknown device field "orientation"/
+		);
+	});
+
+	test("rejects out-of-range and mistyped fields", () => {
+		const invalid = {
+			'{"width":0}': /width must be an integer from 1 to 4096/,
+			'{"height":4097}': /height must be an integer from 1 to 4096/,
+			'{"width":390.5}': /width must be an integer/,
+			'{"deviceScaleFactor":0}':
+				/deviceScaleFactor must be a number above 0/,
+			'{"deviceScaleFactor":5}': /and up to 4/,
+			'{"deviceScaleFactor":"2"}': /deviceScaleFactor must be a number/,
+			'{"isMobile":"yes"}': /isMobile must be true or false/,
+			'{"colorScheme":"sepia"}': /colorScheme must be one of/,
+			'{"reducedMotion":"less"}': /reducedMotion must be one of/,
+			'{"label":1}': /label must be a string/,
+			'{"userAgent":1}': /userAgent must be a string/,
+		};
+		for (const [input, message] of Object.entries(invalid)) {
+			assert.throws(() => resolveDevice(input), message, input);
+		}
+	});
+});
+
+describe("getDeviceMediaFeatures", () => {
+	test("lists the emulated media preferences", () => {
+		assert.deepEqual(
+			getDeviceMediaFeatures(resolveDevice('{"reducedMotion":"reduce"}')),
+			[
+				{ name: "prefers-color-scheme", value: "light" },
+				{ name: "prefers-reduced-motion", value: "reduce" },
+			]
+		);
+		assert.deepEqual(getDeviceMediaFeatures(undefined), []);
+	});
+});
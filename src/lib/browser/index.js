@@ -3,10 +3,22 @@
  *
  * Provides consistent browser initialization across API endpoints.
  * Handles environment-specific configuration for development vs production.
+ * API routes get browsers from a shared pool (see ./pool.js) rather than
+ * launching one per request.
  *
  * @module lib/browser
  */
 
+import { emulateDevice } from "./devices.js";
+import { applyPageAccess } from "./page-access.js";
+import { createBrowserPool, readPoolOptions } from "./pool.js";
+import {
+	applyThrottling,
+	isThrottled,
+	THROTTLED_TIMEOUT,
+} from "./throttling.js";
+import { VIEWPORT_CONFIG } from "./viewports.js";
+
 // Conditionally import puppeteer based on environment
 const isDev = process.env.NODE_ENV === "development";
 let puppeteer;
@@ -19,13 +31,48 @@ if (isDev) {
 	chromium = (await import("@sparticuz/chromium")).default;
 }
 
-/**
- * Default viewport configuration for consistent rendering
- */
-export const VIEWPORT_CONFIG = {
-	width: 1280,
-	height: 800,
-};
+export {
+	parseViewports,
+	setPageViewport,
+	VIEWPORT_CONFIG,
+	VIEWPORT_PRESETS,
+} from "./viewports.js";
+
+export {
+	COLOR_SCHEMES,
+	DEVICE_PRESETS,
+	emulateDevice,
+	getDeviceMediaFeatures,
+	REDUCED_MOTION_VALUES,
+	resolveDevice,
+} from "./devices.js";
+
+export {
+	createBrowserPool,
+	DEFAULT_POOL_OPTIONS,
+	isPoolSaturated,
+	POOL_SATURATED,
+	readPoolOptions,
+} from "./pool.js";
+
+export { captureStylesheetResponses } from "./stylesheet-responses.js";
+
+export {
+	applyPageAccess,
+	getPageAccessHeaders,
+	parsePageAccess,
+	redactCredentials,
+} from "./page-access.js";
+
+export {
+	applyThrottling,
+	isThrottled,
+	MAX_CPU_SLOWDOWN,
+	NETWORK_CONDITIONS,
+	resolveThrottlingProfile,
+	THROTTLED_TIMEOUT,
+	THROTTLING_PROFILES,
+} from "./throttling.js";
 
 /**
  * Gets browser launch options based on environment
@@ -65,27 +112,133 @@ export async function createBrowser() {
 }
 
 /**
- * Creates a browser and navigates to a URL with standard configuration
+ * Returns the process-wide browser pool, created on first use with limits
+ * from the BROWSER_POOL_* environment variables. It is kept on globalThis so
+ * hot reloads in development do not orphan running browsers.
+ * @returns {ReturnType<typeof createBrowserPool>} Shared pool
+ */
+export function getBrowserPool() {
+	globalThis.browserPool ??= createBrowserPool({
+		...readPoolOptions(),
+		launch: createBrowser,
+	});
+	return globalThis.browserPool;
+}
+
+/**
+ * Acquires an isolated browser session (an incognito context in a pooled
+ * browser) for one request. Close it when done to free the slot.
+ * @param {Object} [options] - Acquire options
+ * @param {number} [options.pages=1] - Pages the request opens at once
+ * @returns {Promise<import('./pool.js').BrowserSession>} Session to open pages in
+ * @throws {Error} POOL_SATURATED error when every browser is busy and the
+ *   queue is full or the wait times out; see isPoolSaturated()
+ */
+export function acquireBrowser(options) {
+	return getBrowserPool().acquire(options);
+}
+
+/**
+ * Gets the default navigation timeout of openPage()
+ * @param {{network?: string, cpuSlowdown?: number}} [throttling] - Throttling
+ *   applied for the load
+ * @returns {number} Timeout in ms: 30000, or THROTTLED_TIMEOUT when throttled
+ */
+export function getNavigationTimeout(throttling) {
+	return isThrottled(throttling) ? THROTTLED_TIMEOUT : 30000;
+}
+
+/**
+ * Opens a new page in an existing browser and navigates to a URL with the
+ * standard configuration
+ * @param {import('puppeteer').Browser|import('./pool.js').BrowserSession} browser -
+ *   Browser, or pooled session from acquireBrowser(), to open the page in
  * @param {string} url - URL to navigate to
  * @param {Object} options - Navigation options
- * @param {number} [options.timeout=30000] - Navigation timeout in ms
- * @returns {Promise<{browser: import('puppeteer').Browser, page: import('puppeteer').Page}>}
+ * @param {number} [options.timeout] - Navigation timeout in ms, defaults to
+ *   getNavigationTimeout()
+ * @param {{network?: string, cpuSlowdown?: number}} [options.throttling] -
+ *   Network and CPU throttling applied for the whole load, e.g. from
+ *   resolveThrottlingProfile()
+ * @param {import('./devices.js').DeviceDescriptor} [options.device] - Device to
+ *   emulate, e.g. from resolveDevice(); its viewport replaces VIEWPORT_CONFIG
+ * @param {import('./page-access.js').PageAccess} [options.access] - Cookies,
+ *   headers, basic-auth credentials and user agent from parsePageAccess(); its
+ *   user agent replaces the device's
+ * @param {(page: import('puppeteer').Page) => Promise<void>} [options.beforeNavigate] -
+ *   Called with the new page before navigation, e.g. to start coverage recording
+ * @returns {Promise<import('puppeteer').Page>} Page with the URL loaded
  */
-export async function createBrowserWithPage(url, options = {}) {
-	const { timeout = 30000 } = options;
+export async function openPage(browser, url, options = {}) {
+	const { throttling, device, access, beforeNavigate } = options;
+	const timeout = options.timeout ?? getNavigationTimeout(throttling);
 
-	const browser = await createBrowser();
 	const page = await browser.newPage();
 
-	await page.goto(url, {
-		waitUntil: "networkidle2",
-		timeout,
-	});
+	try {
+		if (throttling) {
+			await applyThrottling(page, throttling);
+		}
 
-	await page.setViewport({
-		width: VIEWPORT_CONFIG.width,
-		height: VIEWPORT_CONFIG.height,
-	});
+		if (device) {
+			await emulateDevice(page, device);
+		}
+
+		if (access) {
+			await applyPageAccess(page, access, url);
+		}
+
+		if (beforeNavigate) {
+			await beforeNavigate(page);
+		}
+
+		await page.goto(url, {
+			waitUntil: "networkidle2",
+			timeout,
+		});
+
+		// The device viewport is already set before navigation
+		if (!device) {
+			await page.setViewport({
+				width: VIEWPORT_CONFIG.width,
+				height: VIEWPORT_CONFIG.height,
+			});
+		}
+	} catch (error) {
+		// Don't leave failed pages open in a shared browser
+		await page.close();
+		throw error;
+	}
+
+	return page;
+}
 
-	return { browser, page };
+/**
+ * Acquires a pooled browser session and navigates to a URL with standard
+ * configuration. Closing the returned `browser` closes the session, not the
+ * pooled browser.
+ * @param {string} url - URL to navigate to
+ * @param {Object} options - Navigation options passed to openPage
+ * @param {number} [options.timeout] - Navigation timeout in ms
+ * @param {{network?: string, cpuSlowdown?: number}} [options.throttling] -
+ *   Network and CPU throttling applied for the whole load
+ * @param {import('./devices.js').DeviceDescriptor} [options.device] - Device to emulate
+ * @param {import('./page-access.js').PageAccess} [options.access] - Cookies, headers,
+ *   basic-auth credentials and user agent
+ * @param {(page: import('puppeteer').Page) => Promise<void>} [options.beforeNavigate] -
+ *   Called with the new page before navigation, e.g. to start coverage recording
+ * @returns {Promise<{browser: import('./pool.js').BrowserSession, page: import('puppeteer').Page}>}
+ * @throws {Error} POOL_SATURATED error when no browser is available in time
+ */
+export async function createBrowserWithPage(url, options = {}) {
+	const browser = await acquireBrowser();
+
+	try {
+		const page = await openPage(browser, url, options);
+		return { browser, page };
+	} catch (error) {
+		// Don't hold the pool slot when setup or navigation fails
+		await browser.close();
+		throw error;
+	}
 }
@@ -0,0 +1,353 @@
+/**
+ * Browser Pool Module
+ *
+ * Keeps a few Chromium processes running between requests instead of
+ * launching one per request, and caps how many pages are open at once so
+ * concurrent requests cannot exhaust memory. Each job runs in its own
+ * incognito browser context, so cookies, storage and cache never carry over
+ * from one request to the next. Jobs that find every browser busy wait in a
+ * bounded queue; once the queue is full, or a job waited too long, acquiring
+ * fails with a POOL_SATURATED error the API routes turn into a 503.
+ *
+ * @module lib/browser/pool
+ */
+
+/**
+ * Error code of the error thrown when the pool cannot take another job
+ */
+export const POOL_SATURATED = "POOL_SATURATED";
+
+/**
+ * Default pool limits. A Vercel function instance only fits one Chromium.
+ */
+export const DEFAULT_POOL_OPTIONS = {
+	maxBrowsers: process.env.VERCEL ? 1 : 2,
+	maxPagesPerBrowser: 4,
+	maxQueue: 10,
+	queueTimeout: 15000,
+	maxJobsPerBrowser: 100,
+	idleTimeout: 60000,
+	healthCheckTimeout: 5000,
+};
+
+/**
+ * Environment variables overriding each pool option
+ */
+const POOL_ENV_VARIABLES = {
+	maxBrowsers: "BROWSER_POOL_MAX_BROWSERS",
+	maxPagesPerBrowser: "BROWSER_POOL_MAX_PAGES",
+	maxQueue: "BROWSER_POOL_MAX_QUEUE",
+	queueTimeout: "BROWSER_POOL_QUEUE_TIMEOUT",
+	maxJobsPerBrowser: "BROWSER_POOL_MAX_JOBS",
+	idleTimeout: "BROWSER_POOL_IDLE_TIMEOUT",
+};
+
+/**
+ * Pool options for which 0 is meaningful; the capacity and timeout options
+ * need at least 1, or no job could ever run
+ */
+const ZERO_ALLOWED_OPTIONS = ["maxQueue"];
+
+/**
+ * Reads pool options from environment variables, ignoring values that are not
+ * positive integers (or 0, for the queue length, to disable queueing)
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Options set in the environment
+ */
+export function readPoolOptions(env = process.env) {
+	const options = {};
+	for (const [option, variable] of Object.entries(POOL_ENV_VARIABLES)) {
+		const value = Number(env[variable]);
+		const min = ZERO_ALLOWED_OPTIONS.includes(option) ? 0 : 1;
+		if (env[variable] && Number.isInteger(value) && value >= min) {
+			options[option] = value;
+		}
+	}
+	return options;
+}
+
+/**
+ * Checks whether an error means the pool is saturated
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the request should be retried later (503)
+ */
+export function isPoolSaturated(error) {
+	return error?.code === POOL_SATURATED;
+}
+
+/**
+ * Creates the error thrown when no browser is available in time
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Suggested wait in seconds
+ * @returns {Error} Error with `code` POOL_SATURATED and `retryAfter`
+ */
+function createSaturatedError(message, retryAfter) {
+	const error = new Error(message);
+	error.code = POOL_SATURATED;
+	error.retryAfter = retryAfter;
+	return error;
+}
+
+/**
+ * Rejects if a promise does not settle in time
+ * @param {Promise<*>} promise - Promise to wait for
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<*>} The promise's value
+ */
+function withTimeout(promise, timeout) {
+	let timer;
+	return Promise.race([
+		promise,
+		new Promise((_, reject) => {
+			timer = setTimeout(
+				() => reject(new Error(`Timed out after ${timeout} ms`)),
+				timeout
+			);
+		}),
+	]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @typedef {Object} BrowserSession
+ * @property {import('puppeteer').Browser} browser - Pooled browser
+ * @property {import('puppeteer').BrowserContext} context - Incognito context of the job
+ * @property {number} maxPages - Pages the job may keep open at once
+ * @property {() => Promise<import('puppeteer').Page>} newPage - Opens a page in the context
+ * @property {() => Promise<void>} close - Closes the context and frees the slot;
+ *   safe to call more than once
+ */
+
+/**
+ * Creates a browser pool
+ *
+ * @param {Object} options - Pool options
+ * @param {() => Promise<import('puppeteer').Browser>} options.launch - Launches a browser
+ * @param {number} [options.maxBrowsers] - Most browsers running at once
+ * @param {number} [options.maxPagesPerBrowser] - Most pages open per browser
+ * @param {number} [options.maxQueue] - Most jobs waiting for a free page; more fail
+ * @param {number} [options.queueTimeout] - Longest wait in the queue, in ms
+ * @param {number} [options.maxJobsPerBrowser] - Jobs after which a browser is
+ *   replaced, bounding leaks in long-running processes
+ * @param {number} [options.idleTimeout] - Idle time after which a browser is closed, in ms
+ * @param {number} [options.healthCheckTimeout] - Time a browser has to answer the
+ *   health check run before each job, in ms
+ * @returns {{acquire: (options?: {pages?: number}) => Promise<BrowserSession>,
+ *   stats: () => Object, close: () => Promise<void>}} Pool
+ *
+ * @example
+ * const pool = createBrowserPool({ launch: createBrowser });
+ * const session = await pool.acquire();
+ * try {
+ *   const page = await session.newPage();
+ * } finally {
+ *   await session.close();
+ * }
+ */
+export function createBrowserPool(options) {
+	const { launch, ...limits } = { ...DEFAULT_POOL_OPTIONS, ...options };
+	const entries = [];
+	const queue = [];
+
+	/**
+	 * Closes a browser and stops handing it out
+	 * @param {Object} entry - Pool entry
+	 */
+	function retire(entry) {
+		const index = entries.indexOf(entry);
+		if (index !== -1) {
+			entries.splice(index, 1);
+		}
+		clearTimeout(entry.idleTimer);
+		entry.ready
+			.then((browser) => browser.connected && browser.close())
+			.catch(() => {});
+		dispatch();
+	}
+
+	/**
+	 * Reserves page slots in a running browser, or in a new one if the pool
+	 * has room
+	 * @param {number} slots - Pages to reserve
+	 * @returns {Object|null} Pool entry, or null if every browser is full
+	 */
+	function reserve(slots) {
+		let entry = entries.find(
+			(candidate) =>
+				candidate.activePages + slots <= limits.maxPagesPerBrowser &&
+				candidate.jobs < limits.maxJobsPerBrowser
+		);
+
+		if (!entry && entries.length < limits.maxBrowsers) {
+			entry = { ready: launch(), activePages: 0, jobs: 0 };
+			entries.push(entry);
+			entry.ready.then(
+				(browser) => browser.on("disconnected", () => retire(entry)),
+				() => retire(entry)
+			);
+		}
+
+		if (entry) {
+			clearTimeout(entry.idleTimer);
+			entry.activePages += slots;
+			entry.jobs++;
+		}
+		return entry || null;
+	}
+
+	/**
+	 * Frees page slots and hands them to queued jobs
+	 * @param {Object} entry - Pool entry
+	 * @param {number} slots - Pages to free
+	 */
+	function release(entry, slots) {
+		entry.activePages -= slots;
+		if (entry.activePages === 0 && entries.includes(entry)) {
+			if (entry.jobs >= limits.maxJobsPerBrowser) {
+				retire(entry);
+			} else {
+				entry.idleTimer = setTimeout(
+					() => retire(entry),
+					limits.idleTimeout
+				);
+				entry.idleTimer.unref?.();
+			}
+		}
+		dispatch();
+	}
+
+	/**
+	 * Starts queued jobs, oldest first, while slots are free
+	 */
+	function dispatch() {
+		while (queue.length > 0) {
+			const entry = reserve(queue[0].slots);
+			if (!entry) return;
+			const job = queue.shift();
+			clearTimeout(job.timer);
+			job.resolve(entry);
+		}
+	}
+
+	/**
+	 * Waits in the queue for free slots
+	 * @param {number} slots - Pages to reserve
+	 * @returns {Promise<Object>} Pool entry
+	 * @throws {Error} POOL_SATURATED error if the queue is full or the wait times out
+	 */
+	function enqueue(slots) {
+		const retryAfter = Math.ceil(limits.queueTimeout / 1000);
+		if (queue.length >= limits.maxQueue) {
+			return Promise.reject(
+				createSaturatedError(
+					"All browsers are busy and the queue is full",
+					retryAfter
+				)
+			);
+		}
+
+		return new Promise((resolve, reject) => {
+			const job = { slots, resolve, reject };
+			job.timer = setTimeout(() => {
+				queue.splice(queue.indexOf(job), 1);
+				reject(
+					createSaturatedError(
+						`No browser became available within ${limits.queueTimeout} ms`,
+						retryAfter
+					)
+				);
+			}, limits.queueTimeout);
+			queue.push(job);
+		});
+	}
+
+	/**
+	 * Acquires an isolated browser context for one job
+	 * @param {Object} [acquireOptions] - Acquire options
+	 * @param {number} [acquireOptions.pages=1] - Pages the job opens at once,
+	 *   capped at maxPagesPerBrowser
+	 * @param {number} [acquireOptions.attempts=2] - Browsers to try when the
+	 *   health check fails
+	 * @returns {Promise<BrowserSession>} Session to open pages in
+	 */
+	async function acquire(acquireOptions = {}) {
+		const { pages = 1, attempts = 2 } = acquireOptions;
+		const slots = Math.max(1, Math.min(pages, limits.maxPagesPerBrowser));
+		const entry = reserve(slots) || (await enqueue(slots));
+
+		let browser;
+		let context;
+		try {
+			browser = await entry.ready;
+			// A crashed or hung browser is replaced rather than handed out
+			if (!browser.connected) {
+				throw new Error("Browser is disconnected");
+			}
+			await withTimeout(browser.version(), limits.healthCheckTimeout);
+			context = await browser.createBrowserContext();
+		} catch (error) {
+			retire(entry);
+			release(entry, slots);
+			if (attempts > 1) {
+				return acquire({ pages, attempts: attempts - 1 });
+			}
+			throw error;
+		}
+
+		let closed = false;
+		return {
+			browser,
+			context,
+			maxPages: slots,
+			newPage: () => context.newPage(),
+			async close() {
+				if (closed) return;
+				closed = true;
+				try {
+					await context.close();
+				} catch {
+					// The browser may already be gone
+				} finally {
+					release(entry, slots);
+				}
+			},
+		};
+	}
+
+	/**
+	 * Reports current usage
+	 * @returns {{browsers: number, activePages: number, queued: number, limits: Object}}
+	 */
+	function stats() {
+		return {
+			browsers: entries.length,
+			activePages: entries.reduce(
+				(total, entry) => total + entry.activePages,
+				0
+			),
+			queued: queue.length,
+			limits,
+		};
+	}
+
+	/**
+	 * Closes every browser; running jobs fail and queued jobs are rejected
+	 * @returns {Promise<void>}
+	 */
+	async function close() {
+		for (const job of queue.splice(0)) {
+			clearTimeout(job.timer);
+			job.reject(new Error("Browser pool closed"));
+		}
+		const closing = entries.splice(0).map(async (entry) => {
+			clearTimeout(entry.idleTimer);
+			try {
+				await (await entry.ready).close();
+			} catch {
+				// Already closed or never launched
+			}
+		});
+		await Promise.all(closing);
+	}
+
+	return { acquire, stats, close };
+}
@@ -0,0 +1,194 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { describe, test } from "node:test";
+
+import { createBrowserPool, POOL_SATURATED, readPoolOptions } from "./pool.js";
+
+/**
+ * Creates a fake browser
+ * @param {Object} [options] - Fake behavior
+ * @param {boolean} [options.healthy=true] - Whether version() answers
+ * @returns {EventEmitter} Object shaped like a Puppeteer Browser
+ */
+function fakeBrowser({ healthy = true } = {}) {
+	const browser = new EventEmitter();
+	browser.connected = true;
+	browser.closed = false;
+	browser.version = () =>
+		healthy ? Promise.resolve("Chrome/1") : new Promise(() => {});
+	browser.createBrowserContext = async () => ({
+		newPage: async () => ({}),
+		close: async () => {},
+	});
+	browser.close = async () => {
+		browser.connected = false;
+		browser.closed = true;
+	};
+	return browser;
+}
+
+/**
+ * Creates a pool launching fake browsers
+ * @param {Object} [options] - Pool options
+ * @param {Array<Object>} [browserOptions] - fakeBrowser() options per launch
+ * @returns {{pool: Object, launched: EventEmitter[]}} Pool and launched browsers
+ */
+function createPool(options = {}, browserOptions = []) {
+	const launched = [];
+	const pool = createBrowserPool({
+		launch: async () => {
+			const browser = fakeBrowser(browserOptions[launched.length]);
+			launched.push(browser);
+			return browser;
+		},
+		maxBrowsers: 1,
+		maxPagesPerBrowser: 2,
+		maxQueue: 1,
+		queueTimeout: 1000,
+		...options,
+	});
+	return { pool, launched };
+}
+
+describe("createBrowserPool", () => {
+	test("shares a browser between jobs up to its page limit", async () => {
+		const { pool, launched } = createPool();
+		const first = await pool.acquire();
+		const second = await pool.acquire();
+		assert.equal(launched.length, 1);
+		assert.equal(first.browser, second.browser);
+		assert.equal(pool.stats().activePages, 2);
+		await pool.close();
+	});
+
+	test("queues jobs until a session is closed", async () => {
+		const { pool } = createPool({ maxPagesPerBrowser: 1 });
+		const first = await pool.acquire();
+		let started = false;
+		const second = pool.acquire().then((session) => {
+			started = true;
+			return session;
+		});
+		await new Promise((resolve) => setImmediate(resolve));
+		assert.equal(started, false);
+		assert.equal(pool.stats().queued, 1);
+
+		await first.close();
+		await first.close();
+		assert.equal((await second).maxPages, 1);
+		assert.equal(pool.stats().activePages, 1);
+		await pool.close();
+	});
+
+	test("rejects with POOL_SATURATED once the queue is full", async () => {
+		const { pool } = createPool({
+			maxPagesPerBrowser: 1,
+			queueTimeout: 2500,
+		});
+		await pool.acquire();
+		const queued = pool.acquire();
+		await assert.rejects(pool.acquire(), {
+			code: POOL_SATURATED,
+			retryAfter: 3,
+			message: "All browsers are busy and the queue is full",
+		});
+		await pool.close();
+		await assert.rejects(queued, /Browser pool closed/);
+	});
+
+	test("rejects with POOL_SATURATED after the queue timeout", async () => {
+		const { pool } = createPool({
+			maxPagesPerBrowser: 1,
+			queueTimeout: 20,
+		});
+		await pool.acquire();
+		await assert.rejects(pool.acquire(), {
+			code: POOL_SATURATED,
+			retryAfter: 1,
+			message: "No browser became available within 20 ms",
+		});
+		assert.equal(pool.stats().queued, 0);
+		await pool.close();
+	});
+
+	test("retires browsers after maxJobsPerBrowser jobs", async () => {
+		const { pool, launched } = createPool({ maxJobsPerBrowser: 2 });
+		const first = await pool.acquire();
+		const second = await pool.acquire();
+		await first.close();
+		await second.close();
+		await new Promise((resolve) => setImmediate(resolve));
+		assert.equal(launched[0].closed, true);
+		assert.equal(pool.stats().browsers, 0);
+
+		await pool.acquire();
+		assert.equal(launched.length, 2);
+		await pool.close();
+	});
+
+	test("retires idle browsers after idleTimeout", async () => {
+		const { pool, launched } = createPool({ idleTimeout: 10 });
+		await (await pool.acquire()).close();
+		assert.equal(pool.stats().browsers, 1);
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		assert.equal(launched[0].closed, true);
+		assert.equal(pool.stats().browsers, 0);
+	});
+
+	test("replaces disconnected browsers", async () => {
+		const { pool, launched } = createPool();
+		await (await pool.acquire()).close();
+		launched[0].connected = false;
+		launched[0].emit("disconnected");
+		const session = await pool.acquire();
+		assert.equal(session.browser, launched[1]);
+		await pool.close();
+	});
+
+	test("retries with a new browser when the health check fails", async () => {
+		const { pool, launched } = createPool({ healthCheckTimeout: 10 }, [
+			{ healthy: false },
+		]);
+		const session = await pool.acquire();
+		assert.equal(launched.length, 2);
+		assert.equal(session.browser, launched[1]);
+		assert.equal(launched[0].closed, true);
+		await pool.close();
+	});
+
+	test("gives up after the last health check attempt", async () => {
+		const { pool } = createPool({ healthCheckTimeout: 10 }, [
+			{ healthy: false },
+			{ healthy: false },
+		]);
+		await assert.rejects(pool.acquire(), /Timed out after 10 ms/);
+		assert.equal(pool.stats().browsers, 0);
+		await pool.close();
+	});
+});
+
+describe("readPoolOptions", () => {
+	test("reads positive integers from the environment", () => {
+		assert.deepEqual(
+			readPoolOptions({
+				BROWSER_POOL_MAX_BROWSERS: "3",
+				BROWSER_POOL_QUEUE_TIMEOUT: "5000",
+				BROWSER_POOL_MAX_QUEUE: "0",
+			}),
+			{ maxBrowsers: 3, maxQueue: 0, queueTimeout: 5000 }
+		);
+	});
+
+	test("ignores empty, zero, negative and non-integer values", () => {
+		assert.deepEqual(
+			readPoolOptions({
+				BROWSER_POOL_MAX_BROWSERS: "0",
+				BROWSER_POOL_MAX_PAGES: "-1",
+				BROWSER_POOL_MAX_JOBS: "1.5",
+				BROWSER_POOL_IDLE_TIMEOUT: "soon",
+				BROWSER_POOL_QUEUE_TIMEOUT: "",
+			}),
+			{}
+		);
+	});
+});
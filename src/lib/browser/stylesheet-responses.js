@@ -0,0 +1,120 @@
+/**
+ * Stylesheet Response Capture
+ *
+ * Records the bodies of the stylesheets a page downloads while it loads, so
+ * the CSS analyzed is exactly what the browser rendered: fetched with the
+ * page's cookies, user agent and referer, and past CDN or geo rules that a
+ * separate server-side request would not get through.
+ *
+ * @module lib/browser/stylesheet-responses
+ */
+
+/**
+ * Normalizes a URL for lookups; fragments never reach the network
+ * @param {string} url - Absolute URL
+ * @returns {string} URL without its fragment
+ */
+function normalizeUrl(url) {
+	return url.split("#")[0];
+}
+
+/**
+ * Starts recording the stylesheet responses of a page. Call it before
+ * navigation, e.g. from openPage()'s `beforeNavigate`.
+ *
+ * Bodies are read as soon as each response arrives, since the browser may
+ * discard them later. A stylesheet reached through redirects is recorded
+ * under every URL of the chain. Bodies are kept as bytes with their
+ * Content-Type, so the caller can decode them with the right charset.
+ *
+ * With `maxBytes`, a response whose Content-Length is over the limit is not
+ * read into memory at all: it is recorded with its `size` and a null `body`.
+ * Responses without a Content-Length can only be measured once read.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Object} [options] - Capture options
+ * @param {number} [options.maxBytes] - Largest body read into memory, in bytes
+ * @returns {{read: (url: string, options?: {timeout?: number, signal?: AbortSignal}) =>
+ *   Promise<{body: Uint8Array|null, contentType: string|null, size: number}|null>}}
+ *   `read` resolves to the captured body of a URL and its size in bytes (with a
+ *   null body when skipped for its size), or null if the page did not load it
+ *   successfully or, with a `timeout` in ms, is still downloading it then. It
+ *   rejects with the signal's reason if the signal aborts first.
+ *
+ * @example
+ * let stylesheets;
+ * const page = await openPage(browser, url, {
+ *   beforeNavigate: async (page) => {
+ *     stylesheets = captureStylesheetResponses(page);
+ *   },
+ * });
+ * const captured = await stylesheets.read("https://example.com/main.css");
+ */
+export function captureStylesheetResponses(page, options = {}) {
+	const { maxBytes = Infinity } = options;
+	const bodies = new Map();
+
+	page.on("response", (response) => {
+		const request = response.request();
+		if (request.resourceType() !== "stylesheet" || !response.ok()) {
+			return;
+		}
+
+		const headers = response.headers();
+		const contentType = headers["content-type"] || null;
+		const declared = Number(headers["content-length"]);
+		const body =
+			declared > maxBytes
+				? Promise.resolve({ body: null, contentType, size: declared })
+				: response
+						.buffer()
+						.then((buffer) => ({
+							body: buffer,
+							contentType,
+							size: buffer.length,
+						}))
+						.catch(() => null);
+		for (const url of [
+			...request.redirectChain().map((redirect) => redirect.url()),
+			response.url(),
+		]) {
+			bodies.set(normalizeUrl(url), body);
+		}
+	});
+
+	return {
+		read: async (url, options = {}) => {
+			const { timeout, signal } = options;
+			signal?.throwIfAborted();
+			const body = bodies.get(normalizeUrl(url));
+			if (!body || (!timeout && !signal)) {
+				return (await body) ?? null;
+			}
+
+			let timer;
+			let onAbort;
+			const waits = [body];
+			if (timeout) {
+				waits.push(
+					new Promise((resolve) => {
+						timer = setTimeout(() => resolve(null), timeout);
+					})
+				);
+			}
+			if (signal) {
+				waits.push(
+					new Promise((_, reject) => {
+						onAbort = () => reject(signal.reason);
+						signal.addEventListener("abort", onAbort, {
+							once: true,
+						});
+					})
+				);
+			}
+			return Promise.race(waits).finally(() => {
+				clearTimeout(timer);
+				signal?.removeEventListener("abort", onAbort);
+			});
+		},
+	};
+}
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { describe, test } from "node:test";
+
+import { captureStylesheetResponses } from "./stylesheet-responses.js";
+
+/**
+ * Creates a fake stylesheet response
+ * @param {string} url - Response URL
+ * @param {Promise<Buffer>} body - Resolves to the body
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} Object shaped like a Puppeteer HTTPResponse
+ */
+function fakeResponse(url, body, headers = {}) {
+	return {
+		url: () => url,
+		ok: () => true,
+		headers: () => headers,
+		buffer: () => body,
+		request: () => ({
+			resourceType: () => "stylesheet",
+			redirectChain: () => [],
+		}),
+	};
+}
+
+describe("captureStylesheetResponses", () => {
+	test("reads captured bodies by URL, ignoring fragments", async () => {
+		const page = new EventEmitter();
+		const stylesheets = captureStylesheetResponses(page);
+		page.emit(
+			"response",
+			fakeResponse(
+				"https://example.com/a.css",
+				Promise.resolve(Buffer.from(".a{}")),
+				{ "content-type": "text/css" }
+			)
+		);
+		const captured = await stylesheets.read("https://example.com/a.css#x");
+		assert.equal(captured.body.toString(), ".a{}");
+		assert.equal(captured.size, 4);
+		assert.equal(await stylesheets.read("https://example.com/b.css"), null);
+	});
+
+	test("skips bodies declared over maxBytes", async () => {
+		const page = new EventEmitter();
+		const stylesheets = captureStylesheetResponses(page, { maxBytes: 10 });
+		page.emit(
+			"response",
+			fakeResponse("https://example.com/a.css", new Promise(() => {}), {
+				"content-length": "20",
+			})
+		);
+		assert.deepEqual(await stylesheets.read("https://example.com/a.css"), {
+			body: null,
+			contentType: null,
+			size: 20,
+		});
+	});
+
+	test("stops waiting after the timeout or when the signal aborts", async () => {
+		const page = new EventEmitter();
+		const stylesheets = captureStylesheetResponses(page);
+		page.emit(
+			"response",
+			fakeResponse("https://example.com/a.css", new Promise(() => {}))
+		);
+
+		assert.equal(
+			await stylesheets.read("https://example.com/a.css", { timeout: 5 }),
+			null
+		);
+
+		const controller = new AbortController();
+		const reason = new Error("deadline");
+		const pending = stylesheets.read("https://example.com/a.css", {
+			timeout: 60000,
+			signal: controller.signal,
+		});
+		controller.abort(reason);
+		await assert.rejects(pending, (error) => error === reason);
+		await assert.rejects(
+			stylesheets.read("https://example.com/a.css", {
+				signal: controller.signal,
+			}),
+			(error) => error === reason
+		);
+	});
+});
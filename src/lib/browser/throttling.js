@@ -0,0 +1,155 @@
+/**
+ * Network and CPU Throttling
+ *
+ * Emulates slower networks and devices through the Chrome DevTools Protocol,
+ * so pages can be analyzed under the conditions real visitors load them in.
+ *
+ * @module lib/browser/throttling
+ */
+
+/**
+ * Network conditions accepted by `Network.emulateNetworkConditions`.
+ * Throughput is in bytes per second, latency in milliseconds. Values follow
+ * the Chrome DevTools and Lighthouse presets.
+ */
+export const NETWORK_CONDITIONS = {
+	"slow-3g": {
+		latency: 2000,
+		downloadThroughput: 50000,
+		uploadThroughput: 50000,
+	},
+	"fast-3g": {
+		latency: 563,
+		downloadThroughput: 180000,
+		uploadThroughput: 84375,
+	},
+	"slow-4g": {
+		latency: 150,
+		downloadThroughput: 204800,
+		uploadThroughput: 96000,
+	},
+	cable: {
+		latency: 40,
+		downloadThroughput: 1310720,
+		uploadThroughput: 1310720,
+	},
+};
+
+/**
+ * Highest CPU slowdown multiplier accepted
+ */
+export const MAX_CPU_SLOWDOWN = 20;
+
+/**
+ * Navigation timeout in ms for throttled loads, which take much longer to
+ * reach network idle
+ */
+export const THROTTLED_TIMEOUT = 90000;
+
+/**
+ * Named emulation profiles pairing a network preset with a CPU slowdown.
+ * The mobile profiles follow Lighthouse's mobile settings (4x CPU on slow
+ * 4G) and a low-end device on slow 3G.
+ */
+export const THROTTLING_PROFILES = {
+	"slow-3g-mobile": {
+		label: "Slow 3G mobile",
+		network: "slow-3g",
+		cpuSlowdown: 6,
+	},
+	"slow-4g-mobile": {
+		label: "Slow 4G mobile",
+		network: "slow-4g",
+		cpuSlowdown: 4,
+	},
+	"desktop-cable": {
+		label: "Desktop cable",
+		network: "cable",
+		cpuSlowdown: 1,
+	},
+};
+
+/**
+ * Resolves a throttling profile name from a query string value
+ * @param {string} [name] - Key of THROTTLING_PROFILES, or 'none'/empty for no throttling
+ * @returns {{network: string, cpuSlowdown: number}|undefined} Throttling settings
+ *   for applyThrottling, or undefined for no throttling
+ * @throws {Error} If the profile is unknown
+ *
+ * @example
+ * resolveThrottlingProfile("slow-4g-mobile");
+ * // { network: "slow-4g", cpuSlowdown: 4 }
+ */
+export function resolveThrottlingProfile(name) {
+	if (!name || name === "none") {
+		return undefined;
+	}
+
+	const profile = Object.hasOwn(THROTTLING_PROFILES, name)
+		? THROTTLING_PROFILES[name]
+		: undefined;
+	if (!profile) {
+		throw new Error(
+			`Unknown profile "${name}". Use one of: none, ${Object.keys(
+				THROTTLING_PROFILES
+			).join(", ")}`
+		);
+	}
+
+	return { network: profile.network, cpuSlowdown: profile.cpuSlowdown };
+}
+
+/**
+ * Whether throttling settings slow the page down at all
+ * @param {{network?: string, cpuSlowdown?: number}} [throttling] - Throttling settings
+ * @returns {boolean} True if network or CPU throttling is active
+ */
+export function isThrottled(throttling) {
+	return Boolean(
+		throttling && (throttling.network || throttling.cpuSlowdown > 1)
+	);
+}
+
+/**
+ * Applies network and CPU throttling to a page. Call before navigation so
+ * the whole load is throttled.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Object} [throttling] - Throttling settings
+ * @param {string} [throttling.network] - Key of NETWORK_CONDITIONS; omit for no
+ *   network throttling
+ * @param {number} [throttling.cpuSlowdown=1] - CPU slowdown multiplier, 1 for none
+ * @returns {Promise<void>}
+ * @throws {Error} If the network preset is unknown
+ *
+ * @example
+ * await applyThrottling(page, { network: "slow-4g", cpuSlowdown: 4 });
+ */
+export async function applyThrottling(page, throttling = {}) {
+	const { network, cpuSlowdown = 1 } = throttling;
+	if (!isThrottled(throttling)) {
+		return;
+	}
+
+	const session = await page.createCDPSession();
+
+	if (network) {
+		const conditions = Object.hasOwn(NETWORK_CONDITIONS, network)
+			? NETWORK_CONDITIONS[network]
+			: undefined;
+		if (!conditions) {
+			throw new Error(`Unknown network preset "${network}"`);
+		}
+		await session.send("Network.enable");
+		await session.send("Network.emulateNetworkConditions", {
+			offline: false,
+			...conditions,
+		});
+	}
+
+	if (cpuSlowdown > 1) {
+		await session.send("Emulation.setCPUThrottlingRate", {
+			rate: cpuSlowdown,
+		});
+	}
+}
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	applyThrottling,
+	isThrottled,
+	resolveThrottlingProfile,
+	THROTTLING_PROFILES,
+} from "./throttling.js";
+
+/**
+ * Creates a fake page recording the CDP commands sent to it
+ * @returns {{page: Object, commands: Array<[string, Object]>}} Page and commands
+ */
+function fakePage() {
+	const commands = [];
+	const page = {
+		createCDPSession: async () => ({
+			send: async (method, params) => {
+				commands.push([method, params]);
+			},
+		}),
+	};
+	return { page, commands };
+}
+
+describe("resolveThrottlingProfile", () => {
+	test("returns no throttling for none or an empty value", () => {
+		assert.equal(resolveThrottlingProfile("none"), undefined);
+		assert.equal(resolveThrottlingProfile(""), undefined);
+		assert.equal(resolveThrottlingProfile(undefined), undefined);
+	});
+
+	test("resolves every profile to its network and CPU slowdown", () => {
+		assert.deepEqual(resolveThrottlingProfile("slow-4g-mobile"), {
+			network: "slow-4g",
+			cpuSlowdown: 4,
+		});
+		for (const name of Object.keys(THROTTLING_PROFILES)) {
+			assert.ok(isThrottled(resolveThrottlingProfile(name)), name);
+		}
+	});
+
+	test("rejects unknown profiles, including inherited keys", () => {
+		for (const name of ["slow-3g", "NONE", "constructor"]) {
+			assert.throws(
+				() => resolveThrottlingProfile(name),
+				/Unknown profile ".*"\. Use one of: none, slow-3g-mobile/,
+				name
+			);
+		}
+	});
+});
+
+describe("isThrottled", () => {
+	test("is true only with a network preset or a CPU slowdown", () => {
+		assert.equal(isThrottled(undefined), false);
+		assert.equal(isThrottled({ cpuSlowdown: 1 }), false);
+		assert.equal(isThrottled({ cpuSlowdown: 2 }), true);
+		assert.equal(isThrottled({ network: "cable" }), true);
+	});
+});
+
+describe("applyThrottling", () => {
+	test("sends the network conditions and CPU rate", async () => {
+		const { page, commands } = fakePage();
+		await applyThrottling(page, { network: "cable", cpuSlowdown: 4 });
+		assert.deepEqual(commands, [
+			["Network.enable", undefined],
+			[
+				"Network.emulateNetworkConditions",
+				{
+					offline: false,
+					latency: 40,
+					downloadThroughput: 1310720,
+					uploadThroughput: 1310720,
+				},
+			],
+			["Emulation.setCPUThrottlingRate", { rate: 4 }],
+		]);
+	});
+
+	test("does nothing without throttling", async () => {
+		const { page, commands } = fakePage();
+		await applyThrottling(page, { cpuSlowdown: 1 });
+		await applyThrottling(page);
+		assert.deepEqual(commands, []);
+	});
+
+	test("rejects unknown network presets", async () => {
+		const { page } = fakePage();
+		await assert.rejects(
+			applyThrottling(page, { network: "toString" }),
+			/Unknown network preset "toString"/
+		);
+	});
+});
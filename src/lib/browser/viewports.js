@@ -0,0 +1,118 @@
+/**
+ * Viewport Configuration
+ *
+ * Shared viewport sizes used for page rendering and above-the-fold detection,
+ * and a helper to resize a page. Kept free of Puppeteer imports so feature
+ * modules can use it directly.
+ *
+ * @module lib/browser/viewports
+ */
+
+/**
+ * Default viewport configuration for consistent rendering
+ */
+export const VIEWPORT_CONFIG = {
+	width: 1280,
+	height: 900,
+};
+
+/**
+ * Named viewport sizes accepted in place of explicit dimensions
+ */
+export const VIEWPORT_PRESETS = {
+	mobile: { width: 375, height: 667 },
+	tablet: { width: 768, height: 1024 },
+	laptop: { width: 1280, height: 800 },
+	desktop: { width: 1440, height: 900 },
+};
+
+/**
+ * Upper bound for either viewport dimension
+ */
+export const MAX_VIEWPORT_DIMENSION = 4096;
+
+/**
+ * Most viewports rendered per request; each one re-renders the page
+ */
+export const MAX_VIEWPORTS = 6;
+
+/**
+ * Parses a list of viewports from a query string value.
+ *
+ * Accepts comma-separated `WIDTHxHEIGHT` pairs and/or preset names. The
+ * result is de-duplicated and sorted by ascending width, and may hold at most
+ * MAX_VIEWPORTS viewports.
+ *
+ * @param {string|string[]} input - e.g. "375x667,768x1024,desktop"
+ * @returns {Array<{width: number, height: number}>} Parsed viewports
+ * @throws {Error} If an entry is neither a preset nor a valid size, or there
+ *   are too many viewports
+ *
+ * @example
+ * parseViewports("mobile,1440x900");
+ * // [{ width: 375, height: 667 }, { width: 1440, height: 900 }]
+ */
+export function parseViewports(input) {
+	const entries = []
+		.concat(input)
+		.flatMap((value) => String(value).split(","))
+		.map((value) => value.trim().toLowerCase())
+		.filter(Boolean);
+
+	const viewports = new Map();
+	for (const entry of entries) {
+		const preset = Object.hasOwn(VIEWPORT_PRESETS, entry)
+			? VIEWPORT_PRESETS[entry]
+			: undefined;
+		const match = entry.match(/^(\d+)x(\d+)$/);
+		const viewport = preset
+			? { ...preset }
+			: match && {
+					width: parseInt(match[1], 10),
+					height: parseInt(match[2], 10),
+				};
+
+		if (
+			!viewport ||
+			viewport.width < 1 ||
+			viewport.height < 1 ||
+			viewport.width > MAX_VIEWPORT_DIMENSION ||
+			viewport.height > MAX_VIEWPORT_DIMENSION
+		) {
+			const presets = Object.keys(VIEWPORT_PRESETS).join(", ");
+			throw new Error(
+				`Invalid viewport "${entry}". Use WIDTHxHEIGHT (e.g. 375x667) or one of: ${presets}`
+			);
+		}
+		viewports.set(`${viewport.width}x${viewport.height}`, viewport);
+	}
+
+	if (viewports.size > MAX_VIEWPORTS) {
+		throw new Error(`At most ${MAX_VIEWPORTS} viewports are accepted`);
+	}
+
+	return [...viewports.values()].sort((a, b) => a.width - b.width);
+}
+
+/**
+ * Resizes the page viewport and waits for the resulting layout to settle.
+ * Pixel ratio, mobile and touch emulation of the current viewport are kept.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {{width: number, height: number}} viewport - Viewport dimensions
+ * @returns {Promise<void>}
+ */
+export async function setPageViewport(page, viewport) {
+	await page.setViewport({
+		...page.viewport(),
+		width: viewport.width,
+		height: viewport.height,
+	});
+
+	// Wait two frames so media queries and resize handlers have applied
+	await page.evaluate(
+		() =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve))
+			)
+	);
+}
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	MAX_VIEWPORT_DIMENSION,
+	MAX_VIEWPORTS,
+	parseViewports,
+} from "./viewports.js";
+
+describe("parseViewports", () => {
+	test("reads sizes and presets, sorted by width", () => {
+		assert.deepEqual(parseViewports(["Desktop, 768x1024", "mobile"]), [
+			{ width: 375, height: 667 },
+			{ width: 768, height: 1024 },
+			{ width: 1440, height: 900 },
+		]);
+	});
+
+	test("drops duplicates, including presets written as sizes", () => {
+		assert.deepEqual(parseViewports("mobile,375x667, mobile"), [
+			{ width: 375, height: 667 },
+		]);
+	});
+
+	test("accepts sizes up to MAX_VIEWPORT_DIMENSION", () => {
+		assert.deepEqual(parseViewports(`1x${MAX_VIEWPORT_DIMENSION}`), [
+			{ width: 1, height: MAX_VIEWPORT_DIMENSION },
+		]);
+	});
+
+	test("rejects malformed and out-of-range sizes", () => {
+		for (const input of [
+			"0x0",
+			"375x0",
+			"abc",
+			"constructor",
+			"375",
+			"375x667x2",
+			"-375x667",
+			"37.5x667",
+			`${MAX_VIEWPORT_DIMENSION + 1}x900`,
+			`1280x${MAX_VIEWPORT_DIMENSION + 1}`,
+		]) {
+			assert.throws(
+				() => parseViewports(input),
+				/Invalid viewport .* Use WIDTHxHEIGHT/,
+				input
+			);
+		}
+	});
+
+	test("rejects more than MAX_VIEWPORTS viewports", () => {
+		const sizes = Array.from(
+			{ length: MAX_VIEWPORTS + 1 },
+			(_, index) => `${320 + index * 100}x800`
+		);
+		assert.equal(
+			parseViewports(sizes.slice(0, MAX_VIEWPORTS)).length,
+			MAX_VIEWPORTS
+		);
+		assert.throws(
+			() => parseViewports(sizes),
+			new RegExp(`At most ${MAX_VIEWPORTS} viewports`)
+		);
+	});
+});
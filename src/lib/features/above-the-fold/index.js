@@ -4,16 +4,18 @@
  * Captures only the HTML content visible in the initial viewport (above the fold)
  * and extracts CSS that applies specifically to that content.
  *
+ * Two engines are available: `captureAboveTheFoldHTML` clones the visible DOM
+ * for PurgeCSS to match against, while `analyzeAboveTheFoldRules` checks every
+ * stylesheet rule against the geometry of the elements it matches.
+ *
  * @module features/above-the-fold
  */
 
-/**
- * Default viewport dimensions for above-the-fold detection
- */
-export const VIEWPORT_CONFIG = {
-	width: 1280,
-	height: 900,
-};
+import { setPageViewport, VIEWPORT_CONFIG } from "../../browser/viewports.js";
+import { collectSelectors, filterRules } from "../rule-filter/index.js";
+
+// Default viewport dimensions for above-the-fold detection
+export { VIEWPORT_CONFIG };
 
 /**
  * Captures only the above-the-fold HTML content from a Puppeteer page.
@@ -161,3 +163,197 @@ export async function getAboveTheFoldSelectors(page, options = {}) {
 
 	return selectors;
 }
+
+/**
+ * Builds media queries that split the width axis between viewports.
+ *
+ * Each viewport owns the range from its own width up to just below the next
+ * larger viewport, so the narrowest viewport also covers anything smaller and
+ * the widest covers anything larger.
+ *
+ * @param {Array<{width: number, height: number}>} viewports - Viewports sorted by ascending width
+ * @returns {Array<string|null>} Media query per viewport, or null when a single viewport covers all widths
+ *
+ * @example
+ * buildViewportMediaQueries([{ width: 375 }, { width: 768 }, { width: 1440 }]);
+ * // ["(max-width: 767px)", "(min-width: 768px) and (max-width: 1439px)", "(min-width: 1440px)"]
+ */
+export function buildViewportMediaQueries(viewports) {
+	return viewports.map((viewport, index) => {
+		const conditions = [];
+		if (index > 0) {
+			conditions.push(`(min-width: ${viewport.width}px)`);
+		}
+		if (index < viewports.length - 1) {
+			conditions.push(`(max-width: ${viewports[index + 1].width - 1}px)`);
+		}
+		return conditions.length > 0 ? conditions.join(" and ") : null;
+	});
+}
+
+/**
+ * Finds which selectors match at least one element rendered above the fold.
+ *
+ * Each selector is stripped of pseudo-elements and user-action pseudo-classes
+ * (`:hover`, `:focus`, ...) and queried in the document and every open shadow
+ * root. An element counts when its bounding box intersects the viewport;
+ * elements without a box (e.g. `display: none`) count when their nearest
+ * rendered ancestor (or shadow host) does, so rules that hide above-the-fold
+ * content are kept. Selectors that cannot be queried, including the
+ * shadow-scoped `:host`, `::slotted()` and `::part()`, are reported as
+ * matching, since they cannot be ruled out. Closed shadow roots are not
+ * reachable, so styles for their contents only match through such selectors.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string[]} selectors - Selectors to test
+ * @param {Object} options - Configuration options
+ * @param {number} [options.viewportHeight=900] - Height of the fold
+ * @param {number} [options.viewportWidth=1280] - Width of the viewport
+ * @returns {Promise<Set<string>>} Selectors matching above-the-fold elements
+ *
+ * @example
+ * const visible = await matchSelectorsAboveTheFold(page, [".hero", ".footer"]);
+ * visible.has(".hero"); // true
+ */
+export async function matchSelectorsAboveTheFold(
+	page,
+	selectors,
+	options = {}
+) {
+	const {
+		viewportHeight = VIEWPORT_CONFIG.height,
+		viewportWidth = VIEWPORT_CONFIG.width,
+	} = options;
+
+	const matched = await page.evaluate(
+		(selectorList, maxHeight, maxWidth) => {
+			// Whole pseudo names only, so `:focus` leaves `:focus-within` alone
+			const PSEUDO_ELEMENT =
+				/::?(before|after|first-line|first-letter|marker|placeholder|selection|backdrop|file-selector-button|-webkit-[\w-]+|-moz-[\w-]+|-ms-[\w-]+)(?![\w-])/gi;
+			const USER_ACTION =
+				/:(hover|focus|focus-within|focus-visible|active|visited|link|target)(?![\w-])/gi;
+			const SHADOW_SCOPED = /:host\b|::(slotted|part)\(/i;
+
+			window.scrollTo(0, 0);
+			const visibility = new Map();
+
+			// The document and its open shadow roots, nested ones included
+			const roots = [document];
+			for (let index = 0; index < roots.length; index++) {
+				roots[index].querySelectorAll("*").forEach((element) => {
+					if (element.shadowRoot) {
+						roots.push(element.shadowRoot);
+					}
+				});
+			}
+
+			/**
+			 * Checks whether an element, or its nearest rendered ancestor,
+			 * intersects the viewport
+			 * @param {Element} element - Element to check
+			 * @returns {boolean} True if above the fold
+			 */
+			function isAboveFold(element) {
+				if (visibility.has(element)) {
+					return visibility.get(element);
+				}
+
+				let result;
+				if (element.getClientRects().length === 0) {
+					// Top-level elements of a shadow root continue at its host
+					const parent =
+						element.parentElement || element.parentNode?.host;
+					result = parent ? isAboveFold(parent) : true;
+				} else {
+					const rect = element.getBoundingClientRect();
+					result =
+						rect.top < maxHeight &&
+						rect.bottom >= 0 &&
+						rect.left < maxWidth &&
+						rect.right >= 0;
+				}
+				visibility.set(element, result);
+				return result;
+			}
+
+			return selectorList.filter((selector) => {
+				if (SHADOW_SCOPED.test(selector)) {
+					return true;
+				}
+				const normalized =
+					selector
+						.replace(PSEUDO_ELEMENT, "")
+						.replace(USER_ACTION, "")
+						.trim() || "*";
+				try {
+					return roots.some((root) =>
+						Array.from(root.querySelectorAll(normalized)).some(
+							isAboveFold
+						)
+					);
+				} catch (e) {
+					// Unsupported selector syntax, keep it to be safe
+					return true;
+				}
+			});
+		},
+		selectors,
+		viewportHeight,
+		viewportWidth
+	);
+
+	return new Set(matched);
+}
+
+/**
+ * Per-rule geometry engine for above-the-fold CSS.
+ *
+ * Walks every style rule of the stylesheet, queries its selectors in the live
+ * page at each viewport and records which selectors match an element whose
+ * bounding box intersects that viewport. Unlike DOM cloning, a full-height
+ * wrapper does not pull in the classes of everything inside it, and fixed,
+ * absolutely positioned or transformed elements are judged by where they are
+ * actually painted.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string} css - Stylesheet to analyze
+ * @param {Object} options - Configuration options
+ * @param {Array<{width: number, height: number}>} [options.viewports] - Viewports
+ *   to render, defaults to VIEWPORT_CONFIG
+ * @returns {Promise<{visibleSelectors: Set<string>[], extractCss: (viewportIndexes?: number[]) => string}>}
+ *   Visible selectors per viewport, and a function returning the rules visible
+ *   in any of the given viewports (all viewports by default)
+ *
+ * @example
+ * const fold = await analyzeAboveTheFoldRules(page, combinedCss, {
+ *   viewports: [{ width: 375, height: 667 }, { width: 1440, height: 900 }],
+ * });
+ * const mobileCss = fold.extractCss([0]);
+ */
+export async function analyzeAboveTheFoldRules(page, css, options = {}) {
+	const { viewports = [VIEWPORT_CONFIG] } = options;
+	const selectors = collectSelectors(css);
+
+	const visibleSelectors = [];
+	for (const viewport of viewports) {
+		await setPageViewport(page, viewport);
+		visibleSelectors.push(
+			await matchSelectorsAboveTheFold(page, selectors, {
+				viewportHeight: viewport.height,
+				viewportWidth: viewport.width,
+			})
+		);
+	}
+
+	const allIndexes = viewports.map((_, index) => index);
+
+	return {
+		visibleSelectors,
+		extractCss: (viewportIndexes = allIndexes) =>
+			filterRules(css, (selector) =>
+				viewportIndexes.some((index) =>
+					visibleSelectors[index].has(selector)
+				)
+			),
+	};
+}
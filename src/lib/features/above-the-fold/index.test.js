@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { buildViewportMediaQueries } from "./index.js";
+
+describe("buildViewportMediaQueries", () => {
+	test("splits the width axis between viewports", () => {
+		assert.deepEqual(
+			buildViewportMediaQueries([
+				{ width: 375, height: 667 },
+				{ width: 768, height: 1024 },
+				{ width: 1440, height: 900 },
+			]),
+			[
+				"(max-width: 767px)",
+				"(min-width: 768px) and (max-width: 1439px)",
+				"(min-width: 1440px)",
+			]
+		);
+	});
+
+	test("returns no query when one viewport covers every width", () => {
+		assert.deepEqual(
+			buildViewportMediaQueries([{ width: 1280, height: 900 }]),
+			[null]
+		);
+	});
+});
@@ -0,0 +1,217 @@
+/**
+ * Batch Module
+ *
+ * Helpers for running the critical CSS pipeline over many URLs: reading the
+ * URLs of a sitemap (or sitemap index), a bounded concurrency pool, a
+ * deadline for the whole batch and file name slugs for the generated
+ * stylesheets.
+ *
+ * @module features/batch
+ */
+
+/**
+ * Most URLs analyzed in one batch
+ */
+export const MAX_BATCH_URLS = 25;
+
+/**
+ * Default and highest number of pages analyzed at the same time
+ */
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 5;
+
+/**
+ * Time budget of a whole batch in ms. It leaves room within the 60 s function
+ * limit (vercel.json) to build the zip and send the response; URLs still
+ * running when it passes are reported as timed out, and unstarted ones as
+ * skipped.
+ */
+export const BATCH_DEADLINE = 50000;
+
+/**
+ * Most child sitemaps read from a sitemap index
+ */
+const MAX_CHILD_SITEMAPS = 10;
+
+/**
+ * Decodes the XML entities that can appear in a sitemap `<loc>`
+ * @param {string} text - Raw element text
+ * @returns {string} Decoded text
+ */
+function decodeXmlText(text) {
+	return text
+		.replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, "'")
+		.replace(/&amp;/g, "&")
+		.trim();
+}
+
+/**
+ * Extracts the locations listed in a sitemap
+ * @param {string} xml - Sitemap XML
+ * @returns {{urls: string[], sitemaps: string[]}} Page URLs of a `<urlset>`, or
+ *   child sitemap URLs of a `<sitemapindex>`
+ *
+ * @example
+ * parseSitemap("<urlset><url><loc>https://example.com/</loc></url></urlset>");
+ * // { urls: ["https://example.com/"], sitemaps: [] }
+ */
+export function parseSitemap(xml) {
+	const locations = [...xml.matchAll(/<loc>([\s\S]*?)<\/loc>/gi)]
+		.map((match) => decodeXmlText(match[1]))
+		.filter(Boolean);
+
+	return /<sitemapindex[\s>]/i.test(xml)
+		? { urls: [], sitemaps: locations }
+		: { urls: locations, sitemaps: [] };
+}
+
+/**
+ * Fetches and parses one sitemap
+ * @param {string} sitemapUrl - Sitemap URL
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<{urls: string[], sitemaps: string[]}>} Parsed locations
+ * @throws {Error} If the sitemap cannot be fetched
+ */
+async function fetchSitemap(sitemapUrl, signal) {
+	const response = await fetch(sitemapUrl, { signal });
+	if (!response.ok) {
+		throw new Error(
+			`Failed to fetch sitemap ${sitemapUrl}: HTTP ${response.status}`
+		);
+	}
+	return parseSitemap(await response.text());
+}
+
+/**
+ * Reads the page URLs of a sitemap, following a sitemap index one level deep
+ *
+ * @param {string} sitemapUrl - URL of sitemap.xml or a sitemap index
+ * @param {Object} [options] - Reading options
+ * @param {number} [options.maxUrls=MAX_BATCH_URLS] - Stop after this many URLs
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @returns {Promise<{urls: string[], truncated: boolean, warnings: Array<{sitemap: string, message: string}>}>}
+ *   Unique page URLs in sitemap order, whether more were listed than returned,
+ *   and the child sitemaps that could not be read
+ * @throws {Error} If the sitemap (or the index) cannot be fetched
+ */
+export async function fetchSitemapUrls(sitemapUrl, options = {}) {
+	const { maxUrls = MAX_BATCH_URLS, signal } = options;
+	const root = await fetchSitemap(sitemapUrl, signal);
+	const urls = new Set(root.urls);
+	const warnings = [];
+
+	for (const childUrl of root.sitemaps.slice(0, MAX_CHILD_SITEMAPS)) {
+		if (urls.size > maxUrls) break;
+		try {
+			const child = await fetchSitemap(childUrl, signal);
+			child.urls.forEach((url) => urls.add(url));
+		} catch (error) {
+			// One broken child sitemap should not fail the whole batch
+			warnings.push({ sitemap: childUrl, message: error.message });
+		}
+	}
+
+	const list = [...urls];
+	return {
+		urls: list.slice(0, maxUrls),
+		truncated:
+			list.length > maxUrls || root.sitemaps.length > MAX_CHILD_SITEMAPS,
+		warnings,
+	};
+}
+
+/**
+ * Maps items through an async worker with at most `limit` running at once
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {number} limit - Highest number of concurrent workers
+ * @param {(item: T, index: number) => Promise<R>} worker - Async worker
+ * @returns {Promise<R[]>} Results in item order
+ *
+ * @example
+ * const sizes = await mapWithConcurrency(urls, 3, (url) => measure(url));
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+	const results = new Array(items.length);
+	let next = 0;
+
+	const runWorker = async () => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await worker(items[index], index);
+		}
+	};
+
+	await Promise.all(
+		Array.from({ length: Math.min(limit, items.length) }, runWorker)
+	);
+	return results;
+}
+
+/**
+ * Waits for a task, rejecting with the signal's reason as soon as the signal
+ * aborts. The task itself keeps running; the caller stops it, e.g. by closing
+ * the browser session it uses.
+ * @template T
+ * @param {Promise<T>} promise - Task to wait for
+ * @param {AbortSignal} signal - Signal ending the wait
+ * @returns {Promise<T>} The task's value
+ *
+ * @example
+ * const result = await raceSignal(analyze(url), deadline.signal);
+ */
+export function raceSignal(promise, signal) {
+	if (signal.aborted) {
+		return Promise.reject(signal.reason);
+	}
+	let onAbort;
+	return Promise.race([
+		promise,
+		new Promise((_, reject) => {
+			onAbort = () => reject(signal.reason);
+			signal.addEventListener("abort", onAbort, { once: true });
+		}),
+	]).finally(() => signal.removeEventListener("abort", onAbort));
+}
+
+/**
+ * Turns text into a lowercase, dash-separated file name part
+ * @param {string} text - Text to slugify
+ * @returns {string} Slug, possibly empty
+ */
+function slugify(text) {
+	return text
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-+|-+$/g, "")
+		.slice(0, 80);
+}
+
+/**
+ * Creates a unique slug per URL for file names, from its path (and host when
+ * the URLs span several hosts); the root path becomes "home"
+ *
+ * @param {string[]} urls - Absolute URLs
+ * @returns {string[]} Slugs in URL order
+ *
+ * @example
+ * createUrlSlugs(["https://example.com/", "https://example.com/blog/post-1"]);
+ * // ["home", "blog-post-1"]
+ */
+export function createUrlSlugs(urls) {
+	const parsed = urls.map((url) => new URL(url));
+	const multipleHosts = new Set(parsed.map((url) => url.host)).size > 1;
+	const used = new Map();
+
+	return parsed.map((url) => {
+		const path = slugify(`${url.pathname}${url.search}`) || "home";
+		const base = multipleHosts ? `${slugify(url.host)}-${path}` : path;
+		const count = (used.get(base) || 0) + 1;
+		used.set(base, count);
+		return count > 1 ? `${base}-${count}` : base;
+	});
+}
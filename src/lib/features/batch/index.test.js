@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	createUrlSlugs,
+	mapWithConcurrency,
+	parseSitemap,
+	raceSignal,
+} from "./index.js";
+
+describe("parseSitemap", () => {
+	test("reads page URLs and decodes entities", () => {
+		assert.deepEqual(
+			parseSitemap(
+				"<urlset><url><loc> https://example.com/?a=1&amp;b=2 </loc></url>" +
+					"<url><loc><![CDATA[https://example.com/about]]></loc></url></urlset>"
+			),
+			{
+				urls: [
+					"https://example.com/?a=1&b=2",
+					"https://example.com/about",
+				],
+				sitemaps: [],
+			}
+		);
+	});
+
+	test("reads child sitemaps of a sitemap index", () => {
+		assert.deepEqual(
+			parseSitemap(
+				'<sitemapindex xmlns="x"><sitemap><loc>https://example.com/a.xml</loc></sitemap></sitemapindex>'
+			),
+			{ urls: [], sitemaps: ["https://example.com/a.xml"] }
+		);
+	});
+});
+
+describe("mapWithConcurrency", () => {
+	test("keeps item order and the concurrency limit", async () => {
+		let running = 0;
+		let highest = 0;
+		const results = await mapWithConcurrency(
+			[30, 10, 20, 0],
+			2,
+			async (delay, index) => {
+				running++;
+				highest = Math.max(highest, running);
+				await new Promise((resolve) => setTimeout(resolve, delay));
+				running--;
+				return index;
+			}
+		);
+		assert.deepEqual(results, [0, 1, 2, 3]);
+		assert.equal(highest, 2);
+	});
+});
+
+describe("raceSignal", () => {
+	test("resolves with the task when the signal stays open", async () => {
+		const controller = new AbortController();
+		assert.equal(
+			await raceSignal(Promise.resolve("done"), controller.signal),
+			"done"
+		);
+	});
+
+	test("rejects with the signal's reason once it aborts", async () => {
+		const controller = new AbortController();
+		const reason = new Error("deadline");
+		const pending = raceSignal(new Promise(() => {}), controller.signal);
+		controller.abort(reason);
+		await assert.rejects(pending, (error) => error === reason);
+		await assert.rejects(
+			raceSignal(Promise.resolve(), controller.signal),
+			(error) => error === reason
+		);
+	});
+});
+
+describe("createUrlSlugs", () => {
+	test("creates unique slugs from paths", () => {
+		assert.deepEqual(
+			createUrlSlugs([
+				"https://example.com/",
+				"https://example.com/blog/post-1",
+				"https://example.com/blog/post_1",
+			]),
+			["home", "blog-post-1", "blog-post-1-2"]
+		);
+	});
+
+	test("adds the host when URLs span several hosts", () => {
+		assert.deepEqual(
+			createUrlSlugs(["https://a.com/", "https://b.com/about"]),
+			["a-com-home", "b-com-about"]
+		);
+	});
+});
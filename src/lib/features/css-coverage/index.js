@@ -0,0 +1,90 @@
+/**
+ * CSS Coverage Module
+ *
+ * Uses the Chrome DevTools CSS coverage API to find which style rules were
+ * actually applied while the page rendered, including rules that only match
+ * after JavaScript adds classes to the DOM.
+ *
+ * @module features/css-coverage
+ */
+
+import postcss from "postcss";
+import { normalizeSelector } from "../rule-filter/index.js";
+
+/**
+ * Starts recording CSS rule usage. Must be called before navigation so
+ * that stylesheets loaded by the page are tracked.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @returns {Promise<void>}
+ */
+export async function startCssCoverage(page) {
+	await page.coverage.startCSSCoverage({ resetOnNavigation: false });
+}
+
+/**
+ * Checks whether a source range overlaps any used coverage range
+ * @param {number} start - Start offset of the rule
+ * @param {number} end - End offset of the rule
+ * @param {Array<{start: number, end: number}>} ranges - Used ranges
+ * @returns {boolean} True if the rule was used
+ */
+function overlapsUsedRange(start, end, ranges) {
+	return ranges.some((range) => range.start < end && range.end > start);
+}
+
+/**
+ * Stops recording and summarizes rule usage by selector.
+ *
+ * Every stylesheet reported by coverage is parsed and each style rule's
+ * source range is compared against the used ranges. Selectors are reported
+ * in `knownSelectors` when coverage saw them and in `usedSelectors` when at
+ * least one rule using them was applied.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @returns {Promise<{usedSelectors: Set<string>, knownSelectors: Set<string>}>}
+ *   Normalized selectors seen and used during rendering
+ *
+ * @example
+ * await startCssCoverage(page);
+ * await page.goto(url);
+ * const { usedSelectors } = await stopCssCoverage(page);
+ */
+export async function stopCssCoverage(page) {
+	const entries = await page.coverage.stopCSSCoverage();
+	const usedSelectors = new Set();
+	const knownSelectors = new Set();
+
+	for (const entry of entries) {
+		let root;
+		try {
+			root = postcss.parse(entry.text, { from: undefined });
+		} catch {
+			continue;
+		}
+
+		root.walkRules((rule) => {
+			if (
+				rule.parent?.type === "atrule" &&
+				/keyframes$/i.test(rule.parent.name)
+			) {
+				return;
+			}
+
+			const used = overlapsUsedRange(
+				rule.source.start.offset,
+				rule.source.end.offset,
+				entry.ranges
+			);
+			for (const selector of rule.selectors) {
+				const normalized = normalizeSelector(selector);
+				knownSelectors.add(normalized);
+				if (used) {
+					usedSelectors.add(normalized);
+				}
+			}
+		});
+	}
+
+	return { usedSelectors, knownSelectors };
+}
@@ -0,0 +1,356 @@
+/**
+ * CSS Dependencies Module
+ *
+ * Dependency-aware post-pass for critical CSS. Extraction engines decide
+ * which style rules are critical but keep or drop at-rules wholesale; this
+ * pass follows what the surviving rules actually reference:
+ * - `@font-face` blocks are kept only for families used by kept rules
+ * - `@keyframes` are kept only when named by a kept `animation`
+ * - root-level definitions of custom properties transitively referenced
+ *   through `var()` are restored when extraction dropped them, in their source
+ *   order. Custom properties already in the critical CSS are always kept, as
+ *   inline styles and scripts can read them.
+ *
+ * @module features/css-dependencies
+ */
+
+import postcss from "postcss";
+
+/**
+ * Selectors whose custom properties are inherited by the whole document
+ */
+const ROOT_SELECTORS = [":root", "html", "body", ":host", "*"];
+
+/**
+ * Matches var() references, capturing the custom property name
+ */
+const VAR_PATTERN = /var\(\s*(--[\w-]+)/g;
+
+/**
+ * CSS-wide and generic values that never name a font family or keyframes
+ */
+const RESERVED_KEYWORDS = new Set([
+	"inherit",
+	"initial",
+	"unset",
+	"revert",
+	"revert-layer",
+	"none",
+]);
+
+/**
+ * Checks whether a node sits inside @keyframes (keyframe selectors such as
+ * `from` or `50%` are not style rules)
+ * @param {import('postcss').Node} node - PostCSS node
+ * @returns {boolean} True if inside @keyframes
+ */
+function isInsideKeyframes(node) {
+	for (let parent = node.parent; parent; parent = parent.parent) {
+		if (parent.type === "atrule" && /keyframes$/i.test(parent.name)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Checks whether a node sits inside @font-face
+ * @param {import('postcss').Node} node - PostCSS node
+ * @returns {boolean} True if inside @font-face
+ */
+function isInsideFontFace(node) {
+	return node.parent?.type === "atrule" && node.parent.name === "font-face";
+}
+
+/**
+ * Lists the custom property names referenced by a value
+ * @param {string} value - Declaration value
+ * @returns {string[]} Referenced custom property names
+ */
+function getVarReferences(value) {
+	return [...value.matchAll(VAR_PATTERN)].map((match) => match[1]);
+}
+
+/**
+ * Collects every value declared for each custom property
+ * @param {import('postcss').Root} root - Parsed stylesheet
+ * @returns {Map<string, string[]>} Custom property name to declared values
+ */
+function collectCustomPropertyValues(root) {
+	const values = new Map();
+	root.walkDecls(/^--/, (decl) => {
+		if (!values.has(decl.prop)) {
+			values.set(decl.prop, []);
+		}
+		values.get(decl.prop).push(decl.value);
+	});
+	return values;
+}
+
+/**
+ * Expands a value with every possible value of the custom properties it
+ * references, so names hidden behind var() are still found
+ * @param {string} value - Declaration value
+ * @param {Map<string, string[]>} customProperties - Custom property values
+ * @returns {string} Value followed by the expanded values of its references
+ */
+function expandVars(value, customProperties) {
+	const expanded = [value];
+	const seen = new Set();
+	const queue = getVarReferences(value);
+
+	while (queue.length > 0) {
+		const name = queue.shift();
+		if (seen.has(name)) continue;
+		seen.add(name);
+		for (const referenced of customProperties.get(name) || []) {
+			expanded.push(referenced);
+			queue.push(...getVarReferences(referenced));
+		}
+	}
+
+	return expanded.join(", ");
+}
+
+/**
+ * Normalizes a font family or keyframes name for comparison
+ * @param {string} name - Raw name, possibly quoted
+ * @returns {string} Unquoted, lowercased name
+ */
+function normalizeName(name) {
+	return name
+		.trim()
+		.replace(/^['"]|['"]$/g, "")
+		.trim()
+		.toLowerCase();
+}
+
+/**
+ * Extracts the family list from a `font-family` or `font` declaration value
+ * @param {string} prop - Property name
+ * @param {string} value - Declaration value (with vars expanded)
+ * @returns {string[]} Normalized family names
+ */
+function getFontFamilies(prop, value) {
+	return value
+		.split(",")
+		.map((part) => {
+			if (prop !== "font") return part;
+			// The `font` shorthand ends with "<size>[/<line-height>] <family>"
+			const match = part.match(
+				/(?:^|\s)[\d.]+(?:[a-z%]+)?(?:\/\S+)?\s+(.+)$/i
+			);
+			return match ? match[1] : part;
+		})
+		.map(normalizeName)
+		.filter((name) => name && !RESERVED_KEYWORDS.has(name));
+}
+
+/**
+ * Extracts possible keyframes names from an `animation` or
+ * `animation-name` declaration value
+ * @param {string} value - Declaration value (with vars expanded)
+ * @returns {string[]} Normalized candidate names
+ */
+function getAnimationNames(value) {
+	return value
+		.split(/[\s,]+/)
+		.map(normalizeName)
+		.filter((name) => name && !RESERVED_KEYWORDS.has(name));
+}
+
+/**
+ * Finds the custom properties transitively referenced by the declarations of
+ * the kept rules
+ * @param {import('postcss').Root} root - Parsed critical CSS
+ * @param {Map<string, string[]>} customProperties - Custom property values
+ * @returns {Set<string>} Referenced custom property names
+ */
+function findReferencedCustomProperties(root, customProperties) {
+	const referenced = new Set();
+	const queue = [];
+
+	root.walkDecls((decl) => {
+		queue.push(...getVarReferences(decl.value));
+	});
+
+	while (queue.length > 0) {
+		const name = queue.shift();
+		if (referenced.has(name)) continue;
+		referenced.add(name);
+		for (const value of customProperties.get(name) || []) {
+			queue.push(...getVarReferences(value));
+		}
+	}
+
+	return referenced;
+}
+
+/**
+ * Identifies a top-level node for matching critical CSS to its source
+ * @param {import('postcss').ChildNode} node - Top-level node
+ * @returns {string} Node type with its selector or at-rule name and params
+ */
+function getNodeKey(node) {
+	if (node.type === "rule") return `rule ${node.selector}`;
+	if (node.type === "atrule") return `@${node.name} ${node.params}`;
+	return node.type;
+}
+
+/**
+ * Finds where each top-level critical node came from in the source. Nodes
+ * are matched in order, so a node without a match takes the position of the
+ * one before it.
+ * @param {import('postcss').Root} root - Parsed critical CSS
+ * @param {import('postcss').Root} sourceRoot - Parsed source stylesheet
+ * @returns {number[]} Source index of each top-level critical node
+ */
+function mapSourcePositions(root, sourceRoot) {
+	const sourceKeys = sourceRoot.nodes.map(getNodeKey);
+	let position = 0;
+	return root.nodes.map((node) => {
+		const index = sourceKeys.indexOf(getNodeKey(node), position);
+		if (index !== -1) {
+			position = index;
+		}
+		return position;
+	});
+}
+
+/**
+ * Copies root-level definitions of referenced custom properties that the
+ * critical CSS lacks from the source stylesheet, keeping their at-rule
+ * context (e.g. a dark-mode @media block). Each one is inserted where it
+ * stood in the source relative to the critical rules, so the cascade order
+ * is unchanged.
+ * @param {import('postcss').Root} root - Parsed critical CSS
+ * @param {import('postcss').Root} sourceRoot - Parsed source stylesheet
+ * @param {Set<string>} referenced - Referenced custom property names
+ */
+function restoreMissingDefinitions(root, sourceRoot, referenced) {
+	const defined = new Set();
+	root.walkDecls(/^--/, (decl) => defined.add(decl.prop));
+	const missing = [...referenced].filter((name) => !defined.has(name));
+	if (missing.length === 0) return;
+
+	const restored = [];
+	sourceRoot.walkRules((rule) => {
+		if (isInsideKeyframes(rule)) return;
+		if (
+			!rule.selectors.every((selector) =>
+				ROOT_SELECTORS.includes(selector.trim())
+			)
+		) {
+			return;
+		}
+
+		const decls = rule.nodes.filter(
+			(node) => node.type === "decl" && missing.includes(node.prop)
+		);
+		if (decls.length === 0) return;
+
+		// Rebuild the rule with only the missing definitions, inside clones of its at-rules
+		let node = rule.clone({ nodes: [] });
+		decls.forEach((decl) => node.append(decl.clone()));
+		let ancestor = rule;
+		while (ancestor.parent && ancestor.parent.type !== "root") {
+			ancestor = ancestor.parent;
+			node = ancestor.clone({ nodes: [] }).append(node);
+		}
+		restored.push({ node, position: sourceRoot.index(ancestor) });
+	});
+	if (restored.length === 0) return;
+
+	// Map before inserting, as insertions shift the critical nodes
+	const criticalNodes = [...root.nodes];
+	const positions = mapSourcePositions(root, sourceRoot);
+	for (const { node, position } of restored) {
+		const next = criticalNodes.find(
+			(_, index) => positions[index] > position
+		);
+		if (next) {
+			root.insertBefore(next, node);
+		} else {
+			root.append(node);
+		}
+	}
+}
+
+/**
+ * Applies the dependency-aware post-pass to critical CSS.
+ *
+ * @param {string} criticalCss - Critical CSS produced by extraction (unminified)
+ * @param {string} sourceCss - Combined stylesheet the critical CSS was extracted from
+ * @returns {string} Critical CSS with unused font faces and keyframes removed
+ *   and missing custom property definitions restored, or the input if either
+ *   stylesheet cannot be parsed
+ *
+ * @example
+ * preserveDependencies(
+ *   ".hero{font-family:Inter;animation:fade 1s}" +
+ *     "@font-face{font-family:Inter}@font-face{font-family:Icons}" +
+ *     "@keyframes fade{}@keyframes spin{}",
+ *   combinedCss
+ * );
+ * // ".hero{...}@font-face{font-family:Inter}@keyframes fade{}"
+ */
+export function preserveDependencies(criticalCss, sourceCss) {
+	let root;
+	let sourceRoot;
+	try {
+		root = postcss.parse(criticalCss, { from: undefined });
+		sourceRoot = postcss.parse(sourceCss, { from: undefined });
+	} catch {
+		return criticalCss;
+	}
+
+	const customProperties = collectCustomPropertyValues(sourceRoot);
+
+	// Custom properties first, so font and animation names behind var() resolve
+	restoreMissingDefinitions(
+		root,
+		sourceRoot,
+		findReferencedCustomProperties(root, customProperties)
+	);
+
+	const usedFamilies = new Set();
+	const usedAnimations = new Set();
+	root.walkDecls((decl) => {
+		if (isInsideKeyframes(decl) || isInsideFontFace(decl)) return;
+
+		const prop = decl.prop.toLowerCase();
+		if (prop === "font-family" || prop === "font") {
+			getFontFamilies(
+				prop,
+				expandVars(decl.value, customProperties)
+			).forEach((family) => usedFamilies.add(family));
+		} else if (prop === "animation" || prop === "animation-name") {
+			getAnimationNames(expandVars(decl.value, customProperties)).forEach(
+				(name) => usedAnimations.add(name)
+			);
+		}
+	});
+
+	root.walkAtRules((atRule) => {
+		const name = atRule.name.toLowerCase();
+		if (name === "font-face") {
+			const familyDecl = atRule.nodes?.find(
+				(node) =>
+					node.type === "decl" &&
+					node.prop.toLowerCase() === "font-family"
+			);
+			if (
+				familyDecl &&
+				!usedFamilies.has(normalizeName(familyDecl.value))
+			) {
+				atRule.remove();
+			}
+		} else if (/keyframes$/.test(name)) {
+			if (!usedAnimations.has(normalizeName(atRule.params))) {
+				atRule.remove();
+			}
+		}
+	});
+
+	return root.toString();
+}
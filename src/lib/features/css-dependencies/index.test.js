@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { preserveDependencies } from "./index.js";
+
+/**
+ * Collapses whitespace so assertions ignore formatting
+ * @param {string} css - CSS text
+ * @returns {string} CSS without whitespace runs
+ */
+const compact = (css) => css.replace(/\s+/g, "");
+
+describe("preserveDependencies", () => {
+	test("keeps only the font faces and keyframes kept rules use", () => {
+		const critical =
+			".hero{font-family:'Inter',sans-serif;animation:fade 1s}" +
+			"@font-face{font-family:Inter}@font-face{font-family:Icons}" +
+			"@keyframes fade{}@keyframes spin{}";
+		assert.equal(
+			compact(preserveDependencies(critical, critical)),
+			".hero{font-family:'Inter',sans-serif;animation:fade1s}" +
+				"@font-face{font-family:Inter}@keyframesfade{}"
+		);
+	});
+
+	test("finds names behind var() and in the font shorthand", () => {
+		const critical =
+			":root{--brand:Inter;--motion:pulse}" +
+			".a{font:700 1rem/1.2 var(--brand)}.b{animation:var(--motion) 2s}" +
+			"@font-face{font-family:Inter}@keyframes pulse{}";
+		assert.equal(
+			compact(preserveDependencies(critical, critical)),
+			compact(critical)
+		);
+	});
+
+	test("restores referenced definitions in source order", () => {
+		const source =
+			":root{--d:red}.h{color:var(--c)}:root{--c:var(--d);--unused:1px}";
+		assert.equal(
+			compact(preserveDependencies(".h{color:var(--c)}", source)),
+			":root{--d:red}.h{color:var(--c)}:root{--c:var(--d)}"
+		);
+	});
+
+	test("restores definitions with their at-rule context", () => {
+		const source =
+			":root{--bg:white}@media (prefers-color-scheme:dark){:root{--bg:black}}" +
+			".page{background:var(--bg)}";
+		assert.equal(
+			compact(
+				preserveDependencies(".page{background:var(--bg)}", source)
+			),
+			":root{--bg:white}@media(prefers-color-scheme:dark){:root{--bg:black}}" +
+				".page{background:var(--bg)}"
+		);
+	});
+
+	test("never removes custom properties already kept", () => {
+		const critical = ":root{--unused:1px}.a{color:red}";
+		assert.equal(preserveDependencies(critical, critical), critical);
+	});
+
+	test("returns the input when a stylesheet cannot be parsed", () => {
+		assert.equal(preserveDependencies(".a{", ".a{}"), ".a{");
+	});
+});
@@ -0,0 +1,259 @@
+/**
+ * CSS @import Resolution Module
+ *
+ * Recursively inlines `@import` rules so that imported stylesheets become
+ * part of the combined CSS. Imports are resolved relative to the importing
+ * file, their media, supports() and layer() conditions are preserved as
+ * wrapping at-rules, and circular imports are detected and dropped.
+ *
+ * @module features/css-imports
+ */
+
+import postcss from "postcss";
+
+/**
+ * Reads a balanced parenthesized group starting at an opening parenthesis
+ * @param {string} input - String to read from
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {number} Index just after the matching closing parenthesis
+ */
+function readBalanced(input, start) {
+	let depth = 0;
+	for (let i = start; i < input.length; i++) {
+		if (input[i] === "(") depth++;
+		if (input[i] === ")") depth--;
+		if (depth === 0) return i + 1;
+	}
+	return input.length;
+}
+
+/**
+ * Parses the params of an `@import` rule
+ * @param {string} params - Raw params, e.g. `url("a.css") layer(base) screen`
+ * @returns {{href: string, layer: string|null, supports: string|null, media: string}|null}
+ *   Parsed import, or null if no URL could be found
+ *
+ * @example
+ * parseImportParams('url(theme.css) supports(display: grid) screen');
+ * // { href: "theme.css", layer: null, supports: "display: grid", media: "screen" }
+ */
+export function parseImportParams(params) {
+	const match = params.match(
+		/^\s*(?:url\(\s*(['"]?)(.*?)\1\s*\)|(['"])(.*?)\3)\s*([\s\S]*)$/i
+	);
+	if (!match) {
+		return null;
+	}
+
+	const href = match[2] ?? match[4];
+	let rest = match[5].trim();
+	let layer = null;
+	let supports = null;
+
+	const layerMatch = rest.match(/^layer\b/i);
+	if (layerMatch) {
+		if (rest[5] === "(") {
+			const end = readBalanced(rest, 5);
+			layer = rest.slice(6, end - 1).trim();
+			rest = rest.slice(end).trim();
+		} else {
+			// Anonymous layer
+			layer = "";
+			rest = rest.slice(5).trim();
+		}
+	}
+
+	if (/^supports\(/i.test(rest)) {
+		const end = readBalanced(rest, 8);
+		supports = rest.slice(9, end - 1).trim();
+		rest = rest.slice(end).trim();
+	}
+
+	return { href, layer, supports, media: rest };
+}
+
+/**
+ * Wraps nodes in the at-rules equivalent to an import's conditions
+ * @param {import('postcss').ChildNode[]} nodes - Imported nodes
+ * @param {{layer: string|null, supports: string|null, media: string}} conditions
+ * @returns {import('postcss').ChildNode[]} Wrapped nodes
+ */
+function wrapWithConditions(nodes, { layer, supports, media }) {
+	let wrapped = nodes;
+	if (media) {
+		wrapped = [
+			postcss.atRule({ name: "media", params: media, nodes: wrapped }),
+		];
+	}
+	if (supports) {
+		wrapped = [
+			postcss.atRule({
+				name: "supports",
+				params: `(${supports})`,
+				nodes: wrapped,
+			}),
+		];
+	}
+	if (layer !== null) {
+		wrapped = [
+			postcss.atRule({ name: "layer", params: layer, nodes: wrapped }),
+		];
+	}
+	return wrapped;
+}
+
+/**
+ * Recursively resolves and inlines `@import` rules in a stylesheet.
+ *
+ * Each imported file is reported in `imports` in depth-first order with a
+ * reference to the import that pulled it in (`parent` is null for imports of
+ * the top-level stylesheet). Imports that fail to load or form a cycle are
+ * removed from the output and reported with an `error`.
+ *
+ * @param {string} css - Stylesheet CSS text
+ * @param {string} baseUrl - URL the stylesheet was loaded from (or the page URL for embedded CSS)
+ * @param {Object} options - Configuration options
+ * @param {(url: string) => Promise<string>} options.fetchCss - Fetches the text of an imported stylesheet
+ * @param {(css: string, url: string) => Promise<string>} [options.transformCss] - Applied to each
+ *   imported file before it is inlined, e.g. to rebase its url() references
+ * @param {string[]} [options.ancestors=[]] - URLs already on the import chain, used for cycle detection
+ * @returns {Promise<{css: string, imports: Array<Object>}>} Resolved CSS and imported file records:
+ *   - url: Absolute URL of the imported file
+ *   - parent: Record of the importing file, or null
+ *   - depth: Import nesting level (1 for direct imports)
+ *   - content: Raw CSS text of the imported file (without its own imports resolved)
+ *   - error: Error message if the import was dropped
+ *   - cause: Error thrown while fetching or parsing the file, if that is why it was dropped
+ *
+ * @example
+ * const { css, imports } = await resolveImports(
+ *   '@import url("base.css") screen;',
+ *   "https://example.com/theme/style.css",
+ *   { fetchCss: (url) => fetch(url).then((r) => r.text()) }
+ * );
+ */
+export async function resolveImports(css, baseUrl, options = {}) {
+	const {
+		fetchCss,
+		transformCss = async (text) => text,
+		ancestors = [],
+	} = options;
+	return resolveRecursive(css, baseUrl, {
+		fetchCss,
+		transformCss,
+		ancestors: [...ancestors, baseUrl],
+		parent: null,
+		depth: 1,
+	});
+}
+
+/**
+ * Resolves imports of one stylesheet, recursing into each imported file
+ * @param {string} css - Stylesheet CSS text
+ * @param {string} baseUrl - URL imports are resolved against
+ * @param {Object} context - Recursion state
+ * @returns {Promise<{css: string, imports: Array<Object>}>}
+ */
+async function resolveRecursive(css, baseUrl, context) {
+	const { fetchCss, transformCss, ancestors, parent, depth } = context;
+
+	let root;
+	try {
+		root = postcss.parse(css, { from: undefined });
+	} catch {
+		// Unparseable CSS is passed through untouched
+		return { css, imports: [] };
+	}
+
+	// Only top-level @import rules are valid
+	const importRules = (root.nodes || []).filter(
+		(node) => node.type === "atrule" && node.name.toLowerCase() === "import"
+	);
+	if (importRules.length === 0) {
+		return { css, imports: [] };
+	}
+
+	// Fetch sibling imports in parallel, then resolve in source order
+	const loaded = await Promise.all(
+		importRules.map(async (rule) => {
+			const parsed = parseImportParams(rule.params);
+			if (!parsed) {
+				return { rule, parsed };
+			}
+
+			let url;
+			try {
+				url = new URL(parsed.href, baseUrl).href;
+			} catch {
+				return {
+					rule,
+					parsed,
+					error: `Invalid @import URL: ${parsed.href}`,
+				};
+			}
+
+			if (ancestors.includes(url)) {
+				return { rule, parsed, url, error: "Circular @import skipped" };
+			}
+
+			try {
+				return { rule, parsed, url, content: await fetchCss(url) };
+			} catch (error) {
+				return {
+					rule,
+					parsed,
+					url,
+					error: error.message,
+					cause: error,
+				};
+			}
+		})
+	);
+
+	const imports = [];
+	for (const { rule, parsed, url, content, error, cause } of loaded) {
+		if (!parsed) {
+			// Leave unrecognized syntax as-is
+			continue;
+		}
+
+		const record = { url, parent, depth, content: content ?? "" };
+		if (error) {
+			record.error = error;
+			record.cause = cause;
+			imports.push(record);
+			rule.remove();
+			continue;
+		}
+		imports.push(record);
+
+		const resolved = await resolveRecursive(
+			await transformCss(content, url),
+			url,
+			{
+				fetchCss,
+				transformCss,
+				ancestors: [...ancestors, url],
+				parent: record,
+				depth: depth + 1,
+			}
+		);
+		imports.push(...resolved.imports);
+
+		let importedRoot;
+		try {
+			importedRoot = postcss.parse(resolved.css, { from: undefined });
+		} catch (parseError) {
+			record.error = parseError.message;
+			record.cause = parseError;
+			rule.remove();
+			continue;
+		}
+		// @charset is only valid at the start of a file
+		importedRoot.walkAtRules("charset", (charset) => charset.remove());
+
+		rule.replaceWith(wrapWithConditions(importedRoot.nodes, parsed));
+	}
+
+	return { css: root.toString(), imports };
+}
@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { parseImportParams, resolveImports } from "./index.js";
+
+/**
+ * Creates a fetchCss stub serving stylesheets from a map of URLs
+ * @param {Object<string, string>} files - CSS text by absolute URL
+ * @returns {(url: string) => Promise<string>} Stub rejecting unknown URLs
+ */
+function serveFiles(files) {
+	return async (url) => {
+		if (!(url in files)) {
+			throw new Error(`HTTP 404 for ${url}`);
+		}
+		return files[url];
+	};
+}
+
+/**
+ * Collapses whitespace so assertions ignore formatting
+ * @param {string} css - CSS text
+ * @returns {string} CSS without whitespace runs
+ */
+const compact = (css) => css.replace(/\s+/g, "");
+
+describe("parseImportParams", () => {
+	test("reads url() and string forms", () => {
+		assert.equal(parseImportParams('url("a.css")').href, "a.css");
+		assert.equal(parseImportParams("url(a.css)").href, "a.css");
+		assert.equal(parseImportParams("'b.css'").href, "b.css");
+	});
+
+	test("reads layer, supports and media conditions", () => {
+		assert.deepEqual(
+			parseImportParams(
+				'url("a.css") layer(base) supports(display: grid) screen and (min-width: 40em)'
+			),
+			{
+				href: "a.css",
+				layer: "base",
+				supports: "display: grid",
+				media: "screen and (min-width: 40em)",
+			}
+		);
+	});
+
+	test("treats a bare layer keyword as an anonymous layer", () => {
+		assert.equal(parseImportParams('"a.css" layer print').layer, "");
+		assert.equal(parseImportParams('"a.css" layer print').media, "print");
+	});
+
+	test("returns null without a URL", () => {
+		assert.equal(parseImportParams("screen"), null);
+	});
+});
+
+describe("resolveImports", () => {
+	test("inlines nested imports relative to the importing file", async () => {
+		const { css, imports } = await resolveImports(
+			'@import "theme/main.css";\n.page{margin:0}',
+			"https://example.com/style.css",
+			{
+				fetchCss: serveFiles({
+					"https://example.com/theme/main.css":
+						'@import "base.css";\n.main{color:red}',
+					"https://example.com/theme/base.css": "body{margin:0}",
+				}),
+			}
+		);
+
+		assert.equal(
+			compact(css),
+			"body{margin:0}.main{color:red}.page{margin:0}"
+		);
+		assert.deepEqual(
+			imports.map(({ url, depth, parent }) => [url, depth, parent?.url]),
+			[
+				["https://example.com/theme/main.css", 1, undefined],
+				[
+					"https://example.com/theme/base.css",
+					2,
+					"https://example.com/theme/main.css",
+				],
+			]
+		);
+	});
+
+	test("wraps imported rules in their conditions", async () => {
+		const { css } = await resolveImports(
+			'@import "a.css" layer(base) supports(display: grid) print;',
+			"https://example.com/",
+			{ fetchCss: serveFiles({ "https://example.com/a.css": ".a{}" }) }
+		);
+
+		assert.equal(
+			compact(css),
+			"@layerbase{@supports(display:grid){@mediaprint{.a{}}}}"
+		);
+	});
+
+	test("drops circular imports and reports them", async () => {
+		const { css, imports } = await resolveImports(
+			'@import "b.css";.a{}',
+			"https://example.com/a.css",
+			{
+				fetchCss: serveFiles({
+					"https://example.com/b.css": '@import "a.css";.b{}',
+				}),
+			}
+		);
+
+		assert.equal(compact(css), ".b{}.a{}");
+		assert.equal(imports[1].error, "Circular @import skipped");
+	});
+
+	test("drops failed imports and keeps the error as cause", async () => {
+		const { css, imports } = await resolveImports(
+			'@import "missing.css";.a{}',
+			"https://example.com/",
+			{ fetchCss: serveFiles({}) }
+		);
+
+		assert.equal(compact(css), ".a{}");
+		assert.match(imports[0].error, /HTTP 404/);
+		assert.ok(imports[0].cause instanceof Error);
+	});
+
+	test("removes @charset from imported files", async () => {
+		const { css } = await resolveImports(
+			'@import "a.css";',
+			"https://example.com/",
+			{
+				fetchCss: serveFiles({
+					"https://example.com/a.css": '@charset "utf-8";.a{}',
+				}),
+			}
+		);
+
+		assert.equal(compact(css), ".a{}");
+	});
+
+	test("applies transformCss to each imported file", async () => {
+		const { css } = await resolveImports(
+			'@import "a.css";',
+			"https://example.com/",
+			{
+				fetchCss: serveFiles({ "https://example.com/a.css": ".a{}" }),
+				transformCss: async (text, url) => `/* ${url} */${text}`,
+			}
+		);
+
+		assert.match(css, /\/\* https:\/\/example\.com\/a\.css \*\//);
+	});
+});
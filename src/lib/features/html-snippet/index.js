@@ -0,0 +1,128 @@
+/**
+ * HTML Snippet Module
+ *
+ * Builds a ready-to-paste `<head>` snippet from the extraction results: the
+ * critical CSS inlined in a `<style>` block, followed by each original
+ * stylesheet loaded without blocking render using the
+ * `media="print" onload="this.media='all'"` pattern (restoring the sheet's own
+ * `media` instead of `all` when it has one), with a `<noscript>` fallback for
+ * visitors without JavaScript.
+ *
+ * @module features/html-snippet
+ */
+
+import { STYLESHEET_TYPES } from "../stylesheet-sources/index.js";
+
+/**
+ * Escapes a value for use inside a double-quoted HTML attribute
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+export function escapeHtmlAttribute(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/"/g, "&quot;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;");
+}
+
+/**
+ * Escapes CSS so it cannot close the `<style>` element it is inlined in
+ * @param {string} css - CSS text
+ * @returns {string} CSS safe to place inside `<style>`
+ */
+export function escapeStyleContent(css) {
+	return css.replace(/<\/(style)/gi, "<\\/$1");
+}
+
+/**
+ * Generates the async loading tags for one stylesheet
+ * @param {{url: string, media?: string|null}} stylesheet - Linked stylesheet
+ * @returns {string} `<link>` tag plus `<noscript>` fallback
+ */
+function generateAsyncStylesheetTags({ url, media }) {
+	const escaped = escapeHtmlAttribute(url);
+	const finalMedia = (media || "all").replace(/[\\']/g, "\\$&");
+	const mediaAttribute = media
+		? ` media="${escapeHtmlAttribute(media)}"`
+		: "";
+	return [
+		`<link rel="stylesheet" href="${escaped}" media="print" onload="this.media='${escapeHtmlAttribute(finalMedia)}'">`,
+		`<noscript><link rel="stylesheet" href="${escaped}"${mediaAttribute}></noscript>`,
+	].join("\n");
+}
+
+/**
+ * Generates the tag for a print-only stylesheet, which never blocks rendering
+ * @param {{url: string, media: string}} stylesheet - Linked stylesheet
+ * @returns {string} `<link>` tag
+ */
+function generatePrintStylesheetTag({ url, media }) {
+	return `<link rel="stylesheet" href="${escapeHtmlAttribute(url)}" media="${escapeHtmlAttribute(media)}">`;
+}
+
+/**
+ * Generates a `<head>` snippet that inlines critical CSS and loads the
+ * original stylesheets asynchronously.
+ *
+ * Only stylesheets linked from the page are loaded: files pulled in by
+ * `@import` are loaded by their importer, and embedded CSS (inline, adopted
+ * or shadow styles) already ships with the page. Print-only stylesheets left
+ * out of the analysis are linked as they are, since they never block
+ * rendering; disabled and alternate stylesheets are left out, so keep their
+ * original tags.
+ *
+ * @param {Object} options - Snippet contents
+ * @param {string} options.criticalCss - Minified critical CSS to inline
+ * @param {Array<{type: string, url: string|null, media?: string|null, excluded?: string|null}>} [options.stylesheets=[]] -
+ *   Stylesheet metadata from the extraction, in document order
+ * @param {string[]} [options.preloadTags=[]] - Resource hint tags placed
+ *   before the inlined CSS
+ * @returns {string} HTML snippet
+ *
+ * @example
+ * generateHtmlSnippet({
+ *   criticalCss: ".hero{padding:2rem}",
+ *   stylesheets: [{ type: "external", url: "https://example.com/main.css" }],
+ * });
+ * // <style>.hero{padding:2rem}</style>
+ * // <link rel="stylesheet" href="https://example.com/main.css" media="print" onload="this.media='all'">
+ * // <noscript><link rel="stylesheet" href="https://example.com/main.css"></noscript>
+ */
+export function generateHtmlSnippet({
+	criticalCss,
+	stylesheets = [],
+	preloadTags = [],
+}) {
+	const seen = new Set();
+	const linked = stylesheets.filter(({ type, url, excluded }) => {
+		if (type !== STYLESHEET_TYPES.external || !url || seen.has(url)) {
+			return false;
+		}
+		seen.add(url);
+		return !excluded || excluded === "print";
+	});
+
+	const sections = [];
+	if (preloadTags.length > 0) {
+		sections.push(`<!-- Resource hints -->\n${preloadTags.join("\n")}`);
+	}
+	if (criticalCss) {
+		sections.push(
+			`<!-- Critical CSS -->\n<style>${escapeStyleContent(criticalCss)}</style>`
+		);
+	}
+	if (linked.length > 0) {
+		sections.push(
+			`<!-- Full stylesheets, loaded without blocking render -->\n${linked
+				.map((stylesheet) =>
+					stylesheet.excluded
+						? generatePrintStylesheetTag(stylesheet)
+						: generateAsyncStylesheetTags(stylesheet)
+				)
+				.join("\n")}`
+		);
+	}
+
+	return sections.join("\n\n");
+}
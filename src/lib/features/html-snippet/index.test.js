@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	escapeHtmlAttribute,
+	escapeStyleContent,
+	generateHtmlSnippet,
+} from "./index.js";
+
+describe("escapeHtmlAttribute", () => {
+	test("escapes ampersands, quotes and angle brackets", () => {
+		assert.equal(
+			escapeHtmlAttribute('/a.css?x="1"&y=<2>'),
+			"/a.css?x=&quot;1&quot;&amp;y=&lt;2&gt;"
+		);
+	});
+});
+
+describe("escapeStyleContent", () => {
+	test("keeps CSS from closing the style element", () => {
+		assert.equal(
+			escapeStyleContent(
+				'.a{content:"</style><script>"}.b{content:"</STYLE"}'
+			),
+			'.a{content:"<\\/style><script>"}.b{content:"<\\/STYLE"}'
+		);
+	});
+});
+
+describe("generateHtmlSnippet", () => {
+	test("inlines critical CSS and loads stylesheets asynchronously", () => {
+		assert.equal(
+			generateHtmlSnippet({
+				criticalCss: ".hero{padding:2rem}",
+				stylesheets: [
+					{ type: "external", url: "https://example.com/main.css" },
+				],
+				preloadTags: [
+					'<link rel="preload" href="/font.woff2" as="font">',
+				],
+			}),
+			[
+				"<!-- Resource hints -->",
+				'<link rel="preload" href="/font.woff2" as="font">',
+				"",
+				"<!-- Critical CSS -->",
+				"<style>.hero{padding:2rem}</style>",
+				"",
+				"<!-- Full stylesheets, loaded without blocking render -->",
+				'<link rel="stylesheet" href="https://example.com/main.css" media="print" onload="this.media=\'all\'">',
+				'<noscript><link rel="stylesheet" href="https://example.com/main.css"></noscript>',
+			].join("\n")
+		);
+	});
+
+	test("escapes the inlined CSS", () => {
+		assert.equal(
+			generateHtmlSnippet({ criticalCss: ".a{}</style><script>" }),
+			"<!-- Critical CSS -->\n<style>.a{}<\\/style><script></style>"
+		);
+	});
+
+	test("escapes quotes in hrefs and media", () => {
+		const snippet = generateHtmlSnippet({
+			criticalCss: "",
+			stylesheets: [
+				{
+					type: "external",
+					url: 'https://example.com/a.css?v="1"&x',
+					media: "screen and (min-width: 't')",
+				},
+			],
+		});
+		assert.ok(
+			snippet.includes(
+				'href="https://example.com/a.css?v=&quot;1&quot;&amp;x" media="print" onload="this.media=\'screen and (min-width: \\\'t\\\')\'"'
+			)
+		);
+		assert.ok(!snippet.includes('"1"'));
+	});
+
+	test("restores the stylesheet's media in the noscript fallback", () => {
+		const snippet = generateHtmlSnippet({
+			criticalCss: "",
+			stylesheets: [
+				{
+					type: "external",
+					url: "https://example.com/wide.css",
+					media: "(min-width: 768px)",
+				},
+			],
+		});
+		assert.ok(
+			snippet.includes(
+				'<noscript><link rel="stylesheet" href="https://example.com/wide.css" media="(min-width: 768px)"></noscript>'
+			)
+		);
+	});
+
+	test("links print stylesheets as they are and skips the rest", () => {
+		const snippet = generateHtmlSnippet({
+			criticalCss: "",
+			stylesheets: [
+				{
+					type: "external",
+					url: "/print.css",
+					media: "print",
+					excluded: "print",
+				},
+				{ type: "external", url: "/alt.css", excluded: "alternate" },
+				{ type: "import", url: "/imported.css" },
+				{ type: "inline", url: null },
+				{ type: "external", url: "/main.css" },
+				{ type: "external", url: "/main.css" },
+			],
+		});
+		assert.equal(
+			snippet,
+			[
+				"<!-- Full stylesheets, loaded without blocking render -->",
+				'<link rel="stylesheet" href="/print.css" media="print">',
+				'<link rel="stylesheet" href="/main.css" media="print" onload="this.media=\'all\'">',
+				'<noscript><link rel="stylesheet" href="/main.css"></noscript>',
+			].join("\n")
+		);
+	});
+
+	test("is empty without critical CSS or linked stylesheets", () => {
+		assert.equal(generateHtmlSnippet({ criticalCss: "" }), "");
+	});
+});
@@ -7,8 +7,11 @@
  */
 
 export {
+	analyzeAboveTheFoldRules,
+	buildViewportMediaQueries,
 	captureAboveTheFoldHTML,
 	getAboveTheFoldSelectors,
+	matchSelectorsAboveTheFold,
 	VIEWPORT_CONFIG,
 } from "./above-the-fold/index.js";
 
@@ -21,3 +24,114 @@ export {
 	generatePreconnect,
 	PRELOAD_TYPES,
 } from "./preload-generator/index.js";
+
+export {
+	createUrlSlugs,
+	DEFAULT_CONCURRENCY,
+	fetchSitemapUrls,
+	mapWithConcurrency,
+	MAX_BATCH_URLS,
+	MAX_CONCURRENCY,
+	parseSitemap,
+} from "./batch/index.js";
+
+export { startCssCoverage, stopCssCoverage } from "./css-coverage/index.js";
+
+export { preserveDependencies } from "./css-dependencies/index.js";
+
+export { parseImportParams, resolveImports } from "./css-imports/index.js";
+
+export {
+	CLS_THRESHOLDS,
+	measureLateCssShifts,
+	rateCls,
+} from "./layout-shift/index.js";
+
+export {
+	escapeHtmlAttribute,
+	escapeStyleContent,
+	generateHtmlSnippet,
+} from "./html-snippet/index.js";
+
+export {
+	applyCriticalCssOnly,
+	PRESERVED_STYLE_ATTRIBUTE,
+	PREVIEW_STYLE_ID,
+	renderCriticalPreview,
+} from "./page-preview/index.js";
+
+export {
+	collectMediaQueries,
+	evaluateMediaQueries,
+	filterMediaQueries,
+	KEEPABLE_MEDIA_FEATURES,
+	normalizeMediaQuery,
+	parseMediaFeatureList,
+} from "./media-queries/index.js";
+
+export { subtractCriticalCss } from "./remaining-css/index.js";
+
+export {
+	collectSelectors,
+	filterRules,
+	normalizeSelector,
+	pruneEmptyAtRules,
+} from "./rule-filter/index.js";
+
+export { rebaseCssUrls, rebaseUrls, URL_MODES } from "./url-rebase/index.js";
+
+export {
+	applySelectorLists,
+	matchesSelectorPatterns,
+	parseSelectorPatterns,
+	PATTERN_TYPES,
+} from "./selector-lists/index.js";
+
+export {
+	assertValidCss,
+	createStylesheetError,
+	describeStylesheetError,
+	STYLESHEET_ERROR_CODES,
+} from "./stylesheet-errors/index.js";
+
+export {
+	assertStylesheetSize,
+	decodeStylesheet,
+	DEFAULT_STYLESHEET_LIMITS,
+	fetchStylesheet,
+	getStylesheetEncoding,
+	MAX_STYLESHEET_BYTES,
+} from "./stylesheet-fetch/index.js";
+
+export {
+	extractPageStylesheets,
+	STYLESHEET_TYPES,
+} from "./stylesheet-sources/index.js";
+
+export {
+	collectDomSignature,
+	compareDomSignatures,
+	createGroupSlugs,
+	DEFAULT_SAMPLES_PER_GROUP,
+	DEFAULT_SIMILARITY,
+	getUrlPattern,
+	groupByDomSimilarity,
+	groupUrlsByPattern,
+	GROUPING_MODES,
+	MAX_SAMPLES_PER_GROUP,
+	mergeCriticalCss,
+	selectSamples,
+} from "./template-groups/index.js";
+
+export {
+	captureViewportScreenshot,
+	compareScreenshots,
+	DEFAULT_DIFF_THRESHOLD,
+} from "./visual-diff/index.js";
+
+export {
+	collectWebVitals,
+	observeWebVitals,
+	rateMetric,
+	VITALS_THRESHOLDS,
+} from "./web-vitals/index.js";
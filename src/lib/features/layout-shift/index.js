@@ -0,0 +1,256 @@
+/**
+ * Layout Shift Module
+ *
+ * Measures the Cumulative Layout Shift caused by CSS that arrives after first
+ * paint, such as the non-critical stylesheet loaded asynchronously after the
+ * critical CSS. Shifts are recorded with a `PerformanceObserver` and each
+ * shifted element is traced back to the late rules that change its layout or
+ * the layout of its ancestors.
+ *
+ * @module features/layout-shift
+ */
+
+import { PRESERVED_STYLE_ATTRIBUTE } from "../page-preview/index.js";
+
+/**
+ * Core Web Vitals CLS thresholds: up to `good` passes, above `poor` fails
+ */
+export const CLS_THRESHOLDS = {
+	good: 0.1,
+	poor: 0.25,
+};
+
+/**
+ * Rates a CLS score against the Core Web Vitals thresholds
+ * @param {number} cls - Cumulative Layout Shift score
+ * @returns {string} 'good', 'needs-improvement' or 'poor'
+ */
+export function rateCls(cls) {
+	if (cls <= CLS_THRESHOLDS.good) return "good";
+	if (cls <= CLS_THRESHOLDS.poor) return "needs-improvement";
+	return "poor";
+}
+
+/**
+ * Injects late CSS into a loaded page and records the layout shifts it causes.
+ *
+ * The CSS is appended as a `<style>` element, then the page waits for web
+ * fonts it pulls in and for layout to settle. Each shift source is reported
+ * with the late rules that match it or one of its ancestors and set
+ * layout-affecting properties (size, spacing, display, positioning, fonts).
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page, loaded and painted
+ * @param {string} css - CSS arriving after first paint, e.g. the remaining CSS
+ * @param {Object} [options] - Measurement options
+ * @param {number} [options.settleTime=500] - Time in ms to keep recording after
+ *   fonts have loaded
+ * @param {number} [options.maxCausesPerElement=10] - Cap on reported rules per
+ *   shifted element
+ * @returns {Promise<{cls: number, rating: string, shifts: Array<Object>, culprits: Array<Object>}>}
+ *   CLS of the late CSS, every shift with its sources and their causes, and
+ *   the culprit selectors ranked by the shift they contributed to
+ *
+ * @example
+ * const { cls, culprits } = await measureLateCssShifts(page, remainingCss);
+ * // culprits: [{ selector: ".hero", properties: ["height"], shiftScore: 0.12, elements: 1 }]
+ */
+export async function measureLateCssShifts(page, css, options = {}) {
+	const { settleTime = 500, maxCausesPerElement = 10 } = options;
+
+	const shifts = await page.evaluate(
+		async (lateCss, keepAttribute, settle, maxCauses) => {
+			const LAYOUT_PROPERTY =
+				/^(width|height|min-|max-|margin|padding|border(-(top|right|bottom|left))?(-width)?$|display|position|top|right|bottom|left|inset|float|clear|flex|grid|gap|row-gap|column-gap|order|align-|justify-|place-|font|line-height|letter-spacing|word-spacing|white-space|text-indent|box-sizing|aspect-ratio|columns?|overflow|content$)/;
+			const PSEUDO_ELEMENT =
+				/::?(before|after|first-line|first-letter|marker|placeholder|selection|backdrop|file-selector-button|-webkit-[\w-]+|-moz-[\w-]+|-ms-[\w-]+)/gi;
+
+			const entries = [];
+			const observer = new PerformanceObserver((list) =>
+				entries.push(...list.getEntries())
+			);
+			observer.observe({ type: "layout-shift" });
+
+			const style = document.createElement("style");
+			style.setAttribute(keepAttribute, "");
+			style.textContent = lateCss;
+			document.head.append(style);
+
+			await document.fonts.ready;
+			await new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve))
+			);
+			await new Promise((resolve) => setTimeout(resolve, settle));
+			entries.push(...observer.takeRecords());
+			observer.disconnect();
+
+			/**
+			 * Lists the style rules of the late CSS that currently apply,
+			 * with their layout-affecting properties
+			 * @param {CSSRuleList} rules - Rules to walk
+			 * @param {Array<Object>} found - Accumulator
+			 * @returns {Array<{selector: string, properties: string[]}>}
+			 */
+			function collectLayoutRules(rules, found = []) {
+				for (const rule of rules) {
+					if (rule instanceof CSSStyleRule) {
+						const properties = Array.from(rule.style).filter(
+							(property) => LAYOUT_PROPERTY.test(property)
+						);
+						if (properties.length > 0) {
+							found.push({
+								selector: rule.selectorText,
+								properties,
+							});
+						}
+					} else if (rule instanceof CSSMediaRule) {
+						if (window.matchMedia(rule.media.mediaText).matches) {
+							collectLayoutRules(rule.cssRules, found);
+						}
+					} else if (rule instanceof CSSSupportsRule) {
+						if (CSS.supports(rule.conditionText)) {
+							collectLayoutRules(rule.cssRules, found);
+						}
+					} else if (rule.cssRules) {
+						collectLayoutRules(rule.cssRules, found);
+					}
+				}
+				return found;
+			}
+
+			/**
+			 * Builds a short, readable selector path for an element
+			 * @param {Element} element - Element to describe
+			 * @returns {string} e.g. "main > section.hero > h1"
+			 */
+			function describeElement(element) {
+				const parts = [];
+				for (
+					let node = element;
+					node && node !== document.documentElement;
+					node = node.parentElement
+				) {
+					let part = node.localName;
+					if (node.id) {
+						parts.unshift(`${part}#${node.id}`);
+						break;
+					}
+					if (typeof node.className === "string" && node.className) {
+						part += `.${node.className.trim().split(/\s+/).join(".")}`;
+					}
+					parts.unshift(part);
+				}
+				return parts.slice(-4).join(" > ");
+			}
+
+			/**
+			 * Checks whether an element matches a selector, ignoring
+			 * pseudo-elements since they lay out as part of the element
+			 * @param {Element} element - Element to test
+			 * @param {string} selector - Selector list
+			 * @returns {boolean} True on match
+			 */
+			function matchesSelector(element, selector) {
+				try {
+					return element.matches(
+						selector.replace(PSEUDO_ELEMENT, "").trim() || "*"
+					);
+				} catch (e) {
+					return false;
+				}
+			}
+
+			const layoutRules = collectLayoutRules(style.sheet.cssRules);
+			const toRect = (rect) => ({
+				x: rect.x,
+				y: rect.y,
+				width: rect.width,
+				height: rect.height,
+			});
+
+			return entries
+				.filter((entry) => !entry.hadRecentInput)
+				.map((entry) => ({
+					value: entry.value,
+					startTime: entry.startTime,
+					sources: (entry.sources || []).map((source) => {
+						const element =
+							source.node?.nodeType === Node.ELEMENT_NODE
+								? source.node
+								: source.node?.parentElement;
+						const causes = [];
+						const seen = new Set();
+						for (
+							let node = element, depth = 0;
+							node && causes.length < maxCauses;
+							node = node.parentElement, depth++
+						) {
+							for (const rule of layoutRules) {
+								if (causes.length >= maxCauses) break;
+								if (
+									!seen.has(rule) &&
+									matchesSelector(node, rule.selector)
+								) {
+									seen.add(rule);
+									causes.push({
+										selector: rule.selector,
+										properties: rule.properties,
+										matched:
+											depth === 0 ? "self" : "ancestor",
+									});
+								}
+							}
+						}
+						return {
+							element: element ? describeElement(element) : null,
+							previousRect: toRect(source.previousRect),
+							currentRect: toRect(source.currentRect),
+							causes,
+						};
+					}),
+				}));
+		},
+		css,
+		PRESERVED_STYLE_ATTRIBUTE,
+		settleTime,
+		maxCausesPerElement
+	);
+
+	const cls = shifts.reduce((total, shift) => total + shift.value, 0);
+
+	// Credit each shift's score to every rule that could have caused it
+	const culprits = new Map();
+	for (const shift of shifts) {
+		const credited = new Set();
+		for (const source of shift.sources) {
+			for (const cause of source.causes) {
+				if (!culprits.has(cause.selector)) {
+					culprits.set(cause.selector, {
+						selector: cause.selector,
+						properties: cause.properties,
+						shiftScore: 0,
+						elements: new Set(),
+					});
+				}
+				const culprit = culprits.get(cause.selector);
+				if (!credited.has(culprit)) {
+					credited.add(culprit);
+					culprit.shiftScore += shift.value;
+				}
+				culprit.elements.add(source.element);
+			}
+		}
+	}
+
+	return {
+		cls: Math.round(cls * 10000) / 10000,
+		rating: rateCls(cls),
+		shifts,
+		culprits: [...culprits.values()]
+			.map((culprit) => ({
+				...culprit,
+				shiftScore: Math.round(culprit.shiftScore * 10000) / 10000,
+				elements: culprit.elements.size,
+			}))
+			.sort((a, b) => b.shiftScore - a.shiftScore),
+	};
+}
@@ -0,0 +1,214 @@
+/**
+ * Media Query Filter Module
+ *
+ * Evaluates the `@media` conditions of a stylesheet in the live page, for
+ * each rendered viewport and the emulated device, and removes the blocks that
+ * do not apply. PurgeCSS and the fold engines judge selectors only, so without
+ * this a `prefers-color-scheme: dark` or `print` block is kept or dropped by
+ * chance. Media features listed as kept (e.g. dark mode) are evaluated a
+ * second time with that preference emulated, so their blocks survive too.
+ *
+ * @module features/media-queries
+ */
+
+import postcss from "postcss";
+import { COLOR_SCHEMES, REDUCED_MOTION_VALUES } from "../../browser/devices.js";
+import { setPageViewport, VIEWPORT_CONFIG } from "../../browser/viewports.js";
+import { pruneEmptyAtRules } from "../rule-filter/index.js";
+
+/**
+ * Media features that can be emulated to keep their blocks, with their values
+ */
+export const KEEPABLE_MEDIA_FEATURES = {
+	"prefers-color-scheme": COLOR_SCHEMES,
+	"prefers-reduced-motion": REDUCED_MOTION_VALUES,
+};
+
+/**
+ * Normalizes a media query so the same query written with different
+ * whitespace compares equal
+ * @param {string} query - Media query list, i.e. the `@media` params
+ * @returns {string} Normalized query
+ */
+export function normalizeMediaQuery(query) {
+	return query.trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Parses the media features to keep from query values.
+ *
+ * Accepts comma-separated or repeated `feature: value` entries, optionally in
+ * parentheses. A feature without a value keeps all of its values.
+ *
+ * @param {string|string[]|undefined} input - Raw values, e.g. "prefers-color-scheme: dark"
+ * @returns {Array<{name: string, value: string}>} Media features to emulate
+ * @throws {Error} If a feature cannot be emulated or has an unknown value
+ *
+ * @example
+ * parseMediaFeatureList("(prefers-color-scheme: dark),prefers-reduced-motion");
+ * // [{ name: "prefers-color-scheme", value: "dark" },
+ * //  { name: "prefers-reduced-motion", value: "reduce" },
+ * //  { name: "prefers-reduced-motion", value: "no-preference" }]
+ */
+export function parseMediaFeatureList(input) {
+	const features = new Map();
+
+	const entries = []
+		.concat(input ?? [])
+		.flatMap((value) => String(value).split(","))
+		.map((value) =>
+			value
+				.trim()
+				.replace(/^\(|\)$/g, "")
+				.trim()
+				.toLowerCase()
+		)
+		.filter(Boolean);
+
+	for (const entry of entries) {
+		const [name, value] = entry.split(":").map((part) => part.trim());
+		const allowed = Object.hasOwn(KEEPABLE_MEDIA_FEATURES, name)
+			? KEEPABLE_MEDIA_FEATURES[name]
+			: undefined;
+		if (!allowed) {
+			throw new Error(
+				`Cannot keep media feature "${name}". Use one of: ${Object.keys(
+					KEEPABLE_MEDIA_FEATURES
+				).join(", ")}`
+			);
+		}
+		if (value && !allowed.includes(value)) {
+			throw new Error(
+				`Invalid value "${value}" for ${name}. Use one of: ${allowed.join(", ")}`
+			);
+		}
+		for (const featureValue of value ? [value] : allowed) {
+			features.set(`${name}:${featureValue}`, {
+				name,
+				value: featureValue,
+			});
+		}
+	}
+
+	return [...features.values()];
+}
+
+/**
+ * Lists the unique, normalized `@media` queries of a stylesheet, including
+ * nested ones
+ * @param {string} css - Stylesheet
+ * @returns {string[]} Unique queries, or an empty list for unparseable CSS
+ */
+export function collectMediaQueries(css) {
+	let root;
+	try {
+		root = postcss.parse(css, { from: undefined });
+	} catch {
+		return [];
+	}
+
+	const queries = new Set();
+	root.walkAtRules(/^media$/i, (atRule) => {
+		queries.add(normalizeMediaQuery(atRule.params));
+	});
+	return [...queries];
+}
+
+/**
+ * Returns the queries that match the page in its current state
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string[]} queries - Media queries to test
+ * @returns {Promise<string[]>} Matching queries
+ */
+function matchMediaQueries(page, queries) {
+	return page.evaluate(
+		(queryList) =>
+			queryList.filter((query) => window.matchMedia(query).matches),
+		queries
+	);
+}
+
+/**
+ * Evaluates every `@media` query of a stylesheet at each viewport, under the
+ * page's emulated device and with each kept media feature emulated in turn.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string} css - Stylesheet whose queries to evaluate
+ * @param {Object} [options] - Evaluation options
+ * @param {Array<{width: number, height: number}>} [options.viewports] - Viewports
+ *   to render, defaults to VIEWPORT_CONFIG
+ * @param {Array<{name: string, value: string}>} [options.keep] - Media features
+ *   whose blocks are kept, from parseMediaFeatureList()
+ * @param {Array<{name: string, value: string}>} [options.baseFeatures] - Media
+ *   features the page already emulates (e.g. the device's color scheme),
+ *   restored afterwards
+ * @returns {Promise<{queries: string[], matchingPerViewport: Set<string>[]}>}
+ *   All queries, and the queries applying at each viewport
+ *
+ * @example
+ * const media = await evaluateMediaQueries(page, css, {
+ *   keep: parseMediaFeatureList("prefers-color-scheme: dark"),
+ * });
+ * media.matchingPerViewport[0].has("(prefers-color-scheme: dark)"); // true
+ */
+export async function evaluateMediaQueries(page, css, options = {}) {
+	const {
+		viewports = [VIEWPORT_CONFIG],
+		keep = [],
+		baseFeatures = [],
+	} = options;
+	const queries = collectMediaQueries(css);
+	const matchingPerViewport = viewports.map(() => new Set());
+
+	if (queries.length === 0) {
+		return { queries, matchingPerViewport };
+	}
+
+	// Each kept feature overrides the device's own value for that feature
+	const featureSets = [
+		baseFeatures,
+		...keep.map((feature) => [
+			...baseFeatures.filter(({ name }) => name !== feature.name),
+			feature,
+		]),
+	];
+
+	for (const [index, viewport] of viewports.entries()) {
+		await setPageViewport(page, viewport);
+		for (const features of featureSets) {
+			await page.emulateMediaFeatures(features);
+			for (const query of await matchMediaQueries(page, queries)) {
+				matchingPerViewport[index].add(query);
+			}
+		}
+	}
+
+	await page.emulateMediaFeatures(baseFeatures);
+
+	return { queries, matchingPerViewport };
+}
+
+/**
+ * Removes the `@media` blocks whose query is not kept, then any grouping
+ * at-rules left empty
+ * @param {string} css - Stylesheet to filter
+ * @param {(query: string) => boolean} isKept - Called with each normalized query
+ * @returns {string} Filtered stylesheet, or the input if it cannot be parsed
+ */
+export function filterMediaQueries(css, isKept) {
+	let root;
+	try {
+		root = postcss.parse(css, { from: undefined });
+	} catch {
+		return css;
+	}
+
+	root.walkAtRules(/^media$/i, (atRule) => {
+		if (!isKept(normalizeMediaQuery(atRule.params))) {
+			atRule.remove();
+		}
+	});
+	pruneEmptyAtRules(root);
+
+	return root.toString();
+}
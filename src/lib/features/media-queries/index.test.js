@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	collectMediaQueries,
+	filterMediaQueries,
+	normalizeMediaQuery,
+	parseMediaFeatureList,
+} from "./index.js";
+
+/**
+ * Collapses whitespace so assertions ignore formatting
+ * @param {string} css - CSS text
+ * @returns {string} CSS without whitespace runs
+ */
+const compact = (css) => css.replace(/\s+/g, "");
+
+describe("parseMediaFeatureList", () => {
+	test("reads feature values and expands features without one", () => {
+		assert.deepEqual(
+			parseMediaFeatureList([
+				"(prefers-color-scheme: dark)",
+				"prefers-reduced-motion",
+			]),
+			[
+				{ name: "prefers-color-scheme", value: "dark" },
+				{ name: "prefers-reduced-motion", value: "reduce" },
+				{ name: "prefers-reduced-motion", value: "no-preference" },
+			]
+		);
+	});
+
+	test("drops duplicates", () => {
+		assert.equal(
+			parseMediaFeatureList(
+				"prefers-color-scheme: dark, prefers-color-scheme:dark"
+			).length,
+			1
+		);
+	});
+
+	test("rejects features and values that cannot be emulated", () => {
+		assert.throws(
+			() => parseMediaFeatureList("hover: none"),
+			/Cannot keep media feature "hover"/
+		);
+		assert.throws(
+			() => parseMediaFeatureList("constructor"),
+			/Cannot keep media feature "constructor"/
+		);
+		assert.throws(
+			() => parseMediaFeatureList("prefers-color-scheme: blue"),
+			/Invalid value "blue"/
+		);
+	});
+});
+
+describe("collectMediaQueries", () => {
+	test("lists unique normalized queries, including nested ones", () => {
+		assert.deepEqual(
+			collectMediaQueries(
+				"@media  print {.a{}} @supports (display:grid){@media print{.b{}}}" +
+					"@media (min-width:768px){.c{}}"
+			),
+			["print", "(min-width:768px)"]
+		);
+	});
+
+	test("returns no queries for unparseable CSS", () => {
+		assert.deepEqual(collectMediaQueries("@media print {"), []);
+	});
+});
+
+describe("filterMediaQueries", () => {
+	test("removes blocks that are not kept and prunes empty wrappers", () => {
+		const css =
+			".a{}@media print{.b{}}@supports (display:grid){@media (prefers-color-scheme:  dark){.c{}}}";
+		const seen = [];
+		const filtered = filterMediaQueries(css, (query) => {
+			seen.push(query);
+			return false;
+		});
+		assert.equal(compact(filtered), ".a{}");
+		assert.deepEqual(seen, ["print", "(prefers-color-scheme: dark)"]);
+	});
+
+	test("returns the input when it cannot be parsed", () => {
+		assert.equal(
+			filterMediaQueries("@media print {", () => false),
+			"@media print {"
+		);
+	});
+});
+
+test("normalizeMediaQuery collapses whitespace", () => {
+	assert.equal(
+		normalizeMediaQuery("  screen and\n  (min-width: 1px) "),
+		"screen and (min-width: 1px)"
+	);
+});
@@ -0,0 +1,132 @@
+/**
+ * Page Preview Module
+ *
+ * Renders a page styled by critical CSS alone: every stylesheet is removed
+ * and the critical CSS is injected in their place. Viewing the result shows
+ * what visitors see before the full stylesheets load, exposing any flash of
+ * unstyled content in the fold. Pages can either be rewritten after loading
+ * and serialized, or kept from loading stylesheets in the first place.
+ *
+ * @module features/page-preview
+ */
+
+import { escapeStyleContent } from "../html-snippet/index.js";
+
+/**
+ * ID of the `<style>` element holding the injected critical CSS
+ */
+export const PREVIEW_STYLE_ID = "critical-css-preview";
+
+/**
+ * Attribute marking `<style>` elements that applyCriticalCssOnly() must not
+ * remove, for CSS deliberately injected after load
+ */
+export const PRESERVED_STYLE_ATTRIBUTE = "data-critical-css-keep";
+
+/**
+ * Rewrites the rendered page and serializes it as a static HTML document.
+ *
+ * Removes `<link rel="stylesheet">`, stylesheet preloads and `<style>`
+ * elements, injects the critical CSS and a `<base>` so relative asset URLs
+ * still resolve from wherever the document is served. Scripts and
+ * `<noscript>` blocks are removed too: the snapshot already contains the DOM
+ * scripts built, and either could load the stripped styles back in. Inline
+ * `style` attributes are kept since they are not render-blocking.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page with the target loaded
+ * @param {string} criticalCss - Critical CSS to apply
+ * @returns {Promise<{html: string, removedStylesheets: number}>} Rewritten
+ *   document and the number of stylesheet elements removed
+ *
+ * @example
+ * const { html } = await renderCriticalPreview(page, ".hero{padding:2rem}");
+ */
+export async function renderCriticalPreview(page, criticalCss) {
+	const removedStylesheets = await page.evaluate(
+		(css, styleId) => {
+			const stylesheets = document.querySelectorAll(
+				'link[rel~="stylesheet"], link[rel="preload"][as="style"], style'
+			);
+			stylesheets.forEach((element) => element.remove());
+			// Resolve against the current base before replacing it
+			const base = document.createElement("base");
+			base.href = document.baseURI;
+			document
+				.querySelectorAll("script, noscript, base")
+				.forEach((element) => element.remove());
+
+			const style = document.createElement("style");
+			style.id = styleId;
+			style.textContent = css;
+			document.head.prepend(base, style);
+
+			return stylesheets.length;
+		},
+		escapeStyleContent(criticalCss),
+		PREVIEW_STYLE_ID
+	);
+
+	return { html: await page.content(), removedStylesheets };
+}
+
+/**
+ * Makes a page render with only the critical CSS from its first paint.
+ * Must be called before navigation.
+ *
+ * Stylesheet requests are aborted through request interception, and
+ * `<style>` and `<link rel="stylesheet">` elements are removed as soon as
+ * the parser or a script adds them, before they can apply. The critical CSS
+ * is inserted into `<head>` as soon as it exists. Adopted stylesheets cannot
+ * be blocked this way and still apply. Styles injected later can opt out by
+ * carrying the PRESERVED_STYLE_ATTRIBUTE attribute.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page, not yet navigated
+ * @param {string} criticalCss - Critical CSS to apply
+ * @returns {Promise<void>}
+ *
+ * @example
+ * const page = await openPage(browser, url, {
+ *   beforeNavigate: (page) => applyCriticalCssOnly(page, criticalCss),
+ * });
+ */
+export async function applyCriticalCssOnly(page, criticalCss) {
+	await page.setRequestInterception(true);
+	page.on("request", (request) => {
+		if (request.isInterceptResolutionHandled()) return;
+		// Resolving with a priority lets applyPageAccess() add its headers too
+		if (request.resourceType() === "stylesheet") {
+			request.abort("failed", 0);
+		} else {
+			request.continue(request.continueRequestOverrides(), 0);
+		}
+	});
+
+	await page.evaluateOnNewDocument(
+		(css, styleId, keepAttribute) => {
+			// Mutation callbacks run before the next render, so removed styles never paint
+			const apply = () => {
+				document
+					.querySelectorAll('style, link[rel~="stylesheet"]')
+					.forEach((element) => {
+						if (!element.hasAttribute(keepAttribute)) {
+							element.remove();
+						}
+					});
+				if (document.head && !document.getElementById(styleId)) {
+					const style = document.createElement("style");
+					style.id = styleId;
+					style.setAttribute(keepAttribute, "");
+					style.textContent = css;
+					document.head.append(style);
+				}
+			};
+			new MutationObserver(apply).observe(document, {
+				childList: true,
+				subtree: true,
+			});
+		},
+		criticalCss,
+		PREVIEW_STYLE_ID,
+		PRESERVED_STYLE_ATTRIBUTE
+	);
+}
@@ -0,0 +1,206 @@
+/**
+ * Remaining CSS Module
+ *
+ * Computes the "rest" stylesheet: the combined CSS minus what is already
+ * inlined as critical CSS, so the remainder can be lazy-loaded after first
+ * paint without shipping the critical rules twice.
+ *
+ * Subtraction works per declaration rather than per rule, because the
+ * critical CSS may hold a trimmed copy of a rule (unused custom properties
+ * are dropped by the dependency pass). A declaration is only removed when
+ * every critical stylesheet contains it for the same selector and at-rule
+ * context, so per-viewport critical CSS that is only applied at some widths
+ * never leaves the other widths without a rule.
+ *
+ * @module features/remaining-css
+ */
+
+import postcss from "postcss";
+import { normalizeSelector, pruneEmptyAtRules } from "../rule-filter/index.js";
+
+/**
+ * Checks whether an at-rule is copied as a whole (@font-face, @keyframes,
+ * @property, `@layer a, b;`) rather than grouping style rules
+ * @param {import('postcss').AtRule} atRule - PostCSS at-rule
+ * @returns {boolean} True if the at-rule is a single unit
+ */
+export function isUnitAtRule(atRule) {
+	return (
+		!atRule.nodes ||
+		/keyframes$/i.test(atRule.name) ||
+		!atRule.nodes.some(
+			(node) => node.type === "rule" || node.type === "atrule"
+		)
+	);
+}
+
+/**
+ * Builds a key describing the at-rules a node is nested in
+ * @param {import('postcss').Node} node - PostCSS node
+ * @returns {string} Context key, e.g. "@media (min-width: 768px)"
+ */
+function getContextKey(node) {
+	const chain = [];
+	for (let parent = node.parent; parent; parent = parent.parent) {
+		if (parent.type === "atrule") {
+			chain.unshift(
+				`@${parent.name.toLowerCase()} ${normalizeSelector(parent.params)}`
+			);
+		}
+	}
+	return chain.join(" ");
+}
+
+/**
+ * Builds a key for a declaration
+ * @param {import('postcss').Declaration} decl - PostCSS declaration
+ * @returns {string} Declaration key
+ */
+function getDeclarationKey(decl) {
+	return `${decl.prop.toLowerCase()}:${normalizeSelector(decl.value)}${
+		decl.important ? "!important" : ""
+	}`;
+}
+
+/**
+ * Lists the style declarations and whole at-rules present in a stylesheet
+ * @param {import('postcss').Root} root - Parsed stylesheet
+ * @param {(key: string) => void} add - Receives each entry key
+ */
+function walkEntries(root, add) {
+	root.walk((node) => {
+		if (node.type === "atrule" && isUnitAtRule(node)) {
+			add(`${getContextKey(node)} ${normalizeSelector(node.toString())}`);
+		} else if (node.type === "decl" && node.parent.type === "rule") {
+			if (/keyframes$/i.test(node.parent.parent?.name || "")) return;
+			const context = getContextKey(node.parent);
+			const decl = getDeclarationKey(node);
+			for (const selector of node.parent.selectors) {
+				add(`${context} ${normalizeSelector(selector)} {${decl}}`);
+			}
+		}
+	});
+}
+
+/**
+ * Collects the entries shared by every critical stylesheet
+ * @param {string[]} criticalSheets - Unminified critical stylesheets
+ * @returns {Set<string>|null} Shared entry keys, or null if any cannot be parsed
+ */
+function collectSharedEntries(criticalSheets) {
+	let shared = null;
+
+	for (const css of criticalSheets) {
+		let root;
+		try {
+			root = postcss.parse(css, { from: undefined });
+		} catch {
+			return null;
+		}
+
+		const entries = new Set();
+		walkEntries(root, (key) => entries.add(key));
+		shared = shared
+			? new Set([...shared].filter((key) => entries.has(key)))
+			: entries;
+	}
+
+	return shared;
+}
+
+/**
+ * Removes the critical declarations from a style rule, splitting the rule
+ * when its selectors lose different declarations
+ * @param {import('postcss').Rule} rule - Style rule from the combined CSS
+ * @param {Set<string>} shared - Entries present in every critical stylesheet
+ */
+function subtractFromRule(rule, shared) {
+	const context = getContextKey(rule);
+	const groups = new Map();
+
+	for (const selector of rule.selectors) {
+		const normalized = normalizeSelector(selector);
+		const kept = rule.nodes.filter(
+			(node) =>
+				node.type !== "decl" ||
+				!shared.has(
+					`${context} ${normalized} {${getDeclarationKey(node)}}`
+				)
+		);
+		const signature = kept.map((node) => rule.index(node)).join(",");
+		if (!groups.has(signature)) {
+			groups.set(signature, { selectors: [], kept });
+		}
+		groups.get(signature).selectors.push(selector);
+	}
+
+	const remaining = [...groups.values()].filter(({ kept }) =>
+		kept.some((node) => node.type === "decl")
+	);
+	if (
+		remaining.length === 1 &&
+		remaining[0].kept.length === rule.nodes.length
+	) {
+		rule.selectors = remaining[0].selectors;
+		return;
+	}
+
+	rule.replaceWith(
+		remaining.map(({ selectors, kept }) =>
+			rule.clone({
+				selectors,
+				nodes: kept.map((node) => node.clone()),
+			})
+		)
+	);
+}
+
+/**
+ * Subtracts critical CSS from the combined stylesheet.
+ *
+ * @param {string} css - Combined (unfiltered) CSS
+ * @param {string|string[]} criticalSheets - Unminified critical CSS; with
+ *   per-viewport output, one stylesheet per viewport
+ * @returns {string} CSS that is not already covered by every critical
+ *   stylesheet, or the input if any stylesheet cannot be parsed
+ *
+ * @example
+ * subtractCriticalCss(
+ *   ".hero { color: red; --gap: 1rem } .footer { color: gray }",
+ *   ".hero { color: red }"
+ * );
+ * // ".hero { --gap: 1rem } .footer { color: gray }"
+ */
+export function subtractCriticalCss(css, criticalSheets) {
+	let root;
+	try {
+		root = postcss.parse(css, { from: undefined });
+	} catch {
+		return css;
+	}
+
+	const shared = collectSharedEntries([].concat(criticalSheets));
+	if (!shared || shared.size === 0) {
+		return css;
+	}
+
+	root.walk((node) => {
+		if (node.type === "atrule" && isUnitAtRule(node)) {
+			if (
+				shared.has(
+					`${getContextKey(node)} ${normalizeSelector(node.toString())}`
+				)
+			) {
+				node.remove();
+			}
+		} else if (
+			node.type === "rule" &&
+			!/keyframes$/i.test(node.parent?.name || "")
+		) {
+			subtractFromRule(node, shared);
+		}
+	});
+
+	pruneEmptyAtRules(root);
+	return root.toString();
+}
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { subtractCriticalCss } from "./index.js";
+
+/**
+ * Collapses whitespace so assertions ignore formatting
+ * @param {string} css - CSS text
+ * @returns {string} CSS without whitespace runs
+ */
+const compact = (css) => css.replace(/\s+/g, "");
+
+describe("subtractCriticalCss", () => {
+	test("removes critical declarations and keeps the rest of a rule", () => {
+		assert.equal(
+			compact(
+				subtractCriticalCss(
+					".hero { color: red; --gap: 1rem } .footer { color: gray }",
+					".hero { color: red }"
+				)
+			),
+			".hero{--gap:1rem}.footer{color:gray}"
+		);
+	});
+
+	test("splits a rule whose selectors lose different declarations", () => {
+		assert.equal(
+			compact(
+				subtractCriticalCss(".a, .b { color: red }", ".a{color:red}")
+			),
+			".b{color:red}"
+		);
+	});
+
+	test("matches declarations in their at-rule context only", () => {
+		const css = ".a{color:red}@media (min-width: 768px){.a{color:red}}";
+		assert.equal(
+			compact(subtractCriticalCss(css, ".a{color:red}")),
+			"@media(min-width:768px){.a{color:red}}"
+		);
+	});
+
+	test("removes whole at-rules and prunes emptied groups", () => {
+		const css =
+			"@font-face{font-family:Inter}@media print{.a{color:black}}.b{margin:0}";
+		assert.equal(
+			compact(
+				subtractCriticalCss(
+					css,
+					"@font-face{font-family:Inter}@media print{.a{color:black}}"
+				)
+			),
+			".b{margin:0}"
+		);
+	});
+
+	test("keeps declarations missing from any per-viewport stylesheet", () => {
+		assert.equal(
+			compact(
+				subtractCriticalCss(".a{color:red}.b{margin:0}", [
+					".a{color:red}.b{margin:0}",
+					".a{color:red}",
+				])
+			),
+			".b{margin:0}"
+		);
+	});
+
+	test("returns the input when a stylesheet cannot be parsed", () => {
+		assert.equal(
+			subtractCriticalCss(".a{color:red}", ".a{"),
+			".a{color:red}"
+		);
+	});
+});
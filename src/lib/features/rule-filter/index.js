@@ -0,0 +1,131 @@
+/**
+ * CSS Rule Filter Module
+ *
+ * Selector-level helpers shared by the critical CSS engines: listing the
+ * selectors of a stylesheet and removing the style rules whose selectors are
+ * not needed, while keeping the surrounding at-rules intact.
+ *
+ * @module features/rule-filter
+ */
+
+import postcss from "postcss";
+
+/**
+ * At-rules that only group other rules and can be dropped once empty
+ */
+const GROUPING_AT_RULES = [
+	"media",
+	"supports",
+	"layer",
+	"container",
+	"document",
+	"scope",
+];
+
+/**
+ * Normalizes a selector so the same selector written with different
+ * whitespace compares equal
+ * @param {string} selector - Selector text
+ * @returns {string} Normalized selector
+ */
+export function normalizeSelector(selector) {
+	return selector.trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Checks whether a rule is a keyframe block (`from`, `50%`) rather than a
+ * style rule
+ * @param {import('postcss').Rule} rule - PostCSS rule
+ * @returns {boolean} True if the rule is inside @keyframes
+ */
+function isKeyframeRule(rule) {
+	return (
+		rule.parent?.type === "atrule" && /keyframes$/i.test(rule.parent.name)
+	);
+}
+
+/**
+ * Lists the unique, normalized selectors of every style rule in a stylesheet
+ * @param {string|string[]} css - One or more stylesheets
+ * @returns {string[]} Unique selectors, or an empty list for unparseable CSS
+ */
+export function collectSelectors(css) {
+	const selectors = new Set();
+
+	for (const text of [].concat(css)) {
+		let root;
+		try {
+			root = postcss.parse(text, { from: undefined });
+		} catch {
+			continue;
+		}
+		root.walkRules((rule) => {
+			if (isKeyframeRule(rule)) return;
+			for (const selector of rule.selectors) {
+				selectors.add(normalizeSelector(selector));
+			}
+		});
+	}
+
+	return [...selectors];
+}
+
+/**
+ * Removes grouping at-rules left without any content, innermost first
+ * @param {import('postcss').Container} container - Container to prune
+ */
+export function pruneEmptyAtRules(container) {
+	for (const node of [...(container.nodes || [])]) {
+		if (node.type !== "atrule" || !node.nodes) continue;
+
+		pruneEmptyAtRules(node);
+		if (
+			GROUPING_AT_RULES.includes(node.name.toLowerCase()) &&
+			!node.nodes.some((child) => child.type !== "comment")
+		) {
+			node.remove();
+		}
+	}
+}
+
+/**
+ * Keeps only the selectors accepted by a predicate.
+ *
+ * Selector lists are trimmed to their accepted selectors, rules left without
+ * selectors are removed, and grouping at-rules (@media, @supports, ...) that
+ * end up empty are removed too. Other at-rules such as @font-face and
+ * @keyframes are left untouched.
+ *
+ * @param {string} css - Stylesheet CSS text
+ * @param {(selector: string, rule: import('postcss').Rule) => boolean} keepSelector -
+ *   Receives each normalized selector and returns true to keep it
+ * @returns {string} Filtered CSS, or the input if it cannot be parsed
+ *
+ * @example
+ * filterRules(".a, .b { color: red } .c { color: blue }", (s) => s !== ".b");
+ * // ".a { color: red }"
+ */
+export function filterRules(css, keepSelector) {
+	let root;
+	try {
+		root = postcss.parse(css, { from: undefined });
+	} catch {
+		return css;
+	}
+
+	root.walkRules((rule) => {
+		if (isKeyframeRule(rule)) return;
+
+		const kept = rule.selectors.filter((selector) =>
+			keepSelector(normalizeSelector(selector), rule)
+		);
+		if (kept.length === 0) {
+			rule.remove();
+		} else if (kept.length !== rule.selectors.length) {
+			rule.selectors = kept;
+		}
+	});
+
+	pruneEmptyAtRules(root);
+	return root.toString();
+}
@@ -0,0 +1,190 @@
+/**
+ * Selector Lists Module
+ *
+ * Force-include and force-exclude selector lists applied to critical CSS
+ * after extraction, so state classes toggled by JavaScript (menus, cookie
+ * banners, `.is-active`) can be kept and noisy rulesets (icon fonts) dropped
+ * regardless of the extraction mode.
+ *
+ * Patterns follow PurgeCSS safelist conventions:
+ * - `is-active`, `.is-active`, `#header`, `button` — standard: matches
+ *   selectors whose rightmost compound contains that class, id or element
+ * - `/^is-/` — standard regex, tested against each class, id or element name
+ *   (without `.`/`#`) of the rightmost compound
+ * - `deep:cookie-banner` or `deep:/^modal/` — also matches descendants, i.e.
+ *   a matching name anywhere in the selector
+ * - `greedy:/icon-/` — regex tested against the full selector text
+ *
+ * @module features/selector-lists
+ */
+
+import { collectSelectors, filterRules } from "../rule-filter/index.js";
+
+/**
+ * Pattern kinds, mirroring PurgeCSS safelist options
+ */
+export const PATTERN_TYPES = {
+	standard: "standard",
+	deep: "deep",
+	greedy: "greedy",
+};
+
+/**
+ * Parses a `/source/flags` regex literal
+ * @param {string} value - Pattern text
+ * @returns {RegExp|null} Regex, or null if the value is not a regex literal
+ * @throws {Error} If the regex literal is invalid
+ */
+function parseRegex(value) {
+	const match = value.match(/^\/(.+)\/([a-z]*)$/);
+	if (!match) {
+		return null;
+	}
+	try {
+		return new RegExp(match[1], match[2]);
+	} catch (error) {
+		throw new Error(`Invalid pattern ${value}: ${error.message}`);
+	}
+}
+
+/**
+ * Parses selector patterns from query values.
+ *
+ * Accepts repeated values and newline-separated lists; blank lines are
+ * ignored. Commas are not separators since selectors may contain them.
+ *
+ * @param {string|string[]|undefined} input - Raw pattern values
+ * @returns {Array<{type: string, value: string|RegExp}>} Parsed patterns
+ * @throws {Error} If a regex is invalid or a greedy pattern is not a regex
+ *
+ * @example
+ * parseSelectorPatterns(".is-active\ndeep:/^cookie-/");
+ * // [{ type: "standard", value: ".is-active" }, { type: "deep", value: /^cookie-/ }]
+ */
+export function parseSelectorPatterns(input) {
+	return []
+		.concat(input ?? [])
+		.flatMap((value) => String(value).split("\n"))
+		.map((value) => value.trim())
+		.filter(Boolean)
+		.map((entry) => {
+			const prefix = entry.match(/^(deep|greedy):/);
+			const type = prefix ? prefix[1] : PATTERN_TYPES.standard;
+			const raw = prefix ? entry.slice(prefix[0].length).trim() : entry;
+			const regex = parseRegex(raw);
+
+			if (type === PATTERN_TYPES.greedy && !regex) {
+				throw new Error(
+					`Invalid pattern ${entry}: greedy patterns must be a regex like greedy:/icon-/`
+				);
+			}
+			return { type, value: regex || raw };
+		});
+}
+
+/**
+ * Splits a selector into compound selectors, ignoring combinators inside
+ * parentheses and attribute brackets
+ * @param {string} selector - Normalized selector
+ * @returns {string[]} Compound selectors from left to right
+ */
+function splitCompounds(selector) {
+	const compounds = [];
+	let current = "";
+	let depth = 0;
+
+	for (const char of selector) {
+		if (char === "(" || char === "[") depth++;
+		if (char === ")" || char === "]") depth--;
+		if (depth === 0 && /[\s>+~]/.test(char)) {
+			if (current) compounds.push(current);
+			current = "";
+			continue;
+		}
+		current += char;
+	}
+	if (current) compounds.push(current);
+
+	return compounds;
+}
+
+/**
+ * Lists the class, id and element tokens of a compound selector
+ * @param {string} compound - Compound selector, e.g. `a.btn.is-active:hover`
+ * @returns {string[]} Tokens such as `a`, `.btn`, `.is-active`
+ */
+function getTokens(compound) {
+	const stripped = compound
+		.replace(/\([^)]*\)/g, "")
+		.replace(/\[[^\]]*\]/g, "");
+	return stripped.match(/^[a-zA-Z][\w-]*|[.#][\w-]+/g) || [];
+}
+
+/**
+ * Checks whether a token matches a standard pattern value
+ * @param {string} token - Token such as `.btn`, `#nav` or `a`
+ * @param {string|RegExp} value - Pattern value
+ * @returns {boolean} True on match
+ */
+function tokenMatches(token, value) {
+	const name = token.replace(/^[.#]/, "");
+	if (value instanceof RegExp) {
+		return value.test(name);
+	}
+	return /^[.#]/.test(value) ? token === value : name === value;
+}
+
+/**
+ * Checks whether a selector matches any of the given patterns
+ * @param {string} selector - Normalized selector
+ * @param {Array<{type: string, value: string|RegExp}>} patterns - Parsed patterns
+ * @returns {boolean} True if at least one pattern matches
+ */
+export function matchesSelectorPatterns(selector, patterns) {
+	if (patterns.length === 0) {
+		return false;
+	}
+
+	const compounds = splitCompounds(selector);
+	const subjectTokens = getTokens(compounds[compounds.length - 1] || "");
+	const allTokens = compounds.flatMap(getTokens);
+
+	return patterns.some(({ type, value }) => {
+		if (type === PATTERN_TYPES.greedy) {
+			return value.test(selector);
+		}
+		const tokens = type === PATTERN_TYPES.deep ? allTokens : subjectTokens;
+		return tokens.some((token) => tokenMatches(token, value));
+	});
+}
+
+/**
+ * Applies force-include and force-exclude lists to extracted critical CSS.
+ *
+ * The result keeps, in the original order of the combined stylesheet, every
+ * rule whose selector was extracted as critical or matches an include
+ * pattern, minus the selectors matching an exclude pattern. Exclusion wins
+ * over inclusion.
+ *
+ * @param {string} css - Combined (unfiltered) CSS
+ * @param {string} criticalCss - Critical CSS produced by an extraction engine
+ * @param {Object} lists - Selector lists
+ * @param {Array<Object>} [lists.include=[]] - Patterns to force into the output
+ * @param {Array<Object>} [lists.exclude=[]] - Patterns to force out of the output
+ * @returns {string} Critical CSS with the lists applied
+ */
+export function applySelectorLists(css, criticalCss, lists = {}) {
+	const { include = [], exclude = [] } = lists;
+	if (include.length === 0 && exclude.length === 0) {
+		return criticalCss;
+	}
+
+	const extracted = new Set(collectSelectors(criticalCss));
+	return filterRules(
+		css,
+		(selector) =>
+			!matchesSelectorPatterns(selector, exclude) &&
+			(extracted.has(selector) ||
+				matchesSelectorPatterns(selector, include))
+	);
+}
@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	applySelectorLists,
+	matchesSelectorPatterns,
+	parseSelectorPatterns,
+	PATTERN_TYPES,
+} from "./index.js";
+
+/**
+ * Collapses whitespace so assertions ignore formatting
+ * @param {string} css - CSS text
+ * @returns {string} CSS without whitespace runs
+ */
+const compact = (css) => css.replace(/\s+/g, "");
+
+describe("parseSelectorPatterns", () => {
+	test("splits lines and repeated values and reads prefixes", () => {
+		assert.deepEqual(
+			parseSelectorPatterns([
+				".is-active\n\ndeep:/^cookie-/i",
+				"greedy:/icon-/",
+			]),
+			[
+				{ type: PATTERN_TYPES.standard, value: ".is-active" },
+				{ type: PATTERN_TYPES.deep, value: /^cookie-/i },
+				{ type: PATTERN_TYPES.greedy, value: /icon-/ },
+			]
+		);
+	});
+
+	test("returns no patterns without input", () => {
+		assert.deepEqual(parseSelectorPatterns(undefined), []);
+	});
+
+	test("rejects invalid regexes and greedy patterns without one", () => {
+		assert.throws(() => parseSelectorPatterns("/[/"), /Invalid pattern/);
+		assert.throws(
+			() => parseSelectorPatterns("greedy:icon"),
+			/greedy patterns must be a regex/
+		);
+	});
+});
+
+describe("matchesSelectorPatterns", () => {
+	test("matches standard patterns on the rightmost compound only", () => {
+		const patterns = parseSelectorPatterns("is-active");
+		assert.ok(matchesSelectorPatterns(".menu .item.is-active", patterns));
+		assert.ok(!matchesSelectorPatterns(".is-active .item", patterns));
+	});
+
+	test("tells classes, ids and elements apart", () => {
+		assert.ok(
+			matchesSelectorPatterns("#header", parseSelectorPatterns("#header"))
+		);
+		assert.ok(
+			!matchesSelectorPatterns(
+				".header",
+				parseSelectorPatterns("#header")
+			)
+		);
+		assert.ok(
+			matchesSelectorPatterns(
+				"nav button",
+				parseSelectorPatterns("button")
+			)
+		);
+	});
+
+	test("ignores names inside pseudo-class arguments and attributes", () => {
+		const patterns = parseSelectorPatterns("is-active");
+		assert.ok(!matchesSelectorPatterns(".a:not(.is-active)", patterns));
+		assert.ok(
+			!matchesSelectorPatterns('.a[data-state="is-active"]', patterns)
+		);
+	});
+
+	test("matches deep patterns anywhere in the selector", () => {
+		const patterns = parseSelectorPatterns("deep:/^cookie-/");
+		assert.ok(matchesSelectorPatterns(".cookie-banner > p", patterns));
+	});
+
+	test("tests greedy patterns against the full selector", () => {
+		const patterns = parseSelectorPatterns("greedy:/icon-/");
+		assert.ok(matchesSelectorPatterns(".btn .icon-arrow:before", patterns));
+	});
+});
+
+describe("applySelectorLists", () => {
+	const css =
+		".nav{color:red}.menu.is-open{display:block}.icon-x{content:'x'}";
+
+	test("adds included rules in source order", () => {
+		assert.equal(
+			compact(
+				applySelectorLists(css, ".nav{color:red}", {
+					include: parseSelectorPatterns("is-open"),
+				})
+			),
+			".nav{color:red}.menu.is-open{display:block}"
+		);
+	});
+
+	test("lets exclusion win over extraction and inclusion", () => {
+		assert.equal(
+			compact(
+				applySelectorLists(css, ".nav{color:red}.icon-x{content:'x'}", {
+					include: parseSelectorPatterns("greedy:/icon-/"),
+					exclude: parseSelectorPatterns("greedy:/icon-/"),
+				})
+			),
+			".nav{color:red}"
+		);
+	});
+
+	test("returns the critical CSS untouched without lists", () => {
+		assert.equal(applySelectorLists(css, ".nav {}"), ".nav {}");
+	});
+});
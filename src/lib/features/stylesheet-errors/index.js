@@ -0,0 +1,102 @@
+/**
+ * Stylesheet Errors Module
+ *
+ * Classifies why a stylesheet could not be used — an HTTP error, a network
+ * failure, a timeout or the request's deadline, a file over the size limit,
+ * CSS that does not parse or rules the browser would not expose across
+ * origins — into warnings the API reports next to the affected stylesheet,
+ * instead of silently analyzing less CSS.
+ *
+ * @module features/stylesheet-errors
+ */
+
+import postcss from "postcss";
+
+/**
+ * Codes of the stylesheet warnings
+ */
+export const STYLESHEET_ERROR_CODES = {
+	httpError: "http-error",
+	networkError: "network-error",
+	timeout: "timeout",
+	deadlineExceeded: "deadline-exceeded",
+	tooLarge: "too-large",
+	parseError: "parse-error",
+	corsBlocked: "cors-blocked",
+	importSkipped: "import-skipped",
+	loadFailed: "load-failed",
+};
+
+/**
+ * Creates an error describing why a stylesheet could not be loaded
+ * @param {string} code - Value from STYLESHEET_ERROR_CODES
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra fields, e.g. `httpStatus`
+ * @returns {Error} Error with `code` and the details
+ *
+ * @example
+ * throw createStylesheetError(STYLESHEET_ERROR_CODES.httpError, "HTTP 404 Not Found", {
+ *   httpStatus: 404,
+ * });
+ */
+export function createStylesheetError(code, message, details = {}) {
+	const error = new Error(message);
+	error.code = code;
+	Object.assign(error, details);
+	return error;
+}
+
+/**
+ * Describes an error thrown while loading or parsing a stylesheet
+ * @param {Error} error - Error to describe
+ * @returns {{code: string, message: string, httpStatus?: number, line?: number,
+ *   column?: number}} Warning details; `line` and `column` point into the
+ *   stylesheet for parse errors
+ */
+export function describeStylesheetError(error) {
+	if (error?.name === "CssSyntaxError") {
+		return {
+			code: STYLESHEET_ERROR_CODES.parseError,
+			message: error.reason,
+			line: error.line,
+			column: error.column,
+		};
+	}
+
+	if (error?.name === "TimeoutError" || error?.name === "AbortError") {
+		return {
+			code: STYLESHEET_ERROR_CODES.timeout,
+			message: error.message,
+		};
+	}
+
+	if (Object.values(STYLESHEET_ERROR_CODES).includes(error?.code)) {
+		const { code, message, httpStatus } = error;
+		return httpStatus === undefined
+			? { code, message }
+			: { code, message, httpStatus };
+	}
+
+	// fetch() rejects with a TypeError whose cause names the network failure
+	if (error instanceof TypeError && error.cause) {
+		return {
+			code: STYLESHEET_ERROR_CODES.networkError,
+			message: error.cause.message || error.message,
+		};
+	}
+
+	return {
+		code: STYLESHEET_ERROR_CODES.loadFailed,
+		message: error?.message || String(error),
+	};
+}
+
+/**
+ * Checks that CSS parses, so a broken file is reported instead of failing
+ * the processing of every stylesheet combined with it
+ * @param {string} css - Stylesheet CSS text
+ * @throws {Error} PostCSS CssSyntaxError, with `line` and `column`
+ */
+export function assertValidCss(css) {
+	postcss.parse(css, { from: undefined });
+}
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	assertValidCss,
+	createStylesheetError,
+	describeStylesheetError,
+	STYLESHEET_ERROR_CODES,
+} from "./index.js";
+
+/**
+ * Returns the error a function throws
+ * @param {Function} fn - Function expected to throw
+ * @returns {Error} Thrown error
+ */
+function catchError(fn) {
+	try {
+		fn();
+	} catch (error) {
+		return error;
+	}
+	assert.fail("Expected the function to throw");
+}
+
+describe("describeStylesheetError", () => {
+	test("keeps the code and HTTP status of stylesheet errors", () => {
+		const error = createStylesheetError(
+			STYLESHEET_ERROR_CODES.httpError,
+			"HTTP 404 Not Found",
+			{ httpStatus: 404 }
+		);
+		assert.deepEqual(describeStylesheetError(error), {
+			code: "http-error",
+			message: "HTTP 404 Not Found",
+			httpStatus: 404,
+		});
+		assert.deepEqual(
+			describeStylesheetError(
+				createStylesheetError(
+					STYLESHEET_ERROR_CODES.tooLarge,
+					"Too big"
+				)
+			),
+			{ code: "too-large", message: "Too big" }
+		);
+	});
+
+	test("points parse errors at their line and column", () => {
+		const described = describeStylesheetError(
+			catchError(() => assertValidCss(".a{color:red}\n.b{"))
+		);
+		assert.equal(described.code, "parse-error");
+		assert.equal(described.message, "Unclosed block");
+		assert.equal(described.line, 2);
+		assert.equal(described.column, 1);
+	});
+
+	test("reports aborted and timed out requests as timeouts", () => {
+		assert.equal(
+			describeStylesheetError(AbortSignal.abort().reason).code,
+			"timeout"
+		);
+		assert.equal(
+			describeStylesheetError(
+				new DOMException("The operation timed out.", "TimeoutError")
+			).code,
+			"timeout"
+		);
+	});
+
+	test("names the network failure behind a fetch TypeError", () => {
+		const error = new TypeError("fetch failed", {
+			cause: new Error("getaddrinfo ENOTFOUND cdn.example.com"),
+		});
+		assert.deepEqual(describeStylesheetError(error), {
+			code: "network-error",
+			message: "getaddrinfo ENOTFOUND cdn.example.com",
+		});
+	});
+
+	test("falls back to load-failed for anything else", () => {
+		assert.deepEqual(describeStylesheetError(new Error("Boom")), {
+			code: "load-failed",
+			message: "Boom",
+		});
+		assert.deepEqual(describeStylesheetError("Boom"), {
+			code: "load-failed",
+			message: "Boom",
+		});
+	});
+});
+
+describe("assertValidCss", () => {
+	test("accepts valid CSS", () => {
+		assert.doesNotThrow(() =>
+			assertValidCss("@media print{.a{color:red}}")
+		);
+	});
+});
@@ -0,0 +1,252 @@
+/**
+ * Stylesheet Fetch Module
+ *
+ * Loads stylesheet files defensively: each request has a timeout and a size
+ * limit, 5xx responses and network failures are retried a few times with
+ * backoff, and bodies are decoded with the charset the CSS specification
+ * picks (byte order mark, then Content-Type, then `@charset`) instead of
+ * always assuming UTF-8.
+ *
+ * @module features/stylesheet-fetch
+ */
+
+import {
+	createStylesheetError,
+	STYLESHEET_ERROR_CODES,
+} from "../stylesheet-errors/index.js";
+
+/**
+ * Default limits for loading one stylesheet
+ */
+export const DEFAULT_STYLESHEET_LIMITS = {
+	timeout: 10000,
+	maxBytes: 5 * 1024 * 1024,
+	retries: 2,
+	retryDelay: 500,
+};
+
+/**
+ * Highest accepted size limit for one stylesheet, in bytes
+ */
+export const MAX_STYLESHEET_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Byte order marks and the encoding they select
+ */
+const BYTE_ORDER_MARKS = [
+	{ bytes: [0xef, 0xbb, 0xbf], encoding: "utf-8" },
+	{ bytes: [0xfe, 0xff], encoding: "utf-16be" },
+	{ bytes: [0xff, 0xfe], encoding: "utf-16le" },
+];
+
+/**
+ * Matches an `@charset` rule at the very start of a stylesheet. The rule must
+ * be written exactly like this to count, as the specification requires.
+ */
+const CHARSET_RULE = /^@charset "([\x21\x23-\x7e]*)";/;
+
+/**
+ * Picks the encoding of a stylesheet's bytes
+ * @param {Uint8Array} bytes - Stylesheet body
+ * @param {string|null} [contentType] - Content-Type header of the response
+ * @returns {string} Encoding label for TextDecoder
+ *
+ * @example
+ * getStylesheetEncoding(bytes, "text/css; charset=iso-8859-1"); // "iso-8859-1"
+ */
+export function getStylesheetEncoding(bytes, contentType) {
+	const bom = BYTE_ORDER_MARKS.find(({ bytes: mark }) =>
+		mark.every((byte, index) => bytes[index] === byte)
+	);
+	if (bom) {
+		return bom.encoding;
+	}
+
+	const headerCharset = contentType?.match(/;\s*charset\s*=\s*"?([^";\s]+)/i);
+	if (headerCharset) {
+		return headerCharset[1].toLowerCase();
+	}
+
+	// The rule itself is ASCII, so the first bytes can be read as Latin-1
+	const head = String.fromCharCode(...bytes.subarray(0, 1024));
+	const rule = head.match(CHARSET_RULE);
+	if (rule) {
+		const label = rule[1].toLowerCase();
+		// A stylesheet that could be read as ASCII cannot really be UTF-16
+		return label === "utf-16be" || label === "utf-16le" ? "utf-8" : label;
+	}
+
+	return "utf-8";
+}
+
+/**
+ * Decodes a stylesheet body, falling back to UTF-8 for unknown charsets
+ * @param {Uint8Array} bytes - Stylesheet body
+ * @param {string|null} [contentType] - Content-Type header of the response
+ * @returns {string} CSS text
+ */
+export function decodeStylesheet(bytes, contentType) {
+	const encoding = getStylesheetEncoding(bytes, contentType);
+	try {
+		return new TextDecoder(encoding).decode(bytes);
+	} catch {
+		return new TextDecoder("utf-8").decode(bytes);
+	}
+}
+
+/**
+ * Checks a stylesheet's size against the limit
+ * @param {number} size - Size in bytes
+ * @param {number} maxBytes - Largest accepted size in bytes
+ * @throws {Error} 'too-large' stylesheet error if the size is over the limit
+ */
+export function assertStylesheetSize(size, maxBytes) {
+	if (size > maxBytes) {
+		throw createStylesheetError(
+			STYLESHEET_ERROR_CODES.tooLarge,
+			`Stylesheet is larger than the ${maxBytes} byte limit`
+		);
+	}
+}
+
+/**
+ * Reads a response body, stopping as soon as it grows over the limit
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Largest accepted size in bytes
+ * @returns {Promise<Uint8Array>} Body bytes
+ * @throws {Error} 'too-large' stylesheet error if the body is over the limit
+ */
+async function readBody(response, maxBytes) {
+	const declared = Number(response.headers.get("content-length"));
+	if (declared) {
+		assertStylesheetSize(declared, maxBytes);
+	}
+
+	const chunks = [];
+	let size = 0;
+	for await (const chunk of response.body ?? []) {
+		size += chunk.length;
+		// Leaving the loop cancels the download
+		assertStylesheetSize(size, maxBytes);
+		chunks.push(chunk);
+	}
+
+	const bytes = new Uint8Array(size);
+	let offset = 0;
+	for (const chunk of chunks) {
+		bytes.set(chunk, offset);
+		offset += chunk.length;
+	}
+	return bytes;
+}
+
+/**
+ * Checks whether a failed fetch is worth another attempt
+ * @param {Error} error - Error of the attempt
+ * @returns {boolean} True for 5xx responses and network failures
+ */
+function isRetryable(error) {
+	if (error.code === STYLESHEET_ERROR_CODES.httpError) {
+		return error.httpStatus >= 500;
+	}
+	// fetch() rejects with a TypeError when the connection fails
+	return error instanceof TypeError;
+}
+
+/**
+ * Waits before a retry, giving up early if the signal aborts
+ * @param {number} delay - Wait in ms
+ * @param {AbortSignal} [signal] - Signal cancelling the wait
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+	return new Promise((resolve, reject) => {
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal.reason);
+		};
+		// The signal is shared by every download, so drop the listener once done
+		const timer = setTimeout(() => {
+			signal?.removeEventListener("abort", onAbort);
+			resolve();
+		}, delay);
+		signal?.addEventListener("abort", onAbort, { once: true });
+	});
+}
+
+/**
+ * Makes one attempt at downloading a stylesheet
+ * @param {string} url - Stylesheet URL
+ * @param {Object} options - Limits of the attempt
+ * @returns {Promise<string>} CSS text
+ */
+async function fetchOnce(url, { timeout, maxBytes, headers, signal }) {
+	const timeoutSignal = AbortSignal.timeout(timeout);
+	const response = await fetch(url, {
+		headers,
+		signal: signal
+			? AbortSignal.any([signal, timeoutSignal])
+			: timeoutSignal,
+	});
+
+	if (!response.ok) {
+		// Free the connection; the body is not needed
+		await response.body?.cancel().catch(() => {});
+		throw createStylesheetError(
+			STYLESHEET_ERROR_CODES.httpError,
+			`HTTP ${response.status} ${response.statusText}`.trim(),
+			{ httpStatus: response.status }
+		);
+	}
+
+	return decodeStylesheet(
+		await readBody(response, maxBytes),
+		response.headers.get("content-type")
+	);
+}
+
+/**
+ * Downloads a stylesheet within a timeout and size limit, retrying 5xx
+ * responses and network failures with exponential backoff
+ *
+ * @param {string} url - Stylesheet URL
+ * @param {Object} [options] - Fetch options, defaulting to DEFAULT_STYLESHEET_LIMITS
+ * @param {number} [options.timeout] - Time per attempt, in ms
+ * @param {number} [options.maxBytes] - Largest accepted body, in bytes
+ * @param {number} [options.retries] - Attempts after the first one
+ * @param {number} [options.retryDelay] - Wait before the first retry, in ms;
+ *   doubled for each further retry
+ * @param {Object<string, string>} [options.headers] - Request headers, e.g.
+ *   cookies and credentials of the page
+ * @param {AbortSignal} [options.signal] - Cancels the fetch and any retry,
+ *   rejecting with the signal's reason
+ * @returns {Promise<string>} Decoded CSS text
+ * @throws {Error} Stylesheet error ('http-error', 'too-large'), a TimeoutError,
+ *   or the network error of the last attempt
+ *
+ * @example
+ * const css = await fetchStylesheet("https://example.com/main.css", {
+ *   timeout: 5000,
+ * });
+ */
+export async function fetchStylesheet(url, options = {}) {
+	const { retries, retryDelay, ...limits } = {
+		...DEFAULT_STYLESHEET_LIMITS,
+		...options,
+	};
+
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await fetchOnce(url, limits);
+		} catch (error) {
+			if (
+				attempt >= retries ||
+				limits.signal?.aborted ||
+				!isRetryable(error)
+			) {
+				throw error;
+			}
+			await wait(retryDelay * 2 ** attempt, limits.signal);
+		}
+	}
+}
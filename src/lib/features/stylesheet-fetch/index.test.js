@@ -0,0 +1,223 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test } from "node:test";
+
+import {
+	decodeStylesheet,
+	fetchStylesheet,
+	getStylesheetEncoding,
+} from "./index.js";
+
+const realFetch = globalThis.fetch;
+
+/**
+ * Replaces fetch() with a stub answering each call in turn
+ * @param {Array<Response|Error>} answers - Response or error per call
+ * @returns {Array<{url: string, init: Object}>} Calls received
+ */
+function stubFetch(answers) {
+	const calls = [];
+	globalThis.fetch = async (url, init) => {
+		calls.push({ url, init });
+		const answer = answers[calls.length - 1];
+		if (answer instanceof Error) throw answer;
+		return answer;
+	};
+	return calls;
+}
+
+/**
+ * Creates a response streaming its body in chunks
+ * @param {string[]} chunks - Body chunks
+ * @param {Object} [headers] - Response headers
+ * @returns {Response} Streaming response
+ */
+function streamResponse(chunks, headers) {
+	const encoder = new TextEncoder();
+	const stream = new ReadableStream({
+		start(controller) {
+			chunks.forEach((chunk) =>
+				controller.enqueue(encoder.encode(chunk))
+			);
+			controller.close();
+		},
+	});
+	return new Response(stream, { headers });
+}
+
+afterEach(() => {
+	globalThis.fetch = realFetch;
+});
+
+describe("getStylesheetEncoding", () => {
+	const latin1Rule = new TextEncoder().encode('@charset "iso-8859-1";');
+
+	test("prefers the byte order mark over Content-Type and @charset", () => {
+		const bytes = new Uint8Array([0xef, 0xbb, 0xbf, ...latin1Rule]);
+		assert.equal(
+			getStylesheetEncoding(bytes, "text/css; charset=windows-1252"),
+			"utf-8"
+		);
+		assert.equal(
+			getStylesheetEncoding(new Uint8Array([0xff, 0xfe, 0x2e, 0]), null),
+			"utf-16le"
+		);
+	});
+
+	test("prefers the Content-Type charset over @charset", () => {
+		assert.equal(
+			getStylesheetEncoding(latin1Rule, 'text/css; charset="Shift_JIS"'),
+			"shift_jis"
+		);
+	});
+
+	test("falls back to @charset, then UTF-8", () => {
+		assert.equal(
+			getStylesheetEncoding(latin1Rule, "text/css"),
+			"iso-8859-1"
+		);
+		assert.equal(
+			getStylesheetEncoding(
+				new TextEncoder().encode('@charset "utf-16le";'),
+				null
+			),
+			"utf-8"
+		);
+		assert.equal(
+			getStylesheetEncoding(
+				new TextEncoder().encode("@charset 'iso-8859-1';"),
+				null
+			),
+			"utf-8"
+		);
+	});
+});
+
+describe("decodeStylesheet", () => {
+	test("decodes with the picked charset and falls back to UTF-8", () => {
+		const bytes = new Uint8Array([0x2e, 0x63, 0xe9, 0x7b, 0x7d]);
+		assert.equal(
+			decodeStylesheet(bytes, "text/css; charset=iso-8859-1"),
+			".cé{}"
+		);
+		assert.equal(
+			decodeStylesheet(
+				new TextEncoder().encode(".a{}"),
+				"text/css; charset=bogus"
+			),
+			".a{}"
+		);
+	});
+});
+
+describe("fetchStylesheet", () => {
+	test("decodes the body with the response's charset", async () => {
+		stubFetch([
+			new Response(new Uint8Array([0x2e, 0x63, 0xe9, 0x7b, 0x7d]), {
+				headers: { "content-type": "text/css; charset=iso-8859-1" },
+			}),
+		]);
+		assert.equal(
+			await fetchStylesheet("https://example.com/a.css"),
+			".cé{}"
+		);
+	});
+
+	test("rejects bodies declared over maxBytes without reading them", async () => {
+		stubFetch([
+			new Response(".a{}", { headers: { "content-length": "2048" } }),
+		]);
+		await assert.rejects(
+			fetchStylesheet("https://example.com/a.css", { maxBytes: 1024 }),
+			{ code: "too-large" }
+		);
+	});
+
+	test("stops streaming a body once it grows over maxBytes", async () => {
+		stubFetch([streamResponse(["x".repeat(600), "y".repeat(600)])]);
+		await assert.rejects(
+			fetchStylesheet("https://example.com/a.css", { maxBytes: 1024 }),
+			{ code: "too-large" }
+		);
+	});
+
+	test("retries 5xx responses and network failures with backoff", async () => {
+		const calls = stubFetch([
+			new Response("", { status: 503 }),
+			new TypeError("fetch failed"),
+			new Response(".a{}"),
+		]);
+		const started = Date.now();
+		assert.equal(
+			await fetchStylesheet("https://example.com/a.css", {
+				retryDelay: 20,
+			}),
+			".a{}"
+		);
+		assert.equal(calls.length, 3);
+		// 20 ms, then 40 ms
+		assert.ok(Date.now() - started >= 55);
+	});
+
+	test("does not retry 4xx responses", async () => {
+		const calls = stubFetch([new Response("", { status: 404 })]);
+		await assert.rejects(
+			fetchStylesheet("https://example.com/a.css", { retryDelay: 1 }),
+			{ code: "http-error", httpStatus: 404 }
+		);
+		assert.equal(calls.length, 1);
+	});
+
+	test("gives up after the last retry", async () => {
+		const calls = stubFetch([
+			new Response("", { status: 500 }),
+			new Response("", { status: 502 }),
+		]);
+		await assert.rejects(
+			fetchStylesheet("https://example.com/a.css", {
+				retries: 1,
+				retryDelay: 1,
+			}),
+			{ httpStatus: 502 }
+		);
+		assert.equal(calls.length, 2);
+	});
+
+	test("stops waiting for a retry when the signal aborts", async () => {
+		stubFetch([new Response("", { status: 500 })]);
+		const controller = new AbortController();
+		const reason = new Error("deadline");
+		setTimeout(() => controller.abort(reason), 10);
+		await assert.rejects(
+			fetchStylesheet("https://example.com/a.css", {
+				retryDelay: 60000,
+				signal: controller.signal,
+			}),
+			(error) => error === reason
+		);
+	});
+
+	test("removes its abort listener after each backoff", async () => {
+		stubFetch([
+			new Response("", { status: 500 }),
+			new Response("", { status: 500 }),
+			new Response(".a{}"),
+		]);
+		const signal = new AbortController().signal;
+		let listeners = 0;
+		const add = signal.addEventListener.bind(signal);
+		const remove = signal.removeEventListener.bind(signal);
+		signal.addEventListener = (...args) => {
+			listeners++;
+			add(...args);
+		};
+		signal.removeEventListener = (...args) => {
+			listeners--;
+			remove(...args);
+		};
+		await fetchStylesheet("https://example.com/a.css", {
+			retryDelay: 1,
+			signal,
+		});
+		assert.equal(listeners, 0);
+	});
+});
@@ -0,0 +1,277 @@
+/**
+ * Stylesheet Sources Module
+ *
+ * Discovers every source of CSS on a rendered page: linked stylesheets,
+ * inline <style> blocks, constructable (adopted) stylesheets and styles
+ * attached to open shadow roots. Linked and inline sheets keep their `media`
+ * attribute, and disabled or alternate sheets are flagged so they can be left
+ * out of the screen CSS.
+ *
+ * @module features/stylesheet-sources
+ */
+
+/**
+ * Origin of a stylesheet entry
+ */
+export const STYLESHEET_TYPES = {
+	external: "external",
+	inline: "inline",
+	adopted: "adopted",
+	shadow: "shadow",
+	import: "import",
+};
+
+/**
+ * Reasons a stylesheet is left out of the combined CSS unless explicitly
+ * included: a `media` that only applies to print, a disabled sheet, or a
+ * `rel="alternate stylesheet"` link
+ */
+export const EXCLUDABLE_STYLESHEETS = ["print", "disabled", "alternate"];
+
+/**
+ * Parses which excludable stylesheets to include anyway
+ * @param {string|string[]|undefined} input - Comma-separated or repeated
+ *   values from EXCLUDABLE_STYLESHEETS, or `all`
+ * @returns {string[]} Included reasons
+ * @throws {Error} If a value is not an excludable stylesheet kind
+ *
+ * @example
+ * parseIncludedStylesheets("print,alternate"); // ["print", "alternate"]
+ */
+export function parseIncludedStylesheets(input) {
+	const values = []
+		.concat(input ?? [])
+		.flatMap((value) => String(value).split(","))
+		.map((value) => value.trim().toLowerCase())
+		.filter(Boolean);
+
+	if (values.includes("all")) {
+		return [...EXCLUDABLE_STYLESHEETS];
+	}
+
+	const invalid = values.find(
+		(value) => !EXCLUDABLE_STYLESHEETS.includes(value)
+	);
+	if (invalid) {
+		throw new Error(
+			`Unknown stylesheet kind "${invalid}". Use one of: ${EXCLUDABLE_STYLESHEETS.join(", ")}, all`
+		);
+	}
+	return [...new Set(values)];
+}
+
+/**
+ * Checks whether a media query list only applies when printing
+ * @param {string|null} media - Value of the `media` attribute
+ * @returns {boolean} True if every query targets the print media type
+ *
+ * @example
+ * isPrintOnlyMedia("print"); // true
+ * isPrintOnlyMedia("screen, print"); // false
+ */
+export function isPrintOnlyMedia(media) {
+	if (!media) {
+		return false;
+	}
+	return media
+		.split(",")
+		.every((query) => /^\s*(only\s+)?print\b/i.test(query));
+}
+
+/**
+ * Gets the reason a stylesheet source is excluded from the combined CSS
+ * @param {{media?: string|null, disabled?: boolean, alternate?: boolean}} source -
+ *   Source from extractPageStylesheets()
+ * @param {string[]} [included=[]] - Reasons from EXCLUDABLE_STYLESHEETS the
+ *   caller opted in to
+ * @returns {string|null} 'print', 'disabled' or 'alternate', or null if the
+ *   stylesheet is used
+ */
+export function getStylesheetExclusion(source, included = []) {
+	const reasons = {
+		print: isPrintOnlyMedia(source.media),
+		disabled: Boolean(source.disabled),
+		alternate: Boolean(source.alternate),
+	};
+	return (
+		EXCLUDABLE_STYLESHEETS.find(
+			(reason) => reasons[reason] && !included.includes(reason)
+		) || null
+	);
+}
+
+/**
+ * Wraps CSS in an `@media` block so it keeps the condition of its `media`
+ * attribute once combined with other stylesheets
+ * @param {string} css - Stylesheet CSS
+ * @param {string|null} media - Value of the `media` attribute
+ * @returns {string} CSS, wrapped unless the media is empty or `all`
+ */
+export function wrapInMedia(css, media) {
+	const query = media?.trim();
+	return query && query.toLowerCase() !== "all"
+		? `@media ${query}{\n${css}\n}`
+		: css;
+}
+
+/**
+ * Extracts all stylesheet sources from a Puppeteer page in cascade order.
+ *
+ * Linked and inline stylesheets are returned in document order, followed by
+ * the document's adopted stylesheets and finally any styles found inside open
+ * shadow roots. Sources with a `url` still need to be fetched; `blocked`
+ * tells that the browser refuses to expose their rules, as for cross-origin
+ * stylesheets loaded without CORS, so the page's copy cannot stand in for a
+ * failed download. Sources with `content` already hold their CSS text.
+ * `media` is null when the attribute is missing, empty or `all`.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @returns {Promise<Array<{type: string, url?: string, content?: string,
+ *   blocked?: boolean, media: string|null, disabled: boolean, alternate: boolean}>>}
+ *   Stylesheet sources in document order
+ *
+ * @example
+ * const sources = await extractPageStylesheets(page);
+ * // [{ type: "external", url: "https://example.com/style.css" },
+ * //  { type: "inline", content: ".hero{color:red}" }]
+ */
+export async function extractPageStylesheets(page) {
+	return page.evaluate((types) => {
+		const sources = [];
+
+		/**
+		 * Serializes the rules of a CSSStyleSheet to text
+		 * @param {CSSStyleSheet} sheet - Stylesheet to serialize
+		 * @returns {string|null} CSS text, or null if rules are unreadable
+		 */
+		function serializeSheet(sheet) {
+			try {
+				return Array.from(sheet.cssRules || [])
+					.map((rule) => rule.cssText)
+					.join("\n");
+			} catch (e) {
+				// CORS restrictions may prevent reading some stylesheets
+				return null;
+			}
+		}
+
+		/**
+		 * Checks whether the browser exposes the rules of a stylesheet
+		 * @param {CSSStyleSheet|null} sheet - Stylesheet, null while not loaded
+		 * @returns {boolean} False if reading the rules throws
+		 */
+		function isReadable(sheet) {
+			try {
+				return !sheet || Boolean(sheet.cssRules);
+			} catch (e) {
+				return false;
+			}
+		}
+
+		/**
+		 * Reads the CSS of a <style> element. CSS-in-JS libraries inject rules
+		 * with insertRule(), leaving the element's text empty, so fall back to
+		 * the CSSOM when there is no text content.
+		 * @param {HTMLStyleElement} style - Style element
+		 * @returns {string|null} CSS text, or null if rules are unreadable
+		 */
+		function readStyleElement(style) {
+			const text = style.textContent || "";
+			if (text.trim()) {
+				return text;
+			}
+			return style.sheet ? serializeSheet(style.sheet) : "";
+		}
+
+		/**
+		 * Reads the media and state attributes of a link or style element
+		 * @param {HTMLLinkElement|HTMLStyleElement} node - Element to read
+		 * @returns {{media: string|null, disabled: boolean, alternate: boolean}}
+		 */
+		function readElementState(node) {
+			const media = (node.getAttribute("media") || "").trim();
+			return {
+				media: media && media.toLowerCase() !== "all" ? media : null,
+				disabled: Boolean(node.disabled || node.sheet?.disabled),
+				alternate:
+					node.tagName === "LINK" &&
+					node.relList.contains("alternate"),
+			};
+		}
+
+		/**
+		 * Collects link and style elements beneath a root in document order
+		 * @param {Document|ShadowRoot} root - Root to search
+		 * @param {string} inlineType - Type to assign to inline styles
+		 * @param {string} linkType - Type to assign to linked stylesheets
+		 */
+		function collectElements(root, inlineType, linkType) {
+			root.querySelectorAll('link[rel~="stylesheet" i], style').forEach(
+				(node) => {
+					if (node.tagName === "LINK") {
+						if (node.href) {
+							sources.push({
+								type: linkType,
+								url: node.href,
+								blocked: !isReadable(node.sheet),
+								...readElementState(node),
+							});
+						}
+						return;
+					}
+					const content = readStyleElement(node);
+					if (content?.trim()) {
+						sources.push({
+							type: inlineType,
+							content,
+							...readElementState(node),
+						});
+					}
+				}
+			);
+		}
+
+		/**
+		 * Collects adopted stylesheets of a document or shadow root
+		 * @param {Document|ShadowRoot} root - Root owning the sheets
+		 * @param {string} type - Type to assign to the sheets
+		 */
+		function collectAdopted(root, type) {
+			for (const sheet of root.adoptedStyleSheets || []) {
+				const content = serializeSheet(sheet);
+				if (content?.trim()) {
+					sources.push({
+						type,
+						content,
+						media:
+							sheet.media.mediaText &&
+							sheet.media.mediaText !== "all"
+								? sheet.media.mediaText
+								: null,
+						disabled: sheet.disabled,
+						alternate: false,
+					});
+				}
+			}
+		}
+
+		/**
+		 * Recursively collects styles from open shadow roots
+		 * @param {Document|ShadowRoot} root - Root to search for shadow hosts
+		 */
+		function collectShadowRoots(root) {
+			root.querySelectorAll("*").forEach((element) => {
+				if (!element.shadowRoot) return;
+				collectElements(element.shadowRoot, types.shadow, types.shadow);
+				collectAdopted(element.shadowRoot, types.shadow);
+				collectShadowRoots(element.shadowRoot);
+			});
+		}
+
+		collectElements(document, types.inline, types.external);
+		collectAdopted(document, types.adopted);
+		collectShadowRoots(document);
+
+		return sources;
+	}, STYLESHEET_TYPES);
+}
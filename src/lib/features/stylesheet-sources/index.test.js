@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	EXCLUDABLE_STYLESHEETS,
+	getStylesheetExclusion,
+	isPrintOnlyMedia,
+	parseIncludedStylesheets,
+	wrapInMedia,
+} from "./index.js";
+
+describe("parseIncludedStylesheets", () => {
+	test("reads comma-separated and repeated values", () => {
+		assert.deepEqual(
+			parseIncludedStylesheets(["Print, alternate", "print"]),
+			["print", "alternate"]
+		);
+		assert.deepEqual(parseIncludedStylesheets(undefined), []);
+	});
+
+	test("expands all to every excludable kind", () => {
+		assert.deepEqual(parseIncludedStylesheets("print,all"), [
+			...EXCLUDABLE_STYLESHEETS,
+		]);
+	});
+
+	test("rejects unknown kinds", () => {
+		assert.throws(
+			() => parseIncludedStylesheets("print,screen"),
+			/Unknown stylesheet kind "screen"/
+		);
+	});
+});
+
+describe("isPrintOnlyMedia", () => {
+	test("accepts lists where every query targets print", () => {
+		assert.equal(isPrintOnlyMedia("print"), true);
+		assert.equal(isPrintOnlyMedia("only print and (color), PRINT"), true);
+	});
+
+	test("rejects other media and missing values", () => {
+		assert.equal(isPrintOnlyMedia("screen, print"), false);
+		assert.equal(isPrintOnlyMedia("not print"), false);
+		assert.equal(isPrintOnlyMedia("printer"), false);
+		assert.equal(isPrintOnlyMedia(null), false);
+	});
+});
+
+describe("getStylesheetExclusion", () => {
+	test("returns the first reason a stylesheet is left out", () => {
+		assert.equal(getStylesheetExclusion({ media: "print" }), "print");
+		assert.equal(
+			getStylesheetExclusion({ disabled: true, alternate: true }),
+			"disabled"
+		);
+		assert.equal(getStylesheetExclusion({ media: "screen" }), null);
+	});
+
+	test("skips reasons the caller included", () => {
+		assert.equal(
+			getStylesheetExclusion({ media: "print", alternate: true }, [
+				"print",
+			]),
+			"alternate"
+		);
+		assert.equal(
+			getStylesheetExclusion({ media: "print" }, ["print"]),
+			null
+		);
+	});
+});
+
+describe("wrapInMedia", () => {
+	test("wraps CSS in its media condition", () => {
+		assert.equal(
+			wrapInMedia(".a{}", "(min-width: 768px)"),
+			"@media (min-width: 768px){\n.a{}\n}"
+		);
+	});
+
+	test("leaves CSS for all media unwrapped", () => {
+		assert.equal(wrapInMedia(".a{}", null), ".a{}");
+		assert.equal(wrapInMedia(".a{}", ""), ".a{}");
+		assert.equal(wrapInMedia(".a{}", " ALL "), ".a{}");
+	});
+});
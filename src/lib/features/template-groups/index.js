@@ -0,0 +1,355 @@
+/**
+ * Template Groups Module
+ *
+ * Groups the URLs of a batch by page template, either by URL pattern
+ * (`/product/*`) or by how similar their DOM structure is, so one critical
+ * stylesheet can be generated per template from a few sampled pages and
+ * merged into their union.
+ *
+ * @module features/template-groups
+ */
+
+import postcss from "postcss";
+import { createUrlSlugs } from "../batch/index.js";
+import { isUnitAtRule } from "../remaining-css/index.js";
+import { normalizeSelector } from "../rule-filter/index.js";
+
+/**
+ * Ways of grouping URLs: by URL pattern or by DOM structure
+ */
+export const GROUPING_MODES = ["url", "dom"];
+
+/**
+ * Default and highest number of pages sampled per group
+ */
+export const DEFAULT_SAMPLES_PER_GROUP = 3;
+export const MAX_SAMPLES_PER_GROUP = 5;
+
+/**
+ * Default DOM similarity (0-1) for two pages to share a group
+ */
+export const DEFAULT_SIMILARITY = 0.8;
+
+/**
+ * Most elements read for a DOM signature, so huge pages stay cheap
+ */
+const MAX_SIGNATURE_ELEMENTS = 3000;
+
+/**
+ * Matches path segments that are IDs rather than names: numbers, UUIDs,
+ * hashes and slugs ending in a number
+ */
+const DYNAMIC_SEGMENT =
+	/^(\d+|[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}|[0-9a-f]{10,}|.+[-_]\d+)$/i;
+
+/**
+ * Turns a URL into its template pattern. ID-like segments become `*`, and in
+ * paths two or more segments deep so does the last one, which is usually the
+ * item's slug; the query string is ignored.
+ *
+ * @param {string} url - Absolute URL
+ * @returns {string} Path pattern
+ *
+ * @example
+ * getUrlPattern("https://example.com/product/blue-shirt"); // "/product/*"
+ * getUrlPattern("https://example.com/about");              // "/about"
+ */
+export function getUrlPattern(url) {
+	const segments = new URL(url).pathname.split("/").filter(Boolean);
+	const pattern = segments.map((segment, index) =>
+		DYNAMIC_SEGMENT.test(segment) ||
+		(segments.length > 1 && index === segments.length - 1)
+			? "*"
+			: segment.toLowerCase()
+	);
+	return `/${pattern.join("/")}`;
+}
+
+/**
+ * Groups URLs that share a host and URL pattern
+ * @param {string[]} urls - Absolute URLs
+ * @returns {Array<{pattern: string, urls: string[]}>} Groups in order of their
+ *   first URL; the pattern includes the host when the URLs span several hosts
+ */
+export function groupUrlsByPattern(urls) {
+	const multipleHosts =
+		new Set(urls.map((url) => new URL(url).host)).size > 1;
+	const groups = new Map();
+
+	for (const url of urls) {
+		const path = getUrlPattern(url);
+		const pattern = multipleHosts ? `${new URL(url).host}${path}` : path;
+		if (!groups.has(pattern)) {
+			groups.set(pattern, { pattern, urls: [] });
+		}
+		groups.get(pattern).urls.push(url);
+	}
+
+	return [...groups.values()];
+}
+
+/**
+ * Collects a structural signature of the rendered page: one token per unique
+ * `parent > element.classes` shape in the body. Class names containing digits
+ * are ignored, as they are often generated per build or per item.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @returns {Promise<string[]>} Unique structure tokens
+ */
+export async function collectDomSignature(page) {
+	return page.evaluate((maxElements) => {
+		const describe = (element) =>
+			[
+				element.tagName.toLowerCase(),
+				...[...element.classList]
+					.filter((name) => !/\d/.test(name))
+					.sort(),
+			].join(".");
+
+		const tokens = new Set();
+		const elements = [...document.body.querySelectorAll("*")].slice(
+			0,
+			maxElements
+		);
+		for (const element of elements) {
+			tokens.add(
+				`${describe(element.parentElement)}>${describe(element)}`
+			);
+		}
+		return [...tokens];
+	}, MAX_SIGNATURE_ELEMENTS);
+}
+
+/**
+ * Measures how alike two DOM signatures are (Jaccard index)
+ * @param {string[]} a - Signature from collectDomSignature()
+ * @param {string[]} b - Signature from collectDomSignature()
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (same shapes)
+ */
+export function compareDomSignatures(a, b) {
+	const tokens = new Set(a);
+	const shared = b.filter((token) => tokens.has(token)).length;
+	const union = tokens.size + b.length - shared;
+	return union === 0 ? 1 : shared / union;
+}
+
+/**
+ * Describes the URLs of a group with a single pattern: their shared URL
+ * pattern, or their longest common path followed by `*`
+ * @param {string[]} urls - Absolute URLs
+ * @returns {string} Path pattern
+ */
+function describeUrls(urls) {
+	const patterns = [...new Set(urls.map(getUrlPattern))];
+	if (patterns.length === 1) {
+		return patterns[0];
+	}
+
+	const [first, ...rest] = patterns.map((pattern) =>
+		pattern.split("/").filter(Boolean)
+	);
+	let length = 0;
+	while (
+		length < first.length &&
+		first[length] !== "*" &&
+		rest.every((segments) => segments[length] === first[length])
+	) {
+		length++;
+	}
+	return `/${[...first.slice(0, length), "*"].join("/")}`;
+}
+
+/**
+ * Groups pages whose DOM structure is at least `threshold` similar to the
+ * first page of a group
+ *
+ * @param {Array<{url: string, signature: string[]}>} pages - Pages with their
+ *   signatures from collectDomSignature()
+ * @param {number} [threshold=DEFAULT_SIMILARITY] - Lowest similarity to join a group
+ * @returns {Array<{pattern: string, urls: string[]}>} Groups in order of their
+ *   first page, with a pattern describing their URLs
+ */
+export function groupByDomSimilarity(pages, threshold = DEFAULT_SIMILARITY) {
+	const groups = [];
+
+	for (const { url, signature } of pages) {
+		const group = groups.find(
+			(candidate) =>
+				compareDomSignatures(candidate.signature, signature) >=
+				threshold
+		);
+		if (group) {
+			group.urls.push(url);
+		} else {
+			groups.push({ signature, urls: [url] });
+		}
+	}
+
+	return groups.map(({ urls }) => ({ pattern: describeUrls(urls), urls }));
+}
+
+/**
+ * Picks up to `count` URLs spread evenly over a group, first and last included
+ * @param {string[]} urls - URLs of the group
+ * @param {number} count - Highest number of samples
+ * @returns {string[]} Sampled URLs, in group order
+ */
+export function selectSamples(urls, count) {
+	if (urls.length <= count) {
+		return [...urls];
+	}
+	if (count === 1) {
+		return [urls[0]];
+	}
+
+	const indexes = Array.from({ length: count }, (_, index) =>
+		Math.round((index * (urls.length - 1)) / (count - 1))
+	);
+	return [...new Set(indexes)].map((index) => urls[index]);
+}
+
+/**
+ * Creates a unique file name slug per group from its pattern
+ * @param {Array<{pattern: string, urls: string[]}>} groups - Groups to name
+ * @returns {string[]} Slugs in group order, e.g. "product" for `/product/*`
+ */
+export function createGroupSlugs(groups) {
+	return createUrlSlugs(
+		groups.map(({ pattern, urls }) => {
+			const path = pattern
+				.slice(pattern.indexOf("/"))
+				.replace(/\/\*/g, "");
+			return new URL(path || "/", urls[0]).href;
+		})
+	);
+}
+
+/**
+ * Lists the at-rules a node is nested in, outermost first
+ * @param {import('postcss').Node} node - PostCSS node
+ * @returns {Array<{name: string, params: string, key: string}>} Enclosing at-rules
+ */
+function getAtRuleChain(node) {
+	const chain = [];
+	for (let parent = node.parent; parent; parent = parent.parent) {
+		if (parent.type === "atrule") {
+			chain.unshift({
+				name: parent.name,
+				params: parent.params,
+				key: `@${parent.name.toLowerCase()} ${normalizeSelector(parent.params)}`,
+			});
+		}
+	}
+	return chain;
+}
+
+/**
+ * Lists the style rules and whole at-rules (@font-face, @keyframes, ...) of a
+ * stylesheet in order, with the grouping at-rules they are nested in
+ * @param {import('postcss').Container} container - Parsed stylesheet or at-rule
+ * @param {Array<Object>} entries - Receives `{key, chain, node}` per entry
+ * @returns {Array<Object>} The entries array
+ */
+function collectEntries(container, entries = []) {
+	for (const node of container.nodes || []) {
+		if (node.type === "atrule" && !isUnitAtRule(node)) {
+			collectEntries(node, entries);
+		} else if (node.type === "rule" || node.type === "atrule") {
+			const chain = getAtRuleChain(node);
+			entries.push({
+				key: `${chain.map((link) => link.key).join(" ")} ${normalizeSelector(node.toString())}`,
+				chain,
+				node,
+			});
+		}
+	}
+	return entries;
+}
+
+/**
+ * Merges critical stylesheets into their union.
+ *
+ * Rules and whole at-rules found in several stylesheets are kept once, in the
+ * order they were first seen. A rule missing from the stylesheets merged so
+ * far goes right before the next rule of its own stylesheet that is already
+ * merged, or at the end if there is none, so it never moves ahead of rules it
+ * followed or behind rules it preceded. The merged CSS keeps the source order
+ * (and cascade) of pages sharing a template's stylesheets.
+ *
+ * @param {string[]} sheets - Critical stylesheets, e.g. one per sampled page
+ * @returns {string} Merged CSS, not minified; unparseable stylesheets are skipped
+ *
+ * @example
+ * mergeCriticalCss([".nav{color:red}.hero{margin:0}", ".nav{color:red}.gallery{gap:1rem}"]);
+ * // ".nav{color:red}.hero{margin:0}.gallery{gap:1rem}"
+ */
+export function mergeCriticalCss(sheets) {
+	const merged = [];
+	const positions = new Map();
+
+	for (const css of sheets) {
+		let root;
+		try {
+			root = postcss.parse(css, { from: undefined });
+		} catch {
+			continue;
+		}
+
+		const entries = collectEntries(root);
+		// Key of the next entry of this stylesheet merged before it
+		const nextKnown = new Array(entries.length);
+		for (let index = entries.length - 1; index >= 0; index--) {
+			const next = entries[index + 1];
+			nextKnown[index] =
+				next && positions.has(next.key)
+					? next.key
+					: nextKnown[index + 1];
+		}
+
+		let anchor = -1;
+		entries.forEach((entry, index) => {
+			if (positions.has(entry.key)) {
+				anchor = Math.max(anchor, positions.get(entry.key));
+				return;
+			}
+			const before = nextKnown[index]
+				? positions.get(nextKnown[index])
+				: merged.length;
+			// Rules merged in a conflicting order keep it after the anchor
+			const position = before > anchor ? before : anchor + 1;
+			merged.splice(position, 0, entry);
+			for (const [key, current] of positions) {
+				if (current >= position) positions.set(key, current + 1);
+			}
+			positions.set(entry.key, position);
+			anchor = position;
+		});
+	}
+
+	// Rebuild the at-rule nesting, reusing the open wrappers consecutive
+	// entries share
+	const output = postcss.root();
+	let open = [];
+	for (const { chain, node } of merged) {
+		let depth = 0;
+		while (
+			depth < open.length &&
+			depth < chain.length &&
+			open[depth].key === chain[depth].key
+		) {
+			depth++;
+		}
+		open = open.slice(0, depth);
+		for (const link of chain.slice(depth)) {
+			const wrapper = postcss.atRule({
+				name: link.name,
+				params: link.params,
+			});
+			(open.at(-1)?.node || output).append(wrapper);
+			open.push({ key: link.key, node: wrapper });
+		}
+		(open.at(-1)?.node || output).append(node.clone());
+	}
+
+	return output.toString();
+}
@@ -0,0 +1,180 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+	compareDomSignatures,
+	createGroupSlugs,
+	getUrlPattern,
+	groupByDomSimilarity,
+	groupUrlsByPattern,
+	mergeCriticalCss,
+	selectSamples,
+} from "./index.js";
+
+/**
+ * Collapses whitespace so assertions ignore formatting
+ * @param {string} css - CSS text
+ * @returns {string} CSS without whitespace runs
+ */
+const compact = (css) => css.replace(/\s+/g, "");
+
+describe("getUrlPattern", () => {
+	test("replaces IDs and trailing slugs with wildcards", () => {
+		assert.equal(
+			getUrlPattern("https://example.com/product/blue-shirt?ref=1"),
+			"/product/*"
+		);
+		assert.equal(
+			getUrlPattern("https://example.com/Blog/2024/post"),
+			"/blog/*/*"
+		);
+		assert.equal(getUrlPattern("https://example.com/order-42"), "/*");
+	});
+
+	test("keeps single named segments", () => {
+		assert.equal(getUrlPattern("https://example.com/about"), "/about");
+		assert.equal(getUrlPattern("https://example.com/"), "/");
+	});
+});
+
+describe("groupUrlsByPattern", () => {
+	test("groups URLs in order of their first URL", () => {
+		assert.deepEqual(
+			groupUrlsByPattern([
+				"https://example.com/product/a",
+				"https://example.com/about",
+				"https://example.com/product/b",
+			]),
+			[
+				{
+					pattern: "/product/*",
+					urls: [
+						"https://example.com/product/a",
+						"https://example.com/product/b",
+					],
+				},
+				{ pattern: "/about", urls: ["https://example.com/about"] },
+			]
+		);
+	});
+
+	test("adds the host when URLs span several hosts", () => {
+		assert.deepEqual(
+			groupUrlsByPattern([
+				"https://a.com/about",
+				"https://b.com/about",
+			]).map(({ pattern }) => pattern),
+			["a.com/about", "b.com/about"]
+		);
+	});
+});
+
+describe("compareDomSignatures", () => {
+	test("computes the Jaccard index", () => {
+		assert.equal(compareDomSignatures(["a", "b"], ["b", "c"]), 1 / 3);
+		assert.equal(compareDomSignatures([], []), 1);
+	});
+});
+
+describe("groupByDomSimilarity", () => {
+	test("groups similar pages and describes their URLs", () => {
+		assert.deepEqual(
+			groupByDomSimilarity(
+				[
+					{
+						url: "https://example.com/shop/a",
+						signature: ["x", "y"],
+					},
+					{ url: "https://example.com/", signature: ["z"] },
+					{
+						url: "https://example.com/shop/sale/b",
+						signature: ["x", "y"],
+					},
+				],
+				0.8
+			),
+			[
+				{
+					pattern: "/shop/*",
+					urls: [
+						"https://example.com/shop/a",
+						"https://example.com/shop/sale/b",
+					],
+				},
+				{ pattern: "/", urls: ["https://example.com/"] },
+			]
+		);
+	});
+});
+
+describe("selectSamples", () => {
+	test("spreads samples evenly, first and last included", () => {
+		assert.deepEqual(selectSamples(["a", "b", "c", "d", "e"], 3), [
+			"a",
+			"c",
+			"e",
+		]);
+		assert.deepEqual(selectSamples(["a", "b"], 3), ["a", "b"]);
+		assert.deepEqual(selectSamples(["a", "b"], 1), ["a"]);
+	});
+});
+
+describe("createGroupSlugs", () => {
+	test("names groups after their pattern", () => {
+		assert.deepEqual(
+			createGroupSlugs([
+				{
+					pattern: "/product/*",
+					urls: ["https://example.com/product/a"],
+				},
+				{ pattern: "/*", urls: ["https://example.com/order-1"] },
+			]),
+			["product", "home"]
+		);
+	});
+});
+
+describe("mergeCriticalCss", () => {
+	test("keeps shared rules once, in first-seen order", () => {
+		assert.equal(
+			compact(
+				mergeCriticalCss([
+					".nav{color:red}.hero{margin:0}",
+					".nav{color:red}.gallery{gap:1rem}",
+				])
+			),
+			".nav{color:red}.hero{margin:0}.gallery{gap:1rem}"
+		);
+	});
+
+	test("inserts new rules before the next rule they preceded", () => {
+		assert.equal(
+			compact(
+				mergeCriticalCss([
+					".nav{color:red}.hero{margin:0}",
+					".gallery{gap:1rem}.nav{color:red}",
+				])
+			),
+			".gallery{gap:1rem}.nav{color:red}.hero{margin:0}"
+		);
+	});
+
+	test("rebuilds shared at-rule wrappers", () => {
+		assert.equal(
+			compact(
+				mergeCriticalCss([
+					"@media (min-width:768px){.a{color:red}}",
+					"@media (min-width:768px){.a{color:red}.b{color:blue}}",
+				])
+			),
+			"@media(min-width:768px){.a{color:red}.b{color:blue}}"
+		);
+	});
+
+	test("skips unparseable stylesheets", () => {
+		assert.equal(
+			compact(mergeCriticalCss([".a{", ".b{margin:0}"])),
+			".b{margin:0}"
+		);
+	});
+});
@@ -0,0 +1,152 @@
+/**
+ * URL Rebase Module
+ *
+ * PostCSS plugin that rewrites relative `url()` references (backgrounds,
+ * `@font-face` sources, masks, cursors, ...) so they keep pointing at the
+ * right asset once a stylesheet is combined with others and inlined into
+ * the HTML document.
+ *
+ * Rebasing has to run on each stylesheet before it is concatenated, while
+ * its originating URL is still known.
+ *
+ * @module features/url-rebase
+ */
+
+import postcss from "postcss";
+
+/**
+ * Supported output formats for rebased URLs
+ */
+export const URL_MODES = {
+	absolute: "absolute",
+	rootRelative: "root-relative",
+};
+
+/**
+ * Matches url() tokens, capturing double-quoted, single-quoted or bare values
+ */
+const URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^'")\s]*))\s*\)/gi;
+
+/**
+ * Checks whether a url() reference must be left untouched
+ * @param {string} reference - Raw reference from the stylesheet
+ * @returns {boolean} True for empty, data:, absolute, protocol-relative and fragment-only references
+ */
+function isNonRelative(reference) {
+	return (
+		!reference ||
+		reference.startsWith("#") ||
+		reference.startsWith("//") ||
+		/^[a-z][a-z0-9+.-]*:/i.test(reference)
+	);
+}
+
+/**
+ * Resolves a single reference against the stylesheet URL
+ * @param {string} reference - Relative reference
+ * @param {string} baseUrl - URL of the stylesheet containing the reference
+ * @param {string|null} rootRelativeOrigin - Origin whose assets become root-relative
+ * @returns {string|null} Rebased URL, or null if it cannot be resolved
+ */
+function rebaseReference(reference, baseUrl, rootRelativeOrigin) {
+	let resolved;
+	try {
+		resolved = new URL(reference, baseUrl);
+	} catch {
+		return null;
+	}
+
+	if (rootRelativeOrigin && resolved.origin === rootRelativeOrigin) {
+		return `${resolved.pathname}${resolved.search}${resolved.hash}`;
+	}
+	return resolved.href;
+}
+
+/**
+ * Creates the PostCSS plugin that rebases relative url() references.
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} options.baseUrl - URL of the stylesheet being processed
+ * @param {string} [options.mode="absolute"] - 'absolute' or 'root-relative'
+ * @param {string} [options.pageUrl] - URL of the page; same-origin assets become
+ *   root-relative paths when mode is 'root-relative'
+ * @returns {import('postcss').Plugin} PostCSS plugin
+ *
+ * @example
+ * await postcss([
+ *   rebaseUrls({ baseUrl: "https://example.com/themes/x/style.css" }),
+ * ]).process("a{background:url(../img/a.png)}", { from: undefined });
+ * // a{background:url(https://example.com/themes/img/a.png)}
+ */
+export function rebaseUrls(options = {}) {
+	const { baseUrl, mode = URL_MODES.absolute, pageUrl } = options;
+
+	let rootRelativeOrigin = null;
+	if (mode === URL_MODES.rootRelative && pageUrl) {
+		try {
+			rootRelativeOrigin = new URL(pageUrl).origin;
+		} catch {
+			// Invalid page URL, fall back to absolute URLs
+		}
+	}
+
+	return {
+		postcssPlugin: "speedkit-rebase-urls",
+		Declaration(decl) {
+			if (!baseUrl || !/url\(/i.test(decl.value)) {
+				return;
+			}
+
+			decl.value = decl.value.replace(
+				URL_PATTERN,
+				(token, doubleQuoted, singleQuoted, bare) => {
+					const reference = doubleQuoted ?? singleQuoted ?? bare;
+					if (isNonRelative(reference.trim())) {
+						return token;
+					}
+
+					const rebased = rebaseReference(
+						reference.trim(),
+						baseUrl,
+						rootRelativeOrigin
+					);
+					if (!rebased) {
+						return token;
+					}
+
+					// Keep the author's quoting; quote bare URLs that now need it
+					if (singleQuoted !== undefined) {
+						return `url('${rebased}')`;
+					}
+					if (
+						doubleQuoted !== undefined ||
+						/[\s()'"]/.test(rebased)
+					) {
+						return `url("${rebased}")`;
+					}
+					return `url(${rebased})`;
+				}
+			);
+		},
+	};
+}
+rebaseUrls.postcss = true;
+
+/**
+ * Rebases relative url() references of a stylesheet.
+ *
+ * @param {string} css - Stylesheet CSS text
+ * @param {string} baseUrl - URL of the stylesheet
+ * @param {Object} [options] - Same options as {@link rebaseUrls}, without baseUrl
+ * @returns {Promise<string>} CSS with rebased URLs, or the input if it cannot be parsed
+ */
+export async function rebaseCssUrls(css, baseUrl, options = {}) {
+	try {
+		const result = await postcss([
+			rebaseUrls({ ...options, baseUrl }),
+		]).process(css, { from: undefined });
+		return result.css;
+	} catch {
+		return css;
+	}
+}
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { rebaseCssUrls, URL_MODES } from "./index.js";
+
+const STYLESHEET_URL = "https://example.com/themes/x/style.css";
+
+describe("rebaseCssUrls", () => {
+	test("resolves relative references against the stylesheet URL", async () => {
+		assert.equal(
+			await rebaseCssUrls(
+				"a{background:url(../img/a.png)}",
+				STYLESHEET_URL
+			),
+			"a{background:url(https://example.com/themes/img/a.png)}"
+		);
+	});
+
+	test("keeps the author's quotes", async () => {
+		assert.equal(
+			await rebaseCssUrls(
+				`a{mask:url('m.svg'),url("n.svg")}`,
+				STYLESHEET_URL
+			),
+			`a{mask:url('https://example.com/themes/x/m.svg'),url("https://example.com/themes/x/n.svg")}`
+		);
+	});
+
+	test("quotes bare URLs that need it once rebased", async () => {
+		assert.equal(
+			await rebaseCssUrls("a{background:url(a%20b.png)}", STYLESHEET_URL),
+			"a{background:url(https://example.com/themes/x/a%20b.png)}"
+		);
+		assert.equal(
+			await rebaseCssUrls(
+				"a{background:url(a.png)}",
+				"https://example.com/my(dir)/style.css"
+			),
+			'a{background:url("https://example.com/my(dir)/a.png")}'
+		);
+	});
+
+	test("leaves non-relative references alone", async () => {
+		const css =
+			"a{background:url(data:image/png;base64,AA==),url(//cdn.com/a.png),url(https://cdn.com/b.png),url(#clip),url()}";
+		assert.equal(await rebaseCssUrls(css, STYLESHEET_URL), css);
+	});
+
+	test("rewrites @font-face sources", async () => {
+		assert.equal(
+			await rebaseCssUrls(
+				"@font-face{src:url(fonts/a.woff2) format('woff2')}",
+				STYLESHEET_URL
+			),
+			"@font-face{src:url(https://example.com/themes/x/fonts/a.woff2) format('woff2')}"
+		);
+	});
+
+	test("makes same-origin assets root-relative in root-relative mode", async () => {
+		const options = {
+			mode: URL_MODES.rootRelative,
+			pageUrl: "https://example.com/page",
+		};
+		assert.equal(
+			await rebaseCssUrls(
+				"a{background:url(img/a.png?v=2)}",
+				STYLESHEET_URL,
+				options
+			),
+			"a{background:url(/themes/x/img/a.png?v=2)}"
+		);
+		assert.equal(
+			await rebaseCssUrls(
+				"a{background:url(img/a.png)}",
+				"https://cdn.com/style.css",
+				options
+			),
+			"a{background:url(https://cdn.com/img/a.png)}"
+		);
+	});
+
+	test("returns unparseable CSS unchanged", async () => {
+		assert.equal(
+			await rebaseCssUrls("a{background:url(a.png)", STYLESHEET_URL),
+			"a{background:url(a.png)"
+		);
+	});
+});
@@ -0,0 +1,134 @@
+/**
+ * Visual Diff Module
+ *
+ * Compares screenshots of the original render and the critical-CSS-only
+ * render of a page, to catch critical rules that are missing from the fold.
+ * Images are decoded and compared on a canvas inside the browser, so no
+ * image library is needed on the server.
+ *
+ * @module features/visual-diff
+ */
+
+/**
+ * Default per-pixel color tolerance, as a fraction of the channel range
+ */
+export const DEFAULT_DIFF_THRESHOLD = 0.1;
+
+/**
+ * Captures the current viewport of a page as a PNG data URL
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @returns {Promise<string>} PNG screenshot as a `data:` URL
+ */
+export async function captureViewportScreenshot(page) {
+	const base64 = await page.screenshot({ type: "png", encoding: "base64" });
+	return `data:image/png;base64,${base64}`;
+}
+
+/**
+ * Compares two screenshots pixel by pixel.
+ *
+ * A pixel mismatches when any color channel differs by more than
+ * `threshold` of the channel range. The diff image shows the original
+ * faded to light gray with mismatched pixels in red. Screenshots of
+ * different sizes are compared over the larger area, with missing pixels
+ * counted as mismatches.
+ *
+ * @param {import('puppeteer').Browser} browser - Browser used to decode and compare
+ * @param {string} before - PNG data URL of the original render
+ * @param {string} after - PNG data URL of the render to check
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.threshold=0.1] - Color tolerance from 0 (exact) to 1
+ * @returns {Promise<{diff: string, width: number, height: number, mismatchedPixels: number, totalPixels: number, mismatchPercentage: number}>}
+ *   Diff image as a PNG data URL and mismatch statistics
+ *
+ * @example
+ * const result = await compareScreenshots(browser, original, critical);
+ * // { mismatchPercentage: 2.41, diff: "data:image/png;base64,...", ... }
+ */
+export async function compareScreenshots(browser, before, after, options = {}) {
+	const { threshold = DEFAULT_DIFF_THRESHOLD } = options;
+	const page = await browser.newPage();
+
+	try {
+		const result = await page.evaluate(
+			async (beforeSrc, afterSrc, tolerance) => {
+				const loadImage = (src) =>
+					new Promise((resolve, reject) => {
+						const image = new Image();
+						image.onload = () => resolve(image);
+						image.onerror = () =>
+							reject(new Error("Failed to decode screenshot"));
+						image.src = src;
+					});
+				const [first, second] = await Promise.all([
+					loadImage(beforeSrc),
+					loadImage(afterSrc),
+				]);
+
+				const width = Math.max(first.width, second.width);
+				const height = Math.max(first.height, second.height);
+				const createContext = () => {
+					const canvas = document.createElement("canvas");
+					canvas.width = width;
+					canvas.height = height;
+					return canvas.getContext("2d");
+				};
+				const readPixels = (image) => {
+					const context = createContext();
+					context.drawImage(image, 0, 0);
+					return context.getImageData(0, 0, width, height).data;
+				};
+
+				const a = readPixels(first);
+				const b = readPixels(second);
+				const diffContext = createContext();
+				const diff = diffContext.createImageData(width, height);
+				const maxDelta = tolerance * 255;
+				let mismatchedPixels = 0;
+
+				for (let i = 0; i < a.length; i += 4) {
+					const mismatched =
+						Math.abs(a[i] - b[i]) > maxDelta ||
+						Math.abs(a[i + 1] - b[i + 1]) > maxDelta ||
+						Math.abs(a[i + 2] - b[i + 2]) > maxDelta ||
+						Math.abs(a[i + 3] - b[i + 3]) > maxDelta;
+
+					if (mismatched) {
+						mismatchedPixels++;
+						diff.data.set([255, 0, 0, 255], i);
+					} else {
+						const gray =
+							0.299 * a[i] + 0.587 * a[i + 1] + 0.114 * a[i + 2];
+						const faded = 255 - (255 - gray) * 0.1;
+						diff.data.set([faded, faded, faded, 255], i);
+					}
+				}
+
+				diffContext.putImageData(diff, 0, 0);
+				return {
+					diff: diffContext.canvas.toDataURL("image/png"),
+					width,
+					height,
+					mismatchedPixels,
+					totalPixels: width * height,
+				};
+			},
+			before,
+			after,
+			threshold
+		);
+
+		return {
+			...result,
+			mismatchPercentage:
+				result.totalPixels > 0
+					? Math.round(
+							(result.mismatchedPixels / result.totalPixels) *
+								10000
+						) / 100
+					: 0,
+		};
+	} finally {
+		await page.close();
+	}
+}
@@ -0,0 +1,253 @@
+/**
+ * Web Vitals Module
+ *
+ * Lab measurement of Core Web Vitals and related load metrics with the
+ * browser's performance observers: LCP (with the LCP element), CLS (with
+ * the shifted elements), FCP, TTFB and Total Blocking Time. Interaction to
+ * Next Paint needs real user input, so TBT stands in for it as the usual
+ * lab proxy.
+ *
+ * @module features/web-vitals
+ */
+
+import { CLS_THRESHOLDS } from "../layout-shift/index.js";
+
+/**
+ * Good/poor thresholds per metric: up to `good` passes, above `poor` fails.
+ * Times are in milliseconds.
+ */
+export const VITALS_THRESHOLDS = {
+	lcp: { good: 2500, poor: 4000 },
+	cls: CLS_THRESHOLDS,
+	fcp: { good: 1800, poor: 3000 },
+	ttfb: { good: 800, poor: 1800 },
+	tbt: { good: 200, poor: 600 },
+};
+
+/**
+ * Rates a metric value against its thresholds
+ * @param {string} metric - Key of VITALS_THRESHOLDS
+ * @param {number|null} value - Measured value
+ * @returns {string|null} 'good', 'needs-improvement' or 'poor', or null when
+ *   the metric was not measured
+ */
+export function rateMetric(metric, value) {
+	if (value === null || value === undefined) return null;
+	const { good, poor } = VITALS_THRESHOLDS[metric];
+	if (value <= good) return "good";
+	if (value <= poor) return "needs-improvement";
+	return "poor";
+}
+
+/**
+ * Starts recording LCP candidates, layout shifts and long tasks from the
+ * very start of the next navigation. Must be called before navigation.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page, not yet navigated
+ * @returns {Promise<void>}
+ */
+export async function observeWebVitals(page) {
+	await page.evaluateOnNewDocument(() => {
+		/**
+		 * Builds a short, readable selector path for an element
+		 * @param {Element|null} element - Element to describe
+		 * @returns {string|null} e.g. "main > section.hero > img"
+		 */
+		function describeElement(element) {
+			if (!element) return null;
+			const parts = [];
+			for (
+				let node = element;
+				node && node !== document.documentElement;
+				node = node.parentElement
+			) {
+				let part = node.localName;
+				if (node.id) {
+					parts.unshift(`${part}#${node.id}`);
+					break;
+				}
+				if (typeof node.className === "string" && node.className) {
+					part += `.${node.className.trim().split(/\s+/).join(".")}`;
+				}
+				parts.unshift(part);
+			}
+			return parts.slice(-4).join(" > ");
+		}
+
+		const toRect = (rect) => ({
+			x: rect.x,
+			y: rect.y,
+			width: rect.width,
+			height: rect.height,
+		});
+
+		const vitals = { lcp: null, shifts: [], longTasks: [] };
+		Object.defineProperty(window, "__speedkitVitals", { value: vitals });
+
+		new PerformanceObserver((list) => {
+			for (const entry of list.getEntries()) {
+				vitals.lcp = {
+					value: entry.startTime,
+					element: describeElement(entry.element),
+					tagName: entry.element?.localName || null,
+					url: entry.url || null,
+					size: entry.size,
+				};
+			}
+		}).observe({ type: "largest-contentful-paint", buffered: true });
+
+		new PerformanceObserver((list) => {
+			for (const entry of list.getEntries()) {
+				if (entry.hadRecentInput) continue;
+				vitals.shifts.push({
+					value: entry.value,
+					startTime: entry.startTime,
+					sources: (entry.sources || []).map((source) => ({
+						element: describeElement(
+							source.node?.nodeType === Node.ELEMENT_NODE
+								? source.node
+								: source.node?.parentElement
+						),
+						previousRect: toRect(source.previousRect),
+						currentRect: toRect(source.currentRect),
+					})),
+				});
+			}
+		}).observe({ type: "layout-shift", buffered: true });
+
+		new PerformanceObserver((list) => {
+			for (const entry of list.getEntries()) {
+				vitals.longTasks.push({
+					startTime: entry.startTime,
+					duration: entry.duration,
+				});
+			}
+		}).observe({ type: "longtask", buffered: true });
+	});
+}
+
+/**
+ * Groups layout shifts into session windows (shifts less than 1s apart,
+ * at most 5s long) and returns the worst window, as CLS is defined
+ * @param {Array<{value: number, startTime: number}>} shifts - Layout shifts in order
+ * @returns {{value: number, shifts: Array<Object>}} Worst session window
+ */
+function findWorstSessionWindow(shifts) {
+	let worst = { value: 0, shifts: [] };
+	let current = { value: 0, shifts: [] };
+
+	for (const shift of shifts) {
+		const first = current.shifts[0];
+		const last = current.shifts[current.shifts.length - 1];
+		if (
+			last &&
+			(shift.startTime - last.startTime >= 1000 ||
+				shift.startTime - first.startTime >= 5000)
+		) {
+			current = { value: 0, shifts: [] };
+		}
+		current.value += shift.value;
+		current.shifts.push(shift);
+		if (current.value > worst.value) {
+			worst = { value: current.value, shifts: [...current.shifts] };
+		}
+	}
+
+	return worst;
+}
+
+/**
+ * Rounds a metric to a fixed number of decimals
+ * @param {number|null} value - Metric value
+ * @param {number} [decimals=0] - Decimal places
+ * @returns {number|null} Rounded value
+ */
+function round(value, decimals = 0) {
+	if (value === null || value === undefined) return null;
+	const factor = 10 ** decimals;
+	return Math.round(value * factor) / factor;
+}
+
+/**
+ * Reads the metrics recorded since observeWebVitals().
+ *
+ * Total Blocking Time sums the part of each long task beyond 50ms after
+ * First Contentful Paint, up to the end of the measurement rather than Time
+ * to Interactive, so it can slightly exceed Lighthouse's value.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page after navigation
+ * @param {Object} [options] - Collection options
+ * @param {number} [options.settleTime=1000] - Time in ms to keep observing
+ *   late LCP candidates, shifts and long tasks before reading
+ * @returns {Promise<Object>} Metrics keyed by name (lcp, cls, fcp, ttfb, tbt),
+ *   each with `value` and `rating`; LCP also reports `element`, `tagName`,
+ *   `url` and `size`, CLS the `sources` of its worst session window
+ *
+ * @example
+ * await observeWebVitals(page);
+ * await page.goto(url);
+ * const metrics = await collectWebVitals(page);
+ * // { lcp: { value: 1830, rating: "good", element: "section.hero > img", ... }, ... }
+ */
+export async function collectWebVitals(page, options = {}) {
+	const { settleTime = 1000 } = options;
+
+	await new Promise((resolve) => setTimeout(resolve, settleTime));
+
+	const recorded = await page.evaluate(() => {
+		const navigation = performance.getEntriesByType("navigation")[0];
+		const fcp = performance.getEntriesByName("first-contentful-paint")[0];
+		const vitals = window.__speedkitVitals || {
+			lcp: null,
+			shifts: [],
+			longTasks: [],
+		};
+		return {
+			...vitals,
+			fcp: fcp ? fcp.startTime : null,
+			ttfb: navigation ? navigation.responseStart : null,
+		};
+	});
+
+	const blockingTime =
+		recorded.fcp === null
+			? null
+			: recorded.longTasks
+					.filter((task) => task.startTime >= recorded.fcp)
+					.reduce(
+						(total, task) =>
+							total + Math.max(0, task.duration - 50),
+						0
+					);
+	const session = findWorstSessionWindow(recorded.shifts);
+
+	const lcp = round(recorded.lcp?.value ?? null);
+	const cls = round(session.value, 4);
+	const fcp = round(recorded.fcp);
+	const ttfb = round(recorded.ttfb);
+	const tbt = round(blockingTime);
+
+	return {
+		lcp: {
+			value: lcp,
+			rating: rateMetric("lcp", lcp),
+			element: recorded.lcp?.element ?? null,
+			tagName: recorded.lcp?.tagName ?? null,
+			url: recorded.lcp?.url ?? null,
+			size: recorded.lcp?.size ?? null,
+		},
+		cls: {
+			value: cls,
+			rating: rateMetric("cls", cls),
+			sources: session.shifts.flatMap((shift) =>
+				shift.sources.map((source) => ({
+					...source,
+					value: round(shift.value, 4),
+				}))
+			),
+		},
+		fcp: { value: fcp, rating: rateMetric("fcp", fcp) },
+		ttfb: { value: ttfb, rating: rateMetric("ttfb", ttfb) },
+		tbt: { value: tbt, rating: rateMetric("tbt", tbt) },
+	};
+}
@@ -0,0 +1,621 @@
+/**
+ * API Route Handler - Batch Critical CSS Generation
+ *
+ * Runs the /api/fetch-css pipeline for a list of URLs, or the URLs of a
+ * sitemap, with a bounded number of pages open at once in one shared
+ * browser. Returns per-URL results and a zip of `critical-<slug>.css` files.
+ * The whole batch runs within BATCH_DEADLINE; URLs it cuts off are reported
+ * as timed out or skipped next to the finished ones.
+ *
+ * With `group`, URLs are grouped by page template (URL pattern or DOM
+ * similarity) and only a few pages per group are analyzed; their critical CSS
+ * is merged into one file per template.
+ *
+ * @module api/batch
+ */
+
+import { createZipArchive } from "../../lib/archive/index.js";
+import {
+	acquireBrowser,
+	isPoolSaturated,
+	openPage,
+	redactCredentials,
+} from "../../lib/browser/index.js";
+import {
+	BATCH_DEADLINE,
+	createUrlSlugs,
+	DEFAULT_CONCURRENCY,
+	fetchSitemapUrls,
+	mapWithConcurrency,
+	MAX_BATCH_URLS,
+	MAX_CONCURRENCY,
+	raceSignal,
+} from "../../lib/features/batch/index.js";
+import {
+	collectDomSignature,
+	createGroupSlugs,
+	DEFAULT_SAMPLES_PER_GROUP,
+	DEFAULT_SIMILARITY,
+	groupByDomSimilarity,
+	groupUrlsByPattern,
+	GROUPING_MODES,
+	MAX_SAMPLES_PER_GROUP,
+	mergeCriticalCss,
+	selectSamples,
+} from "../../lib/features/template-groups/index.js";
+import {
+	formatSize,
+	generateCriticalCssForUrl,
+	parseFetchCssOptions,
+	processCss,
+} from "./fetch-css.js";
+
+// Critical CSS for every URL plus the base64 zip can exceed the 4mb default
+export const config = {
+	api: {
+		responseLimit: "16mb",
+	},
+};
+
+// Valid response formats
+const VALID_FORMATS = ["json", "zip"];
+
+// Valid grouping values; 'none' analyzes every URL on its own
+const VALID_GROUPS = ["none", ...GROUPING_MODES];
+
+// File name of the downloadable archive
+const ZIP_FILENAME = "critical-css.zip";
+
+// Manifest mapping each template pattern to its file, added in grouped zips
+const MANIFEST_FILENAME = "templates.json";
+
+/**
+ * Normalizes the `urls` field: an array, or a newline/comma-separated string
+ * @param {string|string[]|undefined} input - Raw field value
+ * @returns {string[]} Unique, trimmed entries
+ */
+function parseUrlList(input) {
+	const entries = []
+		.concat(input ?? [])
+		.flatMap((value) => String(value).split(/[\n,]/))
+		.map((value) => value.trim())
+		.filter(Boolean);
+	return [...new Set(entries)];
+}
+
+/**
+ * Checks that a string is an absolute http(s) URL
+ * @param {string} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isHttpUrl(value) {
+	try {
+		return ["http:", "https:"].includes(new URL(value).protocol);
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Turns a failure of one URL into its result, telling the batch deadline
+ * apart from other errors
+ * @param {Error} error - Error of the URL
+ * @param {AbortSignal} signal - Batch deadline signal
+ * @returns {{status: string, error: string}} 'timeout' result if the deadline
+ *   cut the URL off, else 'error'
+ */
+function toFailure(error, signal) {
+	return error === signal.reason
+		? { status: "timeout", error: error.message }
+		: { status: "error", error: redactCredentials(error.message) };
+}
+
+/**
+ * Result of a URL the batch deadline left no time for
+ */
+const DEADLINE_SKIPPED = {
+	status: "skipped",
+	error: "Not analyzed: the batch deadline ran out first",
+};
+
+/**
+ * Runs the fetch-css pipeline for one URL, turning a failure into an error
+ * result so one URL does not fail the batch
+ * @param {import('../../lib/browser/pool.js').BrowserSession} browser - Shared
+ *   browser session
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Options from parseFetchCssOptions()
+ * @param {AbortSignal} signal - Batch deadline signal
+ * @returns {Promise<Object>} `status` 'ok' with the critical CSS details,
+ *   'error' or 'timeout' with the error message, or 'skipped' if the deadline
+ *   passed before the URL started
+ */
+async function analyzeUrl(browser, url, options, signal) {
+	if (signal.aborted) {
+		return DEADLINE_SKIPPED;
+	}
+	try {
+		const result = await raceSignal(
+			generateCriticalCssForUrl(browser, url, options),
+			signal
+		);
+		return {
+			status: "ok",
+			critical: result.critical,
+			sizes: result.sizes,
+			viewports: result.viewports || [],
+			droppedMediaQueries: result.droppedMediaQueries,
+			warnings: result.warnings,
+			message: result.message,
+		};
+	} catch (error) {
+		return toFailure(error, signal);
+	}
+}
+
+/**
+ * Analyzes every URL on its own
+ * @param {import('../../lib/browser/pool.js').BrowserSession} browser - Shared
+ *   browser session
+ * @param {string[]} urls - URLs to analyze
+ * @param {Object} settings - Batch settings
+ * @param {Object} settings.options - Options from parseFetchCssOptions()
+ * @param {number} settings.poolSize - Pages analyzed at the same time
+ * @param {AbortSignal} settings.signal - Batch deadline signal
+ * @returns {Promise<{results: Array<Object>, files: Array<Object>}>} Per-URL
+ *   results and the zip entries
+ */
+async function runUrlBatch(browser, urls, { options, poolSize, signal }) {
+	const slugs = createUrlSlugs(urls);
+	const results = await mapWithConcurrency(
+		urls,
+		poolSize,
+		async (url, index) => {
+			const slug = slugs[index];
+			const result = await analyzeUrl(browser, url, options, signal);
+			return result.status === "ok"
+				? { url, slug, filename: `critical-${slug}.css`, ...result }
+				: { url, slug, ...result };
+		}
+	);
+
+	const files = results
+		.filter((result) => result.status === "ok" && result.critical)
+		.map((result) => ({ name: result.filename, content: result.critical }));
+
+	return { results, files };
+}
+
+/**
+ * Groups URLs by the structure of their rendered DOM. Each page is opened
+ * with the requested device, but without throttling, only to read its
+ * signature.
+ * @param {import('../../lib/browser/pool.js').BrowserSession} browser - Shared
+ *   browser session
+ * @param {string[]} urls - URLs to group
+ * @param {Object} settings - Batch settings
+ * @param {Object} settings.options - Options from parseFetchCssOptions()
+ * @param {number} settings.poolSize - Pages opened at the same time
+ * @param {number} settings.similarity - Lowest similarity to share a group
+ * @param {AbortSignal} settings.signal - Batch deadline signal
+ * @returns {Promise<{groups: Array<Object>, failures: Array<Object>}>} Groups,
+ *   and the URLs that could not be loaded with their failed result
+ */
+async function groupByDom(
+	browser,
+	urls,
+	{ options, poolSize, similarity, signal }
+) {
+	const pages = await mapWithConcurrency(urls, poolSize, async (url) => {
+		if (signal.aborted) {
+			return { url, failure: DEADLINE_SKIPPED };
+		}
+		const readSignature = async () => {
+			const page = await openPage(browser, url, {
+				device: options.device,
+				access: options.access,
+			});
+			try {
+				return await collectDomSignature(page);
+			} finally {
+				await page.close();
+			}
+		};
+		try {
+			return {
+				url,
+				signature: await raceSignal(readSignature(), signal),
+			};
+		} catch (error) {
+			return { url, failure: toFailure(error, signal) };
+		}
+	});
+
+	return {
+		groups: groupByDomSimilarity(
+			pages.filter((page) => page.signature),
+			similarity
+		),
+		failures: pages
+			.filter((page) => page.failure)
+			.map(({ url, failure }) => ({ url, ...failure })),
+	};
+}
+
+/**
+ * Groups URLs by template, analyzes a sample of each group and merges the
+ * samples' critical CSS into one stylesheet per group
+ * @param {import('../../lib/browser/pool.js').BrowserSession} browser - Shared
+ *   browser session
+ * @param {string[]} urls - URLs to group and analyze
+ * @param {Object} settings - Batch settings
+ * @param {Object} settings.options - Options from parseFetchCssOptions()
+ * @param {number} settings.poolSize - Pages analyzed at the same time
+ * @param {string} settings.group - 'url' or 'dom'
+ * @param {number} settings.samples - Pages analyzed per group
+ * @param {number} settings.similarity - Lowest DOM similarity to share a group
+ * @param {AbortSignal} settings.signal - Batch deadline signal
+ * @returns {Promise<{results: Array<Object>, groups: Array<Object>, files: Array<Object>}>}
+ *   Per-URL results, per-group critical CSS and the zip entries
+ */
+async function runGroupedBatch(browser, urls, settings) {
+	const { options, poolSize, group, samples, signal } = settings;
+	const { groups, failures } =
+		group === "dom"
+			? await groupByDom(browser, urls, settings)
+			: { groups: groupUrlsByPattern(urls), failures: [] };
+	const slugs = createGroupSlugs(groups);
+
+	const sampled = groups.flatMap((template, index) =>
+		selectSamples(template.urls, samples).map((url) => ({ url, index }))
+	);
+	const analyses = await mapWithConcurrency(sampled, poolSize, ({ url }) =>
+		analyzeUrl(browser, url, options, signal)
+	);
+
+	const byUrl = new Map(failures.map((failure) => [failure.url, failure]));
+	const groupResults = await Promise.all(
+		groups.map(async (template, index) => {
+			const slug = slugs[index];
+			const sampleResults = sampled
+				.map((sample, sampleIndex) => ({
+					...sample,
+					result: analyses[sampleIndex],
+				}))
+				.filter((sample) => sample.index === index);
+
+			for (const url of template.urls) {
+				byUrl.set(url, { url, group: slug, status: "skipped" });
+			}
+			for (const { url, result } of sampleResults) {
+				byUrl.set(url, { url, group: slug, ...result });
+			}
+
+			const analyzed = sampleResults
+				.map((sample) => sample.result)
+				.filter((result) => result.status === "ok");
+			if (analyzed.length === 0) {
+				return {
+					slug,
+					pattern: template.pattern,
+					urls: template.urls,
+					samples: sampleResults.map((sample) => sample.url),
+					status: "error",
+					error: "None of the sampled pages could be analyzed",
+				};
+			}
+
+			const critical = await processCss(
+				mergeCriticalCss(analyzed.map((result) => result.critical))
+			);
+			const size = new TextEncoder().encode(critical).length;
+			return {
+				slug,
+				pattern: template.pattern,
+				urls: template.urls,
+				samples: sampleResults.map((sample) => sample.url),
+				status: "ok",
+				filename: `critical-${slug}.css`,
+				critical,
+				size,
+				sizeFormatted: formatSize(size),
+			};
+		})
+	);
+
+	const withCss = groupResults.filter(
+		(result) => result.status === "ok" && result.critical
+	);
+	const files = withCss.map((result) => ({
+		name: result.filename,
+		content: result.critical,
+	}));
+	if (files.length > 0) {
+		files.push({
+			name: MANIFEST_FILENAME,
+			content: JSON.stringify(
+				withCss.map(({ pattern, filename, urls }) => ({
+					pattern,
+					filename,
+					urls,
+				})),
+				null,
+				2
+			),
+		});
+	}
+
+	return {
+		results: urls.map((url) => byUrl.get(url)),
+		groups: groupResults,
+		files,
+	};
+}
+
+/**
+ * API Route Handler
+ *
+ * @param {import('next').NextApiRequest} req - Next.js API request (POST)
+ * @param {import('next').NextApiResponse} res - Next.js API response
+ *
+ * @body {string[]|string} [urls] - URLs to analyze, as an array or a newline-separated
+ *   list; required unless `sitemap` is given
+ * @body {string} [sitemap] - URL of a sitemap.xml or sitemap index to read URLs from
+ * @body {number} [concurrency=3] - Pages analyzed at the same time, from 1 to 5
+ * @body {string} [format=json] - 'json' for results with a base64 zip, or 'zip'
+ *   to receive the archive itself
+ * @body {string} [group=none] - 'url' to group URLs by URL pattern (`/product/*`) or
+ *   'dom' by DOM structure similarity, generating one critical CSS per group
+ * @body {number} [samples=3] - With `group`, pages analyzed per group, from 1 to 5
+ * @body {number} [similarity=0.8] - With `group=dom`, lowest structure similarity
+ *   (above 0, up to 1) for two pages to share a group
+ * @body {*} [mode, foldEngine, viewports, ...] - Any /api/fetch-css parameter except
+ *   `url`, applied to every URL
+ *
+ * @returns {Object} JSON response (format=json):
+ * @returns {Array<Object>} results - Per URL, in input order: `url`, `slug` (or
+ *   `group` when grouping), `status` ('ok', 'error', 'timeout' when the batch
+ *   deadline cut the URL off, or 'skipped' for URLs the deadline left no time for
+ *   and grouped URLs that were not sampled); when ok `filename` (ungrouped),
+ *   `critical`, `sizes`, `viewports`, `droppedMediaQueries`, `warnings`
+ *   (stylesheets that could not be used) and, for pages without stylesheets,
+ *   `message`; otherwise `error`, except for unsampled URLs
+ * @returns {Array<Object>|null} groups - When grouping, per group: `slug`,
+ *   `pattern`, `urls`, `samples`, `status`, and `filename`, `critical` (union of
+ *   the samples' critical CSS), `size` and `sizeFormatted`, or `error`
+ * @returns {Object} summary - Counts of `total`, `succeeded`, `failed`,
+ *   `timedOut` and `skipped` URLs
+ * @returns {boolean} partial - Whether the batch deadline ran out before every
+ *   URL was analyzed
+ * @returns {boolean} truncated - Whether the sitemap listed more than the
+ *   batch limit
+ * @returns {Array<{sitemap: string, message: string}>} warnings - Child sitemaps
+ *   of a sitemap index that could not be read
+ * @returns {Object|null} zip - `filename`, `size` and `base64` of the archive of
+ *   `critical-<slug>.css` files (per group plus a `templates.json` manifest when
+ *   grouping), or null if no critical CSS was produced
+ *
+ * @example
+ * // POST /api/batch
+ * // Body: { "sitemap": "https://example.com/sitemap.xml", "mode": "above-fold" }
+ * // Response: { results: [{ url: "https://example.com/", slug: "home", status: "ok", ... }], ... }
+ */
+export default async function handler(req, res) {
+	if (req.method !== "POST") {
+		res.setHeader("Allow", "POST");
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const body = req.body || {};
+	const {
+		sitemap,
+		concurrency = DEFAULT_CONCURRENCY,
+		format = "json",
+		group = "none",
+		samples: samplesParam = DEFAULT_SAMPLES_PER_GROUP,
+		similarity: similarityParam = DEFAULT_SIMILARITY,
+	} = body;
+	let urls = parseUrlList(body.urls);
+
+	if (urls.length === 0 && !sitemap) {
+		return res.status(400).json({
+			error: "URLs or sitemap is required",
+			details: "Send a urls list or the URL of a sitemap.xml",
+		});
+	}
+
+	if (sitemap && !isHttpUrl(sitemap)) {
+		return res.status(400).json({
+			error: "Invalid sitemap parameter",
+			details: "sitemap must be an absolute http(s) URL",
+		});
+	}
+
+	const invalidUrl = urls.find((url) => !isHttpUrl(url));
+	if (invalidUrl) {
+		return res.status(400).json({
+			error: "Invalid urls parameter",
+			details: `"${invalidUrl}" is not an absolute http(s) URL`,
+		});
+	}
+
+	if (urls.length > MAX_BATCH_URLS) {
+		return res.status(400).json({
+			error: "Too many URLs",
+			details: `A batch can contain at most ${MAX_BATCH_URLS} URLs`,
+		});
+	}
+
+	const poolSize = Number(concurrency);
+	if (
+		!Number.isInteger(poolSize) ||
+		poolSize < 1 ||
+		poolSize > MAX_CONCURRENCY
+	) {
+		return res.status(400).json({
+			error: "Invalid concurrency parameter",
+			details: `concurrency must be an integer from 1 to ${MAX_CONCURRENCY}`,
+		});
+	}
+
+	if (!VALID_FORMATS.includes(format)) {
+		return res.status(400).json({
+			error: "Invalid format parameter",
+			details: `format must be one of: ${VALID_FORMATS.join(", ")}`,
+		});
+	}
+
+	if (!VALID_GROUPS.includes(group)) {
+		return res.status(400).json({
+			error: "Invalid group parameter",
+			details: `group must be one of: ${VALID_GROUPS.join(", ")}`,
+		});
+	}
+
+	const samples = Number(samplesParam);
+	if (
+		!Number.isInteger(samples) ||
+		samples < 1 ||
+		samples > MAX_SAMPLES_PER_GROUP
+	) {
+		return res.status(400).json({
+			error: "Invalid samples parameter",
+			details: `samples must be an integer from 1 to ${MAX_SAMPLES_PER_GROUP}`,
+		});
+	}
+
+	const similarity = Number(similarityParam);
+	if (!(similarity > 0 && similarity <= 1)) {
+		return res.status(400).json({
+			error: "Invalid similarity parameter",
+			details: "similarity must be a number above 0 and up to 1",
+		});
+	}
+
+	const { options, error } = parseFetchCssOptions(body);
+	if (error) {
+		return res.status(400).json(error);
+	}
+
+	// Stops starting URLs and cuts off running ones, so the function returns
+	// the finished results before the platform kills it
+	const deadline = new AbortController();
+	const deadlineTimer = setTimeout(
+		() =>
+			deadline.abort(
+				new Error(`The ${BATCH_DEADLINE} ms batch deadline ran out`)
+			),
+		BATCH_DEADLINE
+	);
+
+	let truncated = false;
+	let warnings = [];
+	let browser;
+	try {
+		if (sitemap) {
+			try {
+				const fromSitemap = await fetchSitemapUrls(sitemap, {
+					maxUrls: MAX_BATCH_URLS - urls.length,
+					signal: deadline.signal,
+				});
+				urls = [...new Set([...urls, ...fromSitemap.urls])].filter(
+					isHttpUrl
+				);
+				truncated = fromSitemap.truncated;
+				warnings = fromSitemap.warnings;
+			} catch (error) {
+				return res.status(400).json({
+					error: "Invalid sitemap parameter",
+					details: redactCredentials(error.message),
+				});
+			}
+
+			if (urls.length === 0) {
+				return res.status(400).json({
+					error: "Invalid sitemap parameter",
+					details:
+						warnings.length > 0
+							? "None of the sitemap's child sitemaps could be read"
+							: "The sitemap does not list any page URLs",
+					warnings,
+				});
+			}
+		}
+
+		browser = await acquireBrowser({ pages: poolSize });
+		const settings = {
+			options,
+			// The pool may grant fewer pages than requested
+			poolSize: Math.min(poolSize, browser.maxPages),
+			group,
+			samples,
+			similarity,
+			signal: deadline.signal,
+		};
+		const { results, groups, files } =
+			group === "none"
+				? await runUrlBatch(browser, urls, settings)
+				: await runGroupedBatch(browser, urls, settings);
+
+		await browser.close();
+		browser = undefined;
+
+		const zip = files.length > 0 ? createZipArchive(files) : null;
+
+		if (format === "zip") {
+			res.setHeader("Content-Type", "application/zip");
+			res.setHeader(
+				"Content-Disposition",
+				`attachment; filename="${ZIP_FILENAME}"`
+			);
+			return res.status(200).send(zip || createZipArchive([]));
+		}
+
+		const countStatus = (status) =>
+			results.filter((result) => result.status === status).length;
+
+		res.status(200).json({
+			results,
+			groups: groups || null,
+			summary: {
+				total: results.length,
+				succeeded: countStatus("ok"),
+				failed: countStatus("error"),
+				timedOut: countStatus("timeout"),
+				skipped: countStatus("skipped"),
+			},
+			partial: deadline.signal.aborted,
+			truncated,
+			warnings,
+			zip: zip
+				? {
+						filename: ZIP_FILENAME,
+						size: zip.length,
+						base64: zip.toString("base64"),
+					}
+				: null,
+		});
+	} catch (error) {
+		if (isPoolSaturated(error)) {
+			res.setHeader("Retry-After", error.retryAfter);
+			return res.status(503).json({
+				error: "Server busy",
+				details: error.message,
+			});
+		}
+		console.error("Batch API Error:", redactCredentials(error.message));
+		res.status(500).json({
+			error: "Failed to run batch",
+			details: redactCredentials(error.message),
+			stack:
+				process.env.NODE_ENV === "development"
+					? redactCredentials(error.stack)
+					: undefined,
+		});
+	} finally {
+		clearTimeout(deadlineTimer);
+		if (browser) {
+			await browser.close();
+		}
+	}
+}
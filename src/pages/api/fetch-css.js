@@ -4,20 +4,114 @@ import postcss from "postcss";
 import { PurgeCSS } from "purgecss";
 
 // Import shared browser module
-import { createBrowserWithPage } from "../../lib/browser/index.js";
+import {
+	acquireBrowser,
+	captureStylesheetResponses,
+	getDeviceMediaFeatures,
+	getNavigationTimeout,
+	getPageAccessHeaders,
+	isPoolSaturated,
+	openPage,
+	parsePageAccess,
+	parseViewports,
+	redactCredentials,
+	resolveDevice,
+	resolveThrottlingProfile,
+	setPageViewport,
+	VIEWPORT_CONFIG,
+} from "../../lib/browser/index.js";
 
 // Import feature modules
-import { captureAboveTheFoldHTML } from "../../lib/features/above-the-fold/index.js";
+import {
+	analyzeAboveTheFoldRules,
+	buildViewportMediaQueries,
+	captureAboveTheFoldHTML,
+} from "../../lib/features/above-the-fold/index.js";
+import {
+	startCssCoverage,
+	stopCssCoverage,
+} from "../../lib/features/css-coverage/index.js";
+import { resolveImports } from "../../lib/features/css-imports/index.js";
+import { preserveDependencies } from "../../lib/features/css-dependencies/index.js";
+import { generateHtmlSnippet } from "../../lib/features/html-snippet/index.js";
+import {
+	evaluateMediaQueries,
+	filterMediaQueries,
+	parseMediaFeatureList,
+} from "../../lib/features/media-queries/index.js";
+import {
+	extractPreloadableResources,
+	generateAllPreloadTags,
+} from "../../lib/features/preload-generator/index.js";
+import { subtractCriticalCss } from "../../lib/features/remaining-css/index.js";
+import { filterRules } from "../../lib/features/rule-filter/index.js";
+import {
+	applySelectorLists,
+	parseSelectorPatterns,
+} from "../../lib/features/selector-lists/index.js";
+import {
+	rebaseCssUrls,
+	URL_MODES,
+} from "../../lib/features/url-rebase/index.js";
+import {
+	assertValidCss,
+	createStylesheetError,
+	describeStylesheetError,
+	STYLESHEET_ERROR_CODES,
+} from "../../lib/features/stylesheet-errors/index.js";
+import {
+	assertStylesheetSize,
+	decodeStylesheet,
+	DEFAULT_STYLESHEET_LIMITS,
+	fetchStylesheet,
+	MAX_STYLESHEET_BYTES,
+} from "../../lib/features/stylesheet-fetch/index.js";
+import {
+	extractPageStylesheets,
+	getStylesheetExclusion,
+	parseIncludedStylesheets,
+	STYLESHEET_TYPES,
+	wrapInMedia,
+} from "../../lib/features/stylesheet-sources/index.js";
 
 // Valid mode values for CSS extraction
-const VALID_MODES = ["full", "above-fold"];
+const VALID_MODES = ["full", "above-fold", "coverage"];
+
+// Valid above-the-fold engines: per-rule geometry, or DOM cloning + PurgeCSS
+const VALID_FOLD_ENGINES = ["geometry", "clone"];
+
+// Valid ways of combining critical CSS from several viewports
+const VALID_VIEWPORT_OUTPUTS = ["merged", "media"];
+
+// Valid values for how relative url() references are rewritten
+const VALID_URL_MODES = Object.values(URL_MODES);
+
+// Default time budget for loading the page and its stylesheets, counted from
+// the start of the page load; leaves room for CSS processing within Vercel's
+// 60 s limit
+const DEFAULT_DEADLINE = 45000;
+
+// Numeric limits accepted as parameters, with their defaults and ranges
+const LIMIT_PARAMS = {
+	stylesheetTimeout: {
+		fallback: DEFAULT_STYLESHEET_LIMITS.timeout,
+		min: 1000,
+		max: 60000,
+	},
+	maxStylesheetSize: {
+		fallback: DEFAULT_STYLESHEET_LIMITS.maxBytes,
+		min: 1024,
+		max: MAX_STYLESHEET_BYTES,
+	},
+	deadline: { fallback: DEFAULT_DEADLINE, min: 1000, max: 300000 },
+};
 
 /**
  * Formats byte size to human-readable string
  * @param {number} bytes - Size in bytes
  * @returns {string} Formatted size (e.g., "122.3 KB")
  */
-function formatSize(bytes) {
+export function formatSize(bytes) {
 	if (bytes >= 1024 * 1024) {
 		return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 	}
@@ -47,39 +141,234 @@ function extractFilename(cssUrl) {
 }
 
 /**
- * Fetches a single stylesheet and returns its metadata
- * @param {string} cssUrl - URL of the stylesheet
- * @param {number} index - Index for ID assignment
- * @returns {Promise<{content: string, metadata: Object}>}
+ * Builds the metadata for a stylesheet
+ * @param {string} content - Raw CSS text of the stylesheet
+ * @param {Object} details - Stylesheet details
+ * @param {string} details.type - Source type (external, inline, adopted, shadow, import)
+ * @param {string|null} details.url - Stylesheet URL, or null for embedded CSS
+ * @param {string} details.filename - Display filename
+ * @param {string|null} [details.media=null] - `media` attribute, null for all media
+ * @param {string|null} [details.excluded=null] - Why the stylesheet is left out of
+ *   the combined CSS ('print', 'disabled' or 'alternate'), null if it is used
+ * @param {Object|null} [details.error=null] - Why the stylesheet could not be
+ *   used, from describeStylesheetError()
+ * @returns {Object} Stylesheet metadata (without an ID)
+ */
+function createStylesheetMetadata(
+	content,
+	{ type, url, filename, media = null, excluded = null, error = null }
+) {
+	const size = new TextEncoder().encode(content).length;
+
+	return {
+		type,
+		url,
+		filename,
+		media,
+		excluded,
+		status: error ? "error" : "ok",
+		error,
+		size,
+		sizeFormatted: formatSize(size),
+	};
+}
+
+/**
+ * Loads a linked stylesheet, reporting a failed download as 'cors-blocked'
+ * when the browser also hides the page's copy of its rules
+ * @param {{url: string, blocked?: boolean}} source - Linked source from the page
+ * @param {(url: string) => Promise<string>} fetchCss - Loads the text of a stylesheet
+ * @returns {Promise<string>} CSS text
+ * @throws {Error} The download error, or a 'cors-blocked' stylesheet error
+ *   carrying it as `cause`
  */
-async function fetchStylesheet(cssUrl, index) {
-	const response = await fetch(cssUrl);
-	if (!response.ok) {
-		throw new Error(
-			`Failed to fetch stylesheet: ${response.status} ${response.statusText}`
+async function fetchLinkedCss(source, fetchCss) {
+	try {
+		return await fetchCss(source.url);
+	} catch (error) {
+		if (
+			!source.blocked ||
+			error.code === STYLESHEET_ERROR_CODES.deadlineExceeded
+		) {
+			throw error;
+		}
+		const { message, httpStatus } = describeStylesheetError(error);
+		throw createStylesheetError(
+			STYLESHEET_ERROR_CODES.corsBlocked,
+			`${message}; the browser does not expose the rules of this cross-origin stylesheet either`,
+			httpStatus === undefined
+				? { cause: error }
+				: { cause: error, httpStatus }
 		);
 	}
-	const content = await response.text();
-	const size = new TextEncoder().encode(content).length;
+}
+
+/**
+ * Loads a single stylesheet source, inlines its `@import` chain and rebases
+ * relative url() references of every file against that file's own URL
+ * @param {{type: string, url?: string, content?: string, blocked?: boolean,
+ *   media?: string|null}} source - Source from the page
+ * @param {string} filename - Display filename
+ * @param {Object} options - Loading options
+ * @param {string} options.pageUrl - URL of the page, used as base for embedded CSS
+ * @param {string} options.urlMode - 'absolute' or 'root-relative'
+ * @param {string[]} options.includedStylesheets - Excludable kinds to use anyway
+ * @param {(url: string) => Promise<string>} options.fetchCss - Loads the text of a
+ *   linked or imported stylesheet
+ * @returns {Promise<{content: string, metadata: Object, imports: Array<Object>}>}
+ *   CSS wrapped in the source's `media` condition, and metadata whose `excluded`
+ *   tells whether the CSS belongs in the combined stylesheet
+ * @throws {Error} If the stylesheet cannot be read, fetched or parsed
+ */
+async function loadStylesheet(
+	source,
+	filename,
+	{ pageUrl, urlMode, includedStylesheets, fetchCss }
+) {
+	const rawContent = source.url
+		? await fetchLinkedCss(source, fetchCss)
+		: source.content;
+	// Report a broken file with its own line numbers rather than failing the
+	// processing of all stylesheets combined
+	assertValidCss(rawContent);
+	const baseUrl = source.url || pageUrl;
+	const rebase = (css, cssUrl) =>
+		rebaseCssUrls(css, cssUrl, { mode: urlMode, pageUrl });
+
+	// Rebase before inlining imports, which are rebased against their own URLs
+	const { css, imports } = await resolveImports(
+		await rebase(rawContent, baseUrl),
+		baseUrl,
+		{ fetchCss, transformCss: rebase }
+	);
 
 	return {
-		content,
-		metadata: {
-			id: index + 1,
-			url: cssUrl,
-			filename: extractFilename(cssUrl),
-			size,
-			sizeFormatted: formatSize(size),
-		},
+		content: wrapInMedia(css, source.media),
+		metadata: createStylesheetMetadata(rawContent, {
+			type: source.type,
+			url: source.url || null,
+			filename,
+			media: source.media,
+			excluded: getStylesheetExclusion(source, includedStylesheets),
+		}),
+		imports,
 	};
 }
 
+/**
+ * Loads every stylesheet source, fetching linked files and wrapping embedded
+ * CSS, while preserving document order. A stylesheet that fails to load is
+ * returned empty, with the reason in its metadata `error`, so the others still
+ * proceed.
+ * @param {Array<{type: string, url?: string, content?: string}>} sources - Sources from the page
+ * @param {Object} options - Loading options passed to loadStylesheet
+ * @returns {Promise<Array<{content: string, metadata: Object, imports: Array<Object>}>>}
+ */
+function loadStylesheetSources(sources, options) {
+	const typeCounts = {};
+
+	return Promise.all(
+		sources.map((source) => {
+			let filename;
+			if (source.url) {
+				filename = extractFilename(source.url);
+			} else {
+				typeCounts[source.type] = (typeCounts[source.type] || 0) + 1;
+				filename = `${source.type}-style-${typeCounts[source.type]}.css`;
+			}
+
+			return loadStylesheet(source, filename, options).catch((error) => ({
+				content: "",
+				metadata: createStylesheetMetadata("", {
+					type: source.type,
+					url: source.url || null,
+					filename,
+					media: source.media,
+					excluded: getStylesheetExclusion(
+						source,
+						options.includedStylesheets
+					),
+					error: describeStylesheetError(error),
+				}),
+				imports: [],
+			}));
+		})
+	);
+}
+
+/**
+ * Flattens loaded stylesheets and their imports into the metadata list,
+ * assigning sequential IDs with each imported file following its importer.
+ * Imports that were dropped are listed with the reason in `error`.
+ * @param {Array<{metadata: Object, imports: Array<Object>}>} results - Loaded stylesheets
+ * @returns {Array<Object>} Stylesheet metadata with `id` and, for imports, `parentId`
+ */
+function flattenStylesheetMetadata(results) {
+	const stylesheets = [];
+	let nextId = 1;
+
+	for (const { metadata, imports } of results) {
+		const id = nextId++;
+		stylesheets.push({ id, ...metadata });
+
+		const importIds = new Map();
+		for (const record of imports) {
+			// Children of a failed import are never loaded, so the parent is always known
+			const importId = nextId++;
+			importIds.set(record, importId);
+
+			let error = null;
+			if (record.error) {
+				error = record.cause
+					? describeStylesheetError(record.cause)
+					: {
+							code: STYLESHEET_ERROR_CODES.importSkipped,
+							message: record.error,
+						};
+			}
+
+			stylesheets.push({
+				id: importId,
+				parentId: record.parent ? importIds.get(record.parent) : id,
+				...createStylesheetMetadata(record.content, {
+					type: STYLESHEET_TYPES.import,
+					url: record.url ?? null,
+					filename: record.url
+						? extractFilename(record.url)
+						: "stylesheet.css",
+					excluded: metadata.excluded,
+					error,
+				}),
+			});
+		}
+	}
+
+	return stylesheets;
+}
+
+/**
+ * Lists a warning for every stylesheet that could not be used
+ * @param {Array<Object>} stylesheets - Metadata from flattenStylesheetMetadata()
+ * @returns {Array<Object>} Warnings with `stylesheetId`, `filename`, `url`, and
+ *   the `code`, `message` and optional `httpStatus`, `line` and `column` of the error
+ */
+function collectStylesheetWarnings(stylesheets) {
+	return stylesheets
+		.filter((stylesheet) => stylesheet.error)
+		.map(({ id, filename, url, error }) => ({
+			stylesheetId: id,
+			filename,
+			url,
+			...error,
+		}));
+}
+
 /**
  * Processes CSS through PostCSS pipeline (autoprefixer + cssnano)
  * @param {string} css - Raw CSS string
  * @returns {Promise<string>} Processed CSS
  */
-async function processCss(css) {
+export async function processCss(css) {
 	const result = await postcss([autoprefixer(), cssnano()]).process(css, {
 		from: undefined,
 	});
@@ -89,15 +378,134 @@ async function processCss(css) {
 /**
  * Generates critical CSS by purging unused selectors
  * @param {string} css - Combined CSS
- * @param {string} html - HTML content to match against
- * @returns {Promise<string>} Purged and minified CSS
+ * @param {string|string[]} html - HTML content to match against; several
+ *   documents keep the union of the rules they use
+ * @returns {Promise<string>} Purged CSS, not yet minified
  */
 async function generateCriticalCss(css, html) {
 	const purgecss = await new PurgeCSS().purge({
-		content: [{ raw: html, extension: "html" }],
+		content: [].concat(html).map((raw) => ({ raw, extension: "html" })),
 		css: [{ raw: css }],
 	});
-	return processCss(purgecss[0].css);
+	return purgecss[0].css;
+}
+
+/**
+ * Renders the page at each viewport and captures the HTML to purge against
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Array<{width: number, height: number}>} viewports - Viewports to render
+ * @param {string} mode - 'full' or 'above-fold'
+ * @returns {Promise<string[]>} HTML per viewport, in the same order
+ */
+async function captureViewportHtml(page, viewports, mode) {
+	const htmlPerViewport = [];
+	for (const viewport of viewports) {
+		await setPageViewport(page, viewport);
+		htmlPerViewport.push(
+			mode === "above-fold"
+				? await captureAboveTheFoldHTML(page, {
+						skipViewportSet: true,
+						viewportHeight: viewport.height,
+					})
+				: await page.content()
+		);
+	}
+	return htmlPerViewport;
+}
+
+/**
+ * Records which rules were applied while rendering each viewport
+ * @param {import('puppeteer').Page} page - Puppeteer page with CSS coverage running
+ * @param {Array<{width: number, height: number}>} viewports - Viewports to render
+ * @returns {Promise<{usedSelectors: Set<string>, knownSelectors: Set<string>}>}
+ */
+async function captureViewportCoverage(page, viewports) {
+	for (const viewport of viewports) {
+		await setPageViewport(page, viewport);
+	}
+	return stopCssCoverage(page);
+}
+
+/**
+ * Generates critical CSS from coverage data, keeping rules that were applied
+ * during rendering and match above-the-fold elements at one of the viewports
+ * @param {string} css - Combined CSS
+ * @param {{usedSelectors: Set<string>, knownSelectors: Set<string>}} coverage - Rule usage
+ * @param {Set<string>[]} visibleSelectors - Above-the-fold selectors per viewport
+ * @param {number[]} viewportIndexes - Viewports whose fold to keep
+ * @returns {string} Critical CSS, not yet minified
+ */
+function generateCoverageCriticalCss(
+	css,
+	{ usedSelectors, knownSelectors },
+	visibleSelectors,
+	viewportIndexes
+) {
+	return filterRules(
+		css,
+		(selector) =>
+			// Selectors coverage never saw (adopted, shadow) can only be judged by geometry
+			(usedSelectors.has(selector) || !knownSelectors.has(selector)) &&
+			viewportIndexes.some((index) =>
+				visibleSelectors[index].has(selector)
+			)
+	);
+}
+
+/**
+ * Generates critical CSS across viewports, either as a single merged
+ * stylesheet or as per-viewport stylesheets wrapped in media queries
+ * @param {Array<{width: number, height: number}>} viewports - Viewports sorted by width
+ * @param {string} output - 'merged' or 'media'
+ * @param {(viewportIndexes: number[]) => Promise<string>} extractCritical -
+ *   Generates unminified critical CSS covering the given viewports
+ * @returns {Promise<{critical: string, sheets: string[], viewports: Array<Object>}>}
+ *   Minified critical CSS, the unminified critical stylesheets it was built
+ *   from (one, or one per viewport) and per-viewport details
+ */
+async function generateViewportCriticalCss(viewports, output, extractCritical) {
+	if (output === "merged") {
+		const sheet = await extractCritical(viewports.map((_, index) => index));
+		return {
+			critical: await processCss(sheet),
+			sheets: [sheet],
+			viewports: viewports.map(({ width, height }) => ({
+				width,
+				height,
+			})),
+		};
+	}
+
+	const mediaQueries = buildViewportMediaQueries(viewports);
+	const sheets = await Promise.all(
+		viewports.map((_, index) => extractCritical([index]))
+	);
+	const perViewport = await Promise.all(
+		viewports.map(async ({ width, height }, index) => {
+			const critical = await processCss(sheets[index]);
+			const size = new TextEncoder().encode(critical).length;
+			return {
+				width,
+				height,
+				mediaQuery: mediaQueries[index],
+				critical,
+				size,
+				sizeFormatted: formatSize(size),
+			};
+		})
+	);
+
+	const wrapped = perViewport
+		.map(({ mediaQuery, critical }) =>
+			mediaQuery ? `@media ${mediaQuery}{${critical}}` : critical
+		)
+		.join("");
+
+	return {
+		critical: await processCss(wrapped),
+		sheets,
+		viewports: perViewport,
+	};
 }
 
 /**
@@ -114,7 +522,12 @@ function createEmptyResponse(
 		minified: "",
 		unminified: "",
 		critical: "",
+		remaining: "",
+		htmlSnippet: "",
 		stylesheets: [],
+		warnings: [],
+		partial: false,
+		droppedMediaQueries: [],
 		mode,
 		message,
 		sizes: {
@@ -124,115 +537,424 @@ function createEmptyResponse(
 			minifiedFormatted: formatSize(0),
 			critical: 0,
 			criticalFormatted: formatSize(0),
+			remaining: 0,
+			remainingFormatted: formatSize(0),
 			minifiedReduction: 0,
 			criticalReduction: 0,
+			remainingReduction: 0,
 		},
 	};
 }
 
-
 /**
- * API Route Handler - Extract and process CSS from a URL
- *
- * Fetches a webpage using Puppeteer, extracts all linked stylesheets,
- * and processes them through PostCSS pipeline (autoprefixer + cssnano + purgecss).
- *
- * @param {import('next').NextApiRequest} req - Next.js API request
- * @param {import('next').NextApiResponse} res - Next.js API response
- *
- * @query {string} url - Target webpage URL to extract CSS from
- * @query {string} [mode=full] - Extraction mode: 'full' or 'above-fold'
- *
- * @returns {Object} JSON response with CSS variants:
- * @returns {string} minified - All stylesheets combined and minified
- * @returns {string} unminified - All stylesheets combined without minification
- * @returns {string} critical - CSS purged to only include rules used in the HTML
- * @returns {Array<Object>} stylesheets - Metadata for each extracted stylesheet:
- *   - id: Unique identifier
- *   - url: Full stylesheet URL
- *   - filename: Extracted filename
- *   - size: Size in bytes
- *   - sizeFormatted: Human-readable size
- *
- * @example
- * // GET /api/fetch-css?url=https://example.com
- * // Response: { minified: "...", unminified: "...", critical: "...", stylesheets: [...] }
- *
- * @example
- * // GET /api/fetch-css?url=https://example.com&mode=above-fold
- * // Response: Same as above, but critical CSS only includes above-the-fold styles
+ * Validates and parses the analysis options shared by /api/fetch-css and
+ * /api/batch
+ * @param {Object} params - Query or body parameters (see the handler below)
+ * @returns {{options?: Object, error?: {error: string, details: string}}}
+ *   Parsed options for generateCriticalCssForUrl(), or the 400 response body
+ *   for the first invalid parameter
  */
-export default async function handler(req, res) {
-	const { url, mode = "full" } = req.query;
+export function parseFetchCssOptions(params) {
+	const {
+		mode = "full",
+		foldEngine = "geometry",
+		viewports,
+		viewportOutput = "merged",
+		include,
+		exclude,
+		urlMode = URL_MODES.absolute,
+		preload = "false",
+		profile = "none",
+		device: deviceParam,
+		keepMedia,
+		includeStylesheets,
+	} = params;
 
-	if (!url) {
-		return res.status(400).json({ error: "URL is required" });
+	const limits = {};
+	for (const [name, { fallback, min, max }] of Object.entries(LIMIT_PARAMS)) {
+		const value = Number(params[name] ?? fallback);
+		if (!Number.isInteger(value) || value < min || value > max) {
+			return {
+				error: {
+					error: `Invalid ${name} parameter`,
+					details: `${name} must be an integer from ${min} to ${max}`,
+				},
+			};
+		}
+		limits[name] = value;
 	}
 
 	// Validate mode parameter
 	if (!VALID_MODES.includes(mode)) {
-		return res.status(400).json({
-			error: "Invalid mode parameter",
-			details: `Mode must be one of: ${VALID_MODES.join(", ")}`,
-		});
+		return {
+			error: {
+				error: "Invalid mode parameter",
+				details: `Mode must be one of: ${VALID_MODES.join(", ")}`,
+			},
+		};
 	}
 
-	let browser;
+	if (!VALID_FOLD_ENGINES.includes(foldEngine)) {
+		return {
+			error: {
+				error: "Invalid foldEngine parameter",
+				details: `foldEngine must be one of: ${VALID_FOLD_ENGINES.join(", ")}`,
+			},
+		};
+	}
+
+	if (!VALID_VIEWPORT_OUTPUTS.includes(viewportOutput)) {
+		return {
+			error: {
+				error: "Invalid viewportOutput parameter",
+				details: `viewportOutput must be one of: ${VALID_VIEWPORT_OUTPUTS.join(", ")}`,
+			},
+		};
+	}
+
+	let device;
+	try {
+		device = resolveDevice(deviceParam);
+	} catch (error) {
+		return {
+			error: {
+				error: "Invalid device parameter",
+				details: error.message,
+			},
+		};
+	}
+
+	let keptMediaFeatures;
 	try {
-		const result = await createBrowserWithPage(url);
-		browser = result.browser;
-		const page = result.page;
+		keptMediaFeatures = parseMediaFeatureList(keepMedia);
+	} catch (error) {
+		return {
+			error: {
+				error: "Invalid keepMedia parameter",
+				details: error.message,
+			},
+		};
+	}
 
-		const fullHtmlContent = await page.content();
-		const htmlForPurge =
-			mode === "above-fold"
-				? await captureAboveTheFoldHTML(page, { skipViewportSet: true })
-				: fullHtmlContent;
+	let includedStylesheets;
+	try {
+		includedStylesheets = parseIncludedStylesheets(includeStylesheets);
+	} catch (error) {
+		return {
+			error: {
+				error: "Invalid includeStylesheets parameter",
+				details: error.message,
+			},
+		};
+	}
+
+	let viewportList = [
+		device
+			? { width: device.width, height: device.height }
+			: VIEWPORT_CONFIG,
+	];
+	if (viewports) {
+		try {
+			viewportList = parseViewports(viewports);
+		} catch (error) {
+			return {
+				error: {
+					error: "Invalid viewports parameter",
+					details: error.message,
+				},
+			};
+		}
+	}
+
+	if (!VALID_URL_MODES.includes(urlMode)) {
+		return {
+			error: {
+				error: "Invalid urlMode parameter",
+				details: `urlMode must be one of: ${VALID_URL_MODES.join(", ")}`,
+			},
+		};
+	}
+
+	let selectorLists;
+	try {
+		selectorLists = {
+			include: parseSelectorPatterns(include),
+			exclude: parseSelectorPatterns(exclude),
+		};
+	} catch (error) {
+		return {
+			error: {
+				error: "Invalid include/exclude parameter",
+				details: error.message,
+			},
+		};
+	}
+
+	let throttling;
+	try {
+		throttling = resolveThrottlingProfile(profile);
+	} catch (error) {
+		return {
+			error: {
+				error: "Invalid profile parameter",
+				details: error.message,
+			},
+		};
+	}
+
+	let access;
+	try {
+		access = parsePageAccess(params);
+	} catch (error) {
+		return {
+			error: {
+				error: "Invalid page access parameters",
+				details: error.message,
+			},
+		};
+	}
+
+	return {
+		options: {
+			mode,
+			foldEngine,
+			viewportList,
+			viewportOutput,
+			selectorLists,
+			urlMode,
+			preload: String(preload) === "true",
+			throttling,
+			device,
+			keptMediaFeatures,
+			includedStylesheets,
+			stylesheetLimits: {
+				timeout: limits.stylesheetTimeout,
+				maxBytes: limits.maxStylesheetSize,
+			},
+			deadline: limits.deadline,
+			access,
+		},
+	};
+}
+
+/**
+ * Runs the full pipeline for one URL in a new page of a shared browser:
+ * stylesheet extraction, critical CSS for every viewport, remaining CSS and
+ * the HTML snippet. The page is closed before the CPU-heavy CSS processing.
+ *
+ * @param {import('../../lib/browser/pool.js').BrowserSession} browser - Browser
+ *   session to open the page in
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Options from parseFetchCssOptions()
+ * @returns {Promise<Object>} Response body of /api/fetch-css
+ */
+export async function generateCriticalCssForUrl(browser, url, options) {
+	const {
+		mode,
+		foldEngine,
+		viewportList,
+		viewportOutput,
+		selectorLists,
+		urlMode,
+		preload,
+		throttling,
+		device,
+		keptMediaFeatures,
+		includedStylesheets,
+		stylesheetLimits,
+		deadline,
+		access,
+	} = options;
+	const isCoverageMode = mode === "coverage";
+
+	// The deadline bounds the page load and stylesheet loading: navigation
+	// must finish within it, and stylesheets still loading when it runs out
+	// are skipped, so one hanging file cannot stall the whole request. The
+	// CSS loaded by then is analyzed in full afterwards.
+	const deadlineController = new AbortController();
+	const deadlineTimer = setTimeout(
+		() =>
+			deadlineController.abort(
+				createStylesheetError(
+					STYLESHEET_ERROR_CODES.deadlineExceeded,
+					`Skipped: the ${deadline} ms deadline ran out first`
+				)
+			),
+		deadline
+	);
 
-		const cssLinks = await page.evaluate(() => {
-			return Array.from(
-				document.querySelectorAll('link[rel="stylesheet"]')
-			).map((link) => link.href);
+	// Stylesheet bodies as the page downloaded them, recorded during navigation
+	let capturedStylesheets;
+	let page;
+
+	/**
+	 * Loads a linked or imported stylesheet: the body the browser downloaded
+	 * if there is one, else a fetch from the server within the limits
+	 * @param {string} cssUrl - URL of the stylesheet
+	 * @returns {Promise<string>} Decoded CSS text
+	 */
+	const fetchCss = async (cssUrl) => {
+		deadlineController.signal.throwIfAborted();
+		// A body the page is still downloading falls back to the server fetch
+		const captured = await capturedStylesheets.read(cssUrl, {
+			timeout: stylesheetLimits.timeout,
+			signal: deadlineController.signal,
+		});
+		if (!captured) {
+			return fetchStylesheet(cssUrl, {
+				...stylesheetLimits,
+				headers: getPageAccessHeaders(access, cssUrl, url),
+				signal: deadlineController.signal,
+			});
+		}
+		assertStylesheetSize(captured.size, stylesheetLimits.maxBytes);
+		return decodeStylesheet(captured.body, captured.contentType);
+	};
+
+	try {
+		page = await openPage(browser, url, {
+			timeout: Math.min(getNavigationTimeout(throttling), deadline),
+			throttling,
+			device,
+			access,
+			beforeNavigate: async (newPage) => {
+				capturedStylesheets = captureStylesheetResponses(newPage, {
+					maxBytes: stylesheetLimits.maxBytes,
+				});
+				if (isCoverageMode) {
+					await startCssCoverage(newPage);
+				}
+			},
 		});
 
-		await browser.close();
-		browser = undefined;
+		const stylesheetSources = await extractPageStylesheets(page);
+		const pageUrl = page.url();
+
+		// Render every viewport before stopping so coverage includes rules applied at any size
+		const coverage = isCoverageMode
+			? await captureViewportCoverage(page, viewportList)
+			: undefined;
+
+		// Resource hints for the HTML snippet come from the live page
+		let preloadTags = [];
+		if (preload) {
+			const resources = await extractPreloadableResources(page);
+			preloadTags = generateAllPreloadTags(resources).allTags;
+		}
 
 		// Handle case where no stylesheets were found
-		if (cssLinks.length === 0) {
-			return res.status(200).json(createEmptyResponse(mode));
+		if (stylesheetSources.length === 0) {
+			return createEmptyResponse(mode);
 		}
 
-		// Fetch all stylesheets in parallel, handling individual failures gracefully
-		const settledResults = await Promise.allSettled(
-			cssLinks.map((cssUrl, index) => fetchStylesheet(cssUrl, index))
+		// Load all stylesheets in parallel; failures are reported as warnings.
+		// Bodies the browser downloaded are used as they are; only stylesheets
+		// it did not load (e.g. disabled ones) are fetched again
+		const results = await loadStylesheetSources(stylesheetSources, {
+			pageUrl,
+			urlMode,
+			includedStylesheets,
+			fetchCss,
+		});
+
+		// Print-only, disabled and alternate sheets are listed but not used
+		const combinedCss = results
+			.filter((r) => !r.metadata.excluded && !r.metadata.error)
+			.map((r) => r.content)
+			.join("");
+
+		// Only @media blocks that apply to the device at a rendered viewport
+		// belong in the critical CSS
+		const media = await evaluateMediaQueries(page, combinedCss, {
+			viewports: viewportList,
+			keep: keptMediaFeatures,
+			baseFeatures: getDeviceMediaFeatures(device),
+		});
+		const droppedMediaQueries = media.queries.filter(
+			(query) =>
+				!media.matchingPerViewport.some((matching) =>
+					matching.has(query)
+				)
 		);
 
-		// Filter successful results and log failures
-		const results = [];
-		for (const result of settledResults) {
-			if (result.status === "fulfilled") {
-				results.push(result.value);
-			} else {
-				console.warn(
-					"Failed to fetch stylesheet:",
-					result.reason?.message
+		// Match rules against the live page before it is closed
+		let extractRules;
+		if (
+			isCoverageMode ||
+			(mode === "above-fold" && foldEngine === "geometry")
+		) {
+			const { visibleSelectors, extractCss } =
+				await analyzeAboveTheFoldRules(page, combinedCss, {
+					viewports: viewportList,
+				});
+			extractRules = async (viewportIndexes) =>
+				isCoverageMode
+					? generateCoverageCriticalCss(
+							combinedCss,
+							coverage,
+							visibleSelectors,
+							viewportIndexes
+						)
+					: extractCss(viewportIndexes);
+		} else {
+			const htmlPerViewport = await captureViewportHtml(
+				page,
+				viewportList,
+				mode
+			);
+			extractRules = (viewportIndexes) =>
+				generateCriticalCss(
+					combinedCss,
+					viewportIndexes.map((index) => htmlPerViewport[index])
 				);
-			}
 		}
 
-		const stylesheets = results.map((r) => r.metadata);
-		const combinedCss = results.map((r) => r.content).join("");
+		await page.close();
+		page = undefined;
+
+		const stylesheets = flattenStylesheetMetadata(results);
+
+		// Force-include/exclude lists apply after extraction, whatever the mode,
+		// then media blocks not applying at these viewports are dropped and font
+		// faces, keyframes and custom properties follow the kept rules. The
+		// definitions they restore come from the source filtered the same way,
+		// so dropped media blocks do not come back.
+		const extractCritical = async (viewportIndexes) => {
+			const critical = applySelectorLists(
+				combinedCss,
+				await extractRules(viewportIndexes),
+				selectorLists
+			);
+			const isApplicable = (query) =>
+				viewportIndexes.some((index) =>
+					media.matchingPerViewport[index].has(query)
+				);
+			return preserveDependencies(
+				filterMediaQueries(critical, isApplicable),
+				filterMediaQueries(combinedCss, isApplicable)
+			);
+		};
 
 		// Process CSS variants in parallel
-		const [minifiedCss, criticalCss] = await Promise.all([
+		const [minifiedCss, criticalResult] = await Promise.all([
 			processCss(combinedCss),
-			generateCriticalCss(combinedCss, htmlForPurge),
+			generateViewportCriticalCss(
+				viewportList,
+				viewportOutput,
+				extractCritical
+			),
 		]);
+		const criticalCss = criticalResult.critical;
+
+		// Subtract the critical rules so they are not shipped twice
+		const remainingCss = await processCss(
+			subtractCriticalCss(combinedCss, criticalResult.sheets)
+		);
 
 		const originalSize = new TextEncoder().encode(combinedCss).length;
 		const minifiedSize = new TextEncoder().encode(minifiedCss).length;
 		const criticalSize = new TextEncoder().encode(criticalCss).length;
+		const remainingSize = new TextEncoder().encode(remainingCss).length;
 
 		// Calculate reductions, avoiding division by zero
 		const minifiedReduction =
@@ -243,13 +965,32 @@ export default async function handler(req, res) {
 			originalSize > 0
 				? Math.round((1 - criticalSize / originalSize) * 100)
 				: 0;
+		const remainingReduction =
+			originalSize > 0
+				? Math.round((1 - remainingSize / originalSize) * 100)
+				: 0;
 
-		res.status(200).json({
+		const htmlSnippet = generateHtmlSnippet({
+			criticalCss,
+			stylesheets,
+			preloadTags,
+		});
+		const warnings = collectStylesheetWarnings(stylesheets);
+
+		return {
 			minified: minifiedCss,
 			unminified: combinedCss,
 			critical: criticalCss,
+			remaining: remainingCss,
+			htmlSnippet,
 			stylesheets,
+			warnings,
+			partial: warnings.some(
+				({ code }) => code === STYLESHEET_ERROR_CODES.deadlineExceeded
+			),
+			droppedMediaQueries,
 			mode,
+			viewports: criticalResult.viewports,
 			sizes: {
 				original: originalSize,
 				originalFormatted: formatSize(originalSize),
@@ -257,18 +998,163 @@ export default async function handler(req, res) {
 				minifiedFormatted: formatSize(minifiedSize),
 				critical: criticalSize,
 				criticalFormatted: formatSize(criticalSize),
+				remaining: remainingSize,
+				remainingFormatted: formatSize(remainingSize),
 				minifiedReduction,
 				criticalReduction,
+				remainingReduction,
 			},
-		});
+		};
+	} finally {
+		clearTimeout(deadlineTimer);
+		if (page) {
+			await page.close();
+		}
+	}
+}
+
+/**
+ * API Route Handler - Extract and process CSS from a URL
+ *
+ * Fetches a webpage using Puppeteer, extracts all linked stylesheets, inline
+ * <style> blocks, adopted stylesheets and shadow-root styles, and processes them through PostCSS pipeline (autoprefixer + cssnano + purgecss).
+ *
+ * @param {import('next').NextApiRequest} req - Next.js API request
+ * @param {import('next').NextApiResponse} res - Next.js API response
+ *
+ * @query {string} url - Target webpage URL to extract CSS from
+ * @query {string} [mode=full] - Extraction mode: 'full', 'above-fold', or 'coverage'
+ *   to keep only rules Chrome applied to rendered above-the-fold elements
+ * @query {string} [foldEngine=geometry] - Above-the-fold engine: 'geometry' keeps rules
+ *   whose selectors match elements intersecting the viewport, 'clone' purges against
+ *   a clone of the visible DOM
+ * @query {string} [viewports] - Comma-separated viewports to render, as WIDTHxHEIGHT
+ *   or preset names (mobile, tablet, laptop, desktop), at most 6. Defaults to the
+ *   device's viewport, or 1280x900
+ * @query {string} [viewportOutput=merged] - 'merged' for one critical CSS covering all
+ *   viewports, or 'media' for per-viewport critical CSS wrapped in media queries
+ * @query {string|string[]} [include] - Selector patterns always kept in the critical CSS,
+ *   one per line or repeated: `.is-active`, `/^menu-/`, `deep:cookie-banner`, `greedy:/modal/`
+ * @query {string|string[]} [exclude] - Selector patterns always removed from the critical CSS,
+ *   same syntax as include; exclusion wins
+ * @query {string} [urlMode=absolute] - How relative url() references are rewritten:
+ *   'absolute', or 'root-relative' to emit root-relative paths for same-origin assets
+ * @query {string} [preload=false] - 'true' to add preconnect, font and image preload
+ *   hints to the HTML snippet
+ * @query {string} [profile=none] - Throttling profile the page is loaded under:
+ *   'none', 'slow-3g-mobile', 'slow-4g-mobile' or 'desktop-cable'
+ * @query {string} [device] - Device to emulate (user agent, pixel ratio, touch, color
+ *   scheme, reduced motion): a preset ('desktop', 'desktop-hidpi', 'iphone-14',
+ *   'pixel-7', 'ipad') or a JSON descriptor overriding one, e.g.
+ *   `{"preset":"iphone-14","colorScheme":"dark"}`
+ * @query {string|string[]} [keepMedia] - Media features whose `@media` blocks are kept
+ *   in the critical CSS even when the device does not match them, comma-separated or
+ *   repeated: `prefers-color-scheme: dark`, `prefers-reduced-motion` (all values)
+ * @query {string|string[]} [includeStylesheets] - Stylesheets left out by default to use
+ *   anyway, comma-separated or repeated: 'print' (print-only `media`), 'disabled',
+ *   'alternate' (`rel="alternate stylesheet"`), or 'all'
+ * @query {number} [stylesheetTimeout=10000] - Time allowed per stylesheet download, in ms
+ *   (1000-60000); 5xx responses and network failures are retried twice with backoff
+ * @query {number} [maxStylesheetSize=5242880] - Largest stylesheet analyzed, in bytes
+ *   (up to 20 MB); larger files are skipped with a 'too-large' warning
+ * @query {number} [deadline=45000] - Time budget for loading the page and its stylesheets,
+ *   in ms from the start of the page load (1000-300000). Navigation must finish within
+ *   it; stylesheets still loading when it runs out are skipped with a 'deadline-exceeded'
+ *   warning, and the CSS loaded by then is analyzed
+ * @query {string} [cookies] - Cookies for the page: a Cookie header (`name=value; other=value`)
+ *   or a JSON array of Puppeteer cookie objects; cookies without a domain belong to `url`
+ * @query {string} [headers] - Extra HTTP headers, one `Name: value` per line or a JSON object
+ * @query {string} [username] - Basic-auth user name for the site
+ * @query {string} [password] - Basic-auth password
+ * @query {string} [userAgent] - User agent replacing the browser's or the device's
+ *
+ * Every parameter may also be sent as a JSON body with POST, which keeps cookies and
+ * credentials out of URLs and access logs. They are applied to the page and to the
+ * stylesheets fetched from the server, and are never included in the response.
+ *
+ * @returns {Object} JSON response with CSS variants:
+ * @returns {string} minified - All stylesheets combined and minified
+ * @returns {string} unminified - All stylesheets combined without minification
+ * @returns {string} critical - CSS purged to only include rules used in the HTML
+ * @returns {string} remaining - Combined CSS minus the critical rules, minified, to
+ *   lazy-load after first paint
+ * @returns {string} htmlSnippet - Ready-to-paste `<head>` markup inlining the critical CSS
+ *   and loading each linked stylesheet asynchronously with a `<noscript>` fallback
+ * @returns {string[]} droppedMediaQueries - `@media` queries that apply at none of the
+ *   rendered viewports for the emulated device (and kept media features), whose
+ *   blocks were left out of the critical CSS
+ * @returns {Array<Object>} viewports - Rendered viewports (width, height); in 'media'
+ *   output also their mediaQuery, critical CSS and size
+ * @returns {Array<Object>} stylesheets - Metadata for each extracted stylesheet:
+ *   - id: Unique identifier
+ *   - type: Source type ('external', 'inline', 'adopted', 'shadow' or 'import')
+ *   - parentId: For 'import' entries, ID of the stylesheet that imported it
+ *   - url: Full stylesheet URL, or null for CSS embedded in the page
+ *   - filename: Extracted filename
+ *   - media: `media` attribute the CSS is wrapped in, or null for all media
+ *   - excluded: 'print', 'disabled' or 'alternate' if the stylesheet was left out
+ *     of the combined CSS, else null
+ *   - status: 'ok', or 'error' if it could not be used
+ *   - error: For 'error' entries, `code`, `message` and optional `httpStatus`,
+ *     `line` and `column` (see warnings), else null
+ *   - size: Size in bytes
+ *   - sizeFormatted: Human-readable size
+ * @returns {Array<Object>} warnings - One per stylesheet that could not be used:
+ *   `stylesheetId`, `filename`, `url`, `code` ('http-error', 'network-error',
+ *   'timeout', 'deadline-exceeded', 'too-large', 'parse-error', 'cors-blocked',
+ *   'import-skipped' or 'load-failed'), `message`, and `httpStatus` or the `line`
+ *   and `column` of a parse error when known
+ * @returns {boolean} partial - Whether the deadline ran out before every stylesheet
+ *   was loaded, so the results only cover part of the CSS
+ *
+ * @example
+ * // GET /api/fetch-css?url=https://example.com
+ * // Response: { minified: "...", unminified: "...", critical: "...", stylesheets: [...] }
+ *
+ * @example
+ * // GET /api/fetch-css?url=https://example.com&mode=above-fold
+ * // Response: Same as above, but critical CSS only includes above-the-fold styles
+ */
+export default async function handler(req, res) {
+	if (!["GET", "POST"].includes(req.method)) {
+		res.setHeader("Allow", "GET, POST");
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const params =
+		req.method === "POST" ? { ...req.query, ...req.body } : req.query;
+	const { url } = params;
+
+	if (!url) {
+		return res.status(400).json({ error: "URL is required" });
+	}
+
+	const { options, error } = parseFetchCssOptions(params);
+	if (error) {
+		return res.status(400).json(error);
+	}
+
+	let browser;
+	try {
+		browser = await acquireBrowser();
+		res.status(200).json(
+			await generateCriticalCssForUrl(browser, url, options)
+		);
 	} catch (error) {
-		console.error("API Error:", error);
+		if (isPoolSaturated(error)) {
+			res.setHeader("Retry-After", error.retryAfter);
+			return res.status(503).json({
+				error: "Server busy",
+				details: error.message,
+			});
+		}
+		console.error("API Error:", redactCredentials(error.message));
 		res.status(500).json({
 			error: "Failed to process CSS",
-			details: error.message,
+			details: redactCredentials(error.message),
 			stack:
 				process.env.NODE_ENV === "development"
-					? error.stack
+					? redactCredentials(error.stack)
 					: undefined,
 		});
 	} finally {
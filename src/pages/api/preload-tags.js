@@ -7,7 +7,14 @@
  * @module api/preload-tags
  */
 
-import { createBrowserWithPage } from "../../lib/browser/index.js";
+import {
+	createBrowserWithPage,
+	isPoolSaturated,
+	parsePageAccess,
+	redactCredentials,
+	resolveDevice,
+	resolveThrottlingProfile,
+} from "../../lib/browser/index.js";
 import {
 	extractPreloadableResources,
 	generateAllPreloadTags,
@@ -22,6 +29,19 @@ import {
  * @query {string} url - Target webpage URL to analyze
  * @query {number} [maxImages=5] - Maximum images to include in preloads
  * @query {number} [maxPreconnect=3] - Maximum domains for preconnect
+ * @query {string} [profile=none] - Throttling profile the page is loaded under:
+ *   'none', 'slow-3g-mobile', 'slow-4g-mobile' or 'desktop-cable'
+ * @query {string} [device] - Device to emulate: a preset ('desktop', 'desktop-hidpi',
+ *   'iphone-14', 'pixel-7', 'ipad') or a JSON descriptor overriding one
+ * @query {string} [cookies] - Cookies for the page: a Cookie header (`name=value; other=value`)
+ *   or a JSON array of Puppeteer cookie objects; cookies without a domain belong to `url`
+ * @query {string} [headers] - Extra HTTP headers, one `Name: value` per line or a JSON object
+ * @query {string} [username] - Basic-auth user name for the site
+ * @query {string} [password] - Basic-auth password
+ * @query {string} [userAgent] - User agent replacing the browser's or the device's
+ *
+ * Every parameter may also be sent as a JSON body with POST, which keeps cookies and
+ * credentials out of URLs and access logs.
  *
  * @returns {Object} JSON response with preload tags:
  * @returns {string} html - Combined HTML snippet of all tags
@@ -36,15 +56,62 @@ import {
  * // Response: { html: "...", fontPreloads: [...], stats: {...} }
  */
 export default async function handler(req, res) {
-	const { url, maxImages = "5", maxPreconnect = "3" } = req.query;
+	if (!["GET", "POST"].includes(req.method)) {
+		res.setHeader("Allow", "GET, POST");
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const params =
+		req.method === "POST" ? { ...req.query, ...req.body } : req.query;
+	const {
+		url,
+		maxImages = "5",
+		maxPreconnect = "3",
+		profile = "none",
+		device: deviceParam,
+	} = params;
 
 	if (!url) {
 		return res.status(400).json({ error: "URL is required" });
 	}
 
+	let throttling;
+	try {
+		throttling = resolveThrottlingProfile(profile);
+	} catch (error) {
+		return res.status(400).json({
+			error: "Invalid profile parameter",
+			details: error.message,
+		});
+	}
+
+	let device;
+	try {
+		device = resolveDevice(deviceParam);
+	} catch (error) {
+		return res.status(400).json({
+			error: "Invalid device parameter",
+			details: error.message,
+		});
+	}
+
+	let access;
+	try {
+		access = parsePageAccess(params);
+	} catch (error) {
+		return res.status(400).json({
+			error: "Invalid page access parameters",
+			details: error.message,
+		});
+	}
+
 	let browser;
 	try {
-		const result = await createBrowserWithPage(url);
+		const result = await createBrowserWithPage(url, {
+			throttling,
+			device,
+			access,
+		});
 		browser = result.browser;
 		const page = result.page;
 
@@ -67,13 +134,23 @@ export default async function handler(req, res) {
 			stats: preloadTags.stats,
 		});
 	} catch (error) {
-		console.error("Preload Tags API Error:", error);
+		if (isPoolSaturated(error)) {
+			res.setHeader("Retry-After", error.retryAfter);
+			return res.status(503).json({
+				error: "Server busy",
+				details: error.message,
+			});
+		}
+		console.error(
+			"Preload Tags API Error:",
+			redactCredentials(error.message)
+		);
 		res.status(500).json({
 			error: "Failed to analyze page",
-			details: error.message,
+			details: redactCredentials(error.message),
 			stack:
 				process.env.NODE_ENV === "development"
-					? error.stack
+					? redactCredentials(error.stack)
 					: undefined,
 		});
 	} finally {
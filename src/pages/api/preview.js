@@ -0,0 +1,105 @@
+/**
+ * API Route Handler - Preview a Page Styled by Critical CSS Only
+ *
+ * Loads the target page with Puppeteer, strips every stylesheet, injects the
+ * given critical CSS and returns the rewritten HTML, so the fold can be
+ * inspected for a flash of unstyled content before shipping.
+ *
+ * @module api/preview
+ */
+
+import {
+	createBrowserWithPage,
+	isPoolSaturated,
+	redactCredentials,
+} from "../../lib/browser/index.js";
+import { renderCriticalPreview } from "../../lib/features/page-preview/index.js";
+
+// Critical CSS is sent in the request body and can exceed the 1mb default
+export const config = {
+	api: {
+		bodyParser: {
+			sizeLimit: "4mb",
+		},
+	},
+};
+
+/**
+ * API Route Handler
+ *
+ * @param {import('next').NextApiRequest} req - Next.js API request (POST)
+ * @param {import('next').NextApiResponse} res - Next.js API response
+ *
+ * @body {string} url - Target webpage URL to preview
+ * @body {string} critical - Critical CSS to apply, e.g. the `critical` field
+ *   returned by /api/fetch-css
+ *
+ * @returns {string} The rewritten page as `text/html`. Scripts are removed and
+ *   a `script-src 'none'` Content-Security-Policy is sent, so the page is a
+ *   static snapshot; embed it in a sandboxed iframe to inspect it
+ *
+ * @example
+ * // POST /api/preview
+ * // Body: { "url": "https://example.com", "critical": ".hero{padding:2rem}" }
+ * // Response: <!DOCTYPE html><html><head><base href="https://example.com/"><style id="critical-css-preview">...
+ */
+export default async function handler(req, res) {
+	if (req.method !== "POST") {
+		res.setHeader("Allow", "POST");
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const { url, critical } = req.body || {};
+
+	if (!url) {
+		return res.status(400).json({ error: "URL is required" });
+	}
+
+	if (typeof critical !== "string") {
+		return res.status(400).json({
+			error: "Invalid critical parameter",
+			details: "critical must be the critical CSS to apply, as a string",
+		});
+	}
+
+	let browser;
+	try {
+		const result = await createBrowserWithPage(url);
+		browser = result.browser;
+		const page = result.page;
+
+		const { html, removedStylesheets } = await renderCriticalPreview(
+			page,
+			critical
+		);
+
+		await browser.close();
+		browser = undefined;
+
+		res.setHeader("Content-Type", "text/html; charset=utf-8");
+		res.setHeader("Content-Security-Policy", "script-src 'none'");
+		res.setHeader("X-Removed-Stylesheets", String(removedStylesheets));
+		res.status(200).send(html);
+	} catch (error) {
+		if (isPoolSaturated(error)) {
+			res.setHeader("Retry-After", error.retryAfter);
+			return res.status(503).json({
+				error: "Server busy",
+				details: error.message,
+			});
+		}
+		console.error("Preview API Error:", redactCredentials(error.message));
+		res.status(500).json({
+			error: "Failed to render preview",
+			details: redactCredentials(error.message),
+			stack:
+				process.env.NODE_ENV === "development"
+					? redactCredentials(error.stack)
+					: undefined,
+		});
+	} finally {
+		if (browser) {
+			await browser.close();
+		}
+	}
+}
@@ -0,0 +1,132 @@
+/**
+ * API Route Handler - Validate Critical CSS for Layout Shift
+ *
+ * Loads the page with only the critical CSS, then injects the remaining CSS
+ * after first paint, the way an async stylesheet arrives, and measures the
+ * Cumulative Layout Shift this causes. Shifting elements are reported with
+ * the late selectors that moved them, i.e. the rules missing from the
+ * critical CSS.
+ *
+ * @module api/validate-critical
+ */
+
+import {
+	createBrowserWithPage,
+	isPoolSaturated,
+	redactCredentials,
+	VIEWPORT_CONFIG,
+} from "../../lib/browser/index.js";
+import {
+	CLS_THRESHOLDS,
+	measureLateCssShifts,
+} from "../../lib/features/layout-shift/index.js";
+import { applyCriticalCssOnly } from "../../lib/features/page-preview/index.js";
+
+// Critical and remaining CSS are sent in the request body and can exceed the 1mb default
+export const config = {
+	api: {
+		bodyParser: {
+			sizeLimit: "8mb",
+		},
+	},
+};
+
+/**
+ * API Route Handler
+ *
+ * @param {import('next').NextApiRequest} req - Next.js API request (POST)
+ * @param {import('next').NextApiResponse} res - Next.js API response
+ *
+ * @body {string} url - Target webpage URL to validate
+ * @body {string} critical - Critical CSS applied from first paint, e.g. the
+ *   `critical` field returned by /api/fetch-css
+ * @body {string} remaining - CSS injected after first paint, e.g. the
+ *   `remaining` field returned by /api/fetch-css
+ *
+ * @returns {Object} JSON response with the layout shift report:
+ * @returns {number} cls - Cumulative Layout Shift caused by the remaining CSS
+ * @returns {string} rating - 'good', 'needs-improvement' or 'poor'
+ * @returns {boolean} passed - Whether CLS is within the "good" threshold
+ * @returns {Object} thresholds - CLS thresholds used for the rating
+ * @returns {Array<Object>} shifts - Each layout shift with its value and sources:
+ *   shifted element, previous and current rect, and the late rules matching the
+ *   element or an ancestor that set layout-affecting properties
+ * @returns {Array<Object>} culprits - Late selectors ranked by the shift score
+ *   they contributed to, with their layout properties and shifted element count
+ * @returns {Object} viewport - Viewport used (width, height)
+ *
+ * @example
+ * // POST /api/validate-critical
+ * // Body: { "url": "https://example.com", "critical": "...", "remaining": "..." }
+ * // Response: { cls: 0.12, rating: "needs-improvement", culprits: [{ selector: ".hero", ... }] }
+ */
+export default async function handler(req, res) {
+	if (req.method !== "POST") {
+		res.setHeader("Allow", "POST");
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const { url, critical, remaining } = req.body || {};
+
+	if (!url) {
+		return res.status(400).json({ error: "URL is required" });
+	}
+
+	if (typeof critical !== "string" || typeof remaining !== "string") {
+		return res.status(400).json({
+			error: "Invalid critical/remaining parameter",
+			details:
+				"critical and remaining must be the critical and remaining CSS from /api/fetch-css, as strings",
+		});
+	}
+
+	let browser;
+	try {
+		const result = await createBrowserWithPage(url, {
+			beforeNavigate: (page) => applyCriticalCssOnly(page, critical),
+		});
+		browser = result.browser;
+
+		const report = await measureLateCssShifts(result.page, remaining);
+
+		await browser.close();
+		browser = undefined;
+
+		res.status(200).json({
+			cls: report.cls,
+			rating: report.rating,
+			passed: report.cls <= CLS_THRESHOLDS.good,
+			thresholds: CLS_THRESHOLDS,
+			shifts: report.shifts,
+			culprits: report.culprits,
+			viewport: {
+				width: VIEWPORT_CONFIG.width,
+				height: VIEWPORT_CONFIG.height,
+			},
+		});
+	} catch (error) {
+		if (isPoolSaturated(error)) {
+			res.setHeader("Retry-After", error.retryAfter);
+			return res.status(503).json({
+				error: "Server busy",
+				details: error.message,
+			});
+		}
+		console.error(
+			"Validate Critical API Error:",
+			redactCredentials(error.message)
+		);
+		res.status(500).json({
+			error: "Failed to validate critical CSS",
+			details: redactCredentials(error.message),
+			stack:
+				process.env.NODE_ENV === "development"
+					? redactCredentials(error.stack)
+					: undefined,
+		});
+	} finally {
+		if (browser) {
+			await browser.close();
+		}
+	}
+}
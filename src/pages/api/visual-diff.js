@@ -0,0 +1,153 @@
+/**
+ * API Route Handler - Visual Diff of Original vs Critical-CSS-Only Render
+ *
+ * Screenshots the viewport of the original page and of the page rendered
+ * with only the critical CSS (every other stylesheet blocked), and returns
+ * both screenshots with a highlighted diff image and mismatch percentage.
+ *
+ * @module api/visual-diff
+ */
+
+import {
+	createBrowserWithPage,
+	isPoolSaturated,
+	openPage,
+	redactCredentials,
+	setPageViewport,
+	VIEWPORT_CONFIG,
+} from "../../lib/browser/index.js";
+import { applyCriticalCssOnly } from "../../lib/features/page-preview/index.js";
+import {
+	captureViewportScreenshot,
+	compareScreenshots,
+	DEFAULT_DIFF_THRESHOLD,
+} from "../../lib/features/visual-diff/index.js";
+
+// Critical CSS is sent in the request body and can exceed the 1mb default
+export const config = {
+	api: {
+		bodyParser: {
+			sizeLimit: "4mb",
+		},
+	},
+};
+
+/**
+ * API Route Handler
+ *
+ * @param {import('next').NextApiRequest} req - Next.js API request (POST)
+ * @param {import('next').NextApiResponse} res - Next.js API response
+ *
+ * @body {string} url - Target webpage URL to compare
+ * @body {string} critical - Critical CSS to apply, e.g. the `critical` field
+ *   returned by /api/fetch-css
+ * @body {number} [threshold=0.1] - Per-pixel color tolerance from 0 (exact) to 1
+ *
+ * @returns {Object} JSON response with the comparison:
+ * @returns {Object} screenshots - PNG data URLs: `original`, `critical` and `diff`
+ *   (original faded to gray with mismatched pixels in red)
+ * @returns {number} mismatchPercentage - Share of viewport pixels that differ, 0-100
+ * @returns {number} mismatchedPixels - Number of differing pixels
+ * @returns {number} totalPixels - Number of compared pixels
+ * @returns {Object} viewport - Compared viewport (width, height)
+ *
+ * @example
+ * // POST /api/visual-diff
+ * // Body: { "url": "https://example.com", "critical": ".hero{padding:2rem}" }
+ * // Response: { mismatchPercentage: 2.41, screenshots: { original: "data:image/png;base64,...", ... } }
+ */
+export default async function handler(req, res) {
+	if (req.method !== "POST") {
+		res.setHeader("Allow", "POST");
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const {
+		url,
+		critical,
+		threshold = DEFAULT_DIFF_THRESHOLD,
+	} = req.body || {};
+
+	if (!url) {
+		return res.status(400).json({ error: "URL is required" });
+	}
+
+	if (typeof critical !== "string") {
+		return res.status(400).json({
+			error: "Invalid critical parameter",
+			details: "critical must be the critical CSS to apply, as a string",
+		});
+	}
+
+	const tolerance = Number(threshold);
+	if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 1) {
+		return res.status(400).json({
+			error: "Invalid threshold parameter",
+			details: "threshold must be a number between 0 and 1",
+		});
+	}
+
+	let browser;
+	try {
+		const result = await createBrowserWithPage(url);
+		browser = result.browser;
+
+		await setPageViewport(result.page, VIEWPORT_CONFIG);
+		const original = await captureViewportScreenshot(result.page);
+		await result.page.close();
+
+		const criticalPage = await openPage(browser, url, {
+			beforeNavigate: (page) => applyCriticalCssOnly(page, critical),
+		});
+		await setPageViewport(criticalPage, VIEWPORT_CONFIG);
+		const criticalOnly = await captureViewportScreenshot(criticalPage);
+		// compareScreenshots() opens its own page in the one-page session
+		await criticalPage.close();
+
+		const comparison = await compareScreenshots(
+			browser,
+			original,
+			criticalOnly,
+			{ threshold: tolerance }
+		);
+
+		await browser.close();
+		browser = undefined;
+
+		res.status(200).json({
+			screenshots: {
+				original,
+				critical: criticalOnly,
+				diff: comparison.diff,
+			},
+			mismatchPercentage: comparison.mismatchPercentage,
+			mismatchedPixels: comparison.mismatchedPixels,
+			totalPixels: comparison.totalPixels,
+			viewport: { width: comparison.width, height: comparison.height },
+		});
+	} catch (error) {
+		if (isPoolSaturated(error)) {
+			res.setHeader("Retry-After", error.retryAfter);
+			return res.status(503).json({
+				error: "Server busy",
+				details: error.message,
+			});
+		}
+		console.error(
+			"Visual Diff API Error:",
+			redactCredentials(error.message)
+		);
+		res.status(500).json({
+			error: "Failed to compare renders",
+			details: redactCredentials(error.message),
+			stack:
+				process.env.NODE_ENV === "development"
+					? redactCredentials(error.stack)
+					: undefined,
+		});
+	} finally {
+		if (browser) {
+			await browser.close();
+		}
+	}
+}
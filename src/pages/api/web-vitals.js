@@ -0,0 +1,126 @@
+/**
+ * API Route Handler - Core Web Vitals Report
+ *
+ * Loads a webpage with Puppeteer under optional network and CPU throttling
+ * and measures LCP, CLS, FCP, TTFB and Total Blocking Time.
+ *
+ * @module api/web-vitals
+ */
+
+import {
+	createBrowserWithPage,
+	isPoolSaturated,
+	redactCredentials,
+	resolveThrottlingProfile,
+	VIEWPORT_CONFIG,
+} from "../../lib/browser/index.js";
+import {
+	collectWebVitals,
+	observeWebVitals,
+	VITALS_THRESHOLDS,
+} from "../../lib/features/web-vitals/index.js";
+
+/**
+ * API Route Handler
+ *
+ * @param {import('next').NextApiRequest} req - Next.js API request
+ * @param {import('next').NextApiResponse} res - Next.js API response
+ *
+ * @query {string} url - Target webpage URL to measure
+ * @query {string} [profile=none] - Throttling profile the page is loaded under:
+ *   'none', 'slow-3g-mobile', 'slow-4g-mobile' or 'desktop-cable'
+ *
+ * @returns {Object} JSON response with the report:
+ * @returns {Object} metrics - lcp, cls, fcp, ttfb and tbt, each with `value`
+ *   (milliseconds, CLS unitless) and `rating` ('good', 'needs-improvement',
+ *   'poor' or null when not measured); lcp also has `element`, `tagName`, `url`
+ *   and `size`, cls the `sources` of its worst session window
+ * @returns {boolean} passed - Whether LCP, CLS and TBT (the lab proxy for INP) are good
+ * @returns {Object} thresholds - Good/poor thresholds per metric
+ * @returns {Object} throttling - Applied profile, with its network preset ('none'
+ *   without throttling) and CPU slowdown
+ * @returns {Object} viewport - Viewport used (width, height)
+ *
+ * @example
+ * // GET /api/web-vitals?url=https://example.com&profile=slow-4g-mobile
+ * // Response: { metrics: { lcp: { value: 3120, rating: "needs-improvement", ... }, ... }, passed: false }
+ */
+export default async function handler(req, res) {
+	const { url, profile = "none" } = req.query;
+
+	if (!url) {
+		return res.status(400).json({ error: "URL is required" });
+	}
+
+	let throttling;
+	try {
+		throttling = resolveThrottlingProfile(profile);
+	} catch (error) {
+		return res.status(400).json({
+			error: "Invalid profile parameter",
+			details: error.message,
+		});
+	}
+
+	let browser;
+	try {
+		const result = await createBrowserWithPage(url, {
+			throttling,
+			beforeNavigate: async (page) => {
+				// Size the viewport up front so resizing after load cannot shift layout
+				await page.setViewport({
+					width: VIEWPORT_CONFIG.width,
+					height: VIEWPORT_CONFIG.height,
+				});
+				await observeWebVitals(page);
+			},
+		});
+		browser = result.browser;
+
+		const metrics = await collectWebVitals(result.page);
+
+		await browser.close();
+		browser = undefined;
+
+		res.status(200).json({
+			metrics,
+			passed: ["lcp", "cls", "tbt"].every(
+				(metric) => metrics[metric].rating === "good"
+			),
+			thresholds: VITALS_THRESHOLDS,
+			throttling: {
+				profile,
+				network: throttling?.network ?? "none",
+				cpu: throttling?.cpuSlowdown ?? 1,
+			},
+			viewport: {
+				width: VIEWPORT_CONFIG.width,
+				height: VIEWPORT_CONFIG.height,
+			},
+		});
+	} catch (error) {
+		if (isPoolSaturated(error)) {
+			res.setHeader("Retry-After", error.retryAfter);
+			return res.status(503).json({
+				error: "Server busy",
+				details: error.message,
+			});
+		}
+		console.error(
+			"Web Vitals API Error:",
+			redactCredentials(error.message)
+		);
+		res.status(500).json({
+			error: "Failed to measure web vitals",
+			details: redactCredentials(error.message),
+			stack:
+				process.env.NODE_ENV === "development"
+					? redactCredentials(error.stack)
+					: undefined,
+		});
+	} finally {
+		if (browser) {
+			await browser.close();
+		}
+	}
+}